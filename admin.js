@@ -0,0 +1,303 @@
+// LetTalky - Operator dashboard
+// Talks to the /admin API with the ADMIN_TOKEN the operator signs in with.
+// The token is kept in sessionStorage, so it is gone once the tab closes.
+
+class AdminDashboard {
+    constructor() {
+        this.token = sessionStorage.getItem(AdminDashboard.TOKEN_KEY);
+        this.refreshTimer = null;
+        this.searchTimer = null;
+
+        this.setupEventListeners();
+        if (this.token) {
+            this.start();
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('adminLoginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.token = document.getElementById('adminToken').value.trim();
+            this.start();
+        });
+
+        document.getElementById('adminSignOut').addEventListener('click', () => this.signOut());
+        document.getElementById('adminCleanup').addEventListener('click', () => this.runCleanup());
+        document.getElementById('adminSetNotice').addEventListener('click', () => this.setNotice());
+        document.getElementById('adminClearNotice').addEventListener('click', () => this.clearNotice());
+
+        document.getElementById('adminPeerSearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.loadPeers(), 300);
+        });
+    }
+
+    async start() {
+        try {
+            await this.refresh();
+        } catch (error) {
+            this.showLogin(error.message);
+            return;
+        }
+
+        sessionStorage.setItem(AdminDashboard.TOKEN_KEY, this.token);
+        document.getElementById('adminLogin').hidden = true;
+        document.getElementById('adminDashboard').hidden = false;
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => {
+            this.refresh().catch(error => console.error('❌ Dashboard refresh failed:', error));
+        }, AdminDashboard.REFRESH_INTERVAL);
+    }
+
+    signOut() {
+        clearInterval(this.refreshTimer);
+        this.token = null;
+        sessionStorage.removeItem(AdminDashboard.TOKEN_KEY);
+        this.showLogin('');
+    }
+
+    showLogin(message) {
+        document.getElementById('adminDashboard').hidden = true;
+        document.getElementById('adminLogin').hidden = false;
+        document.getElementById('adminLoginError').textContent = message;
+    }
+
+    async api(method, path, body) {
+        const response = await fetch(path, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            this.signOut();
+            throw new Error('That token was not accepted');
+        }
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    }
+
+    async refresh() {
+        const [stats] = await Promise.all([
+            this.api('GET', '/admin/stats'),
+            this.loadPeers()
+        ]);
+        this.renderStats(stats);
+        this.renderRates(stats.rates);
+        this.renderAreas(stats.areas);
+        this.renderNotice(stats.notice);
+        document.getElementById('adminUpdated').textContent =
+            `Updated ${new Date(stats.timestamp).toLocaleTimeString()}`;
+    }
+
+    // =============================================================================
+    // RENDERING
+    // =============================================================================
+
+    renderStats({ users, rooms, moderation, server, messagesExchanged }) {
+        const cards = [
+            ['Users', users.total],
+            ['Active', users.active],
+            ['Away', users.away],
+            ['Streaming', users.streaming],
+            ['Rooms', rooms],
+            ['Open reports', moderation.openReports],
+            ['Active bans', moderation.activeBans],
+            ['Uptime', this.formatDuration(server.uptime)],
+            ['Memory', `${Math.round(server.memory.rss / 1024 / 1024)} MB`],
+            ['All-time sessions', users.totalConnections],
+            ['Messages exchanged', messagesExchanged]
+        ];
+
+        const container = document.getElementById('adminStats');
+        container.replaceChildren(...cards.map(([label, value]) => {
+            const card = document.createElement('div');
+            card.className = 'admin-stat';
+            card.append(this.cell('strong', value), this.cell('span', label));
+            return card;
+        }));
+    }
+
+    renderRates(rates) {
+        const rows = Object.entries(rates)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, rate]) => this.row([
+                AdminDashboard.RATE_LABELS[name] || name,
+                rate.lastMinute,
+                rate.last5Minutes,
+                rate.lastHour,
+                rate.total
+            ]));
+        this.fillTable('adminRates', rows, 5, 'Nothing recorded yet');
+    }
+
+    renderAreas(areas) {
+        const rows = areas.slice(0, AdminDashboard.MAX_AREAS)
+            .map(area => this.row([area.label, area.total, area.active]));
+        this.fillTable('adminAreas', rows, 3, 'No users online');
+    }
+
+    renderNotice(notice) {
+        const current = document.getElementById('adminCurrentNotice');
+        if (!notice) {
+            current.textContent = 'No notice is showing.';
+            return;
+        }
+        const until = notice.expiresAt ? ` until ${new Date(notice.expiresAt).toLocaleString()}` : '';
+        current.textContent = `Showing${until}: “${notice.message}”`;
+    }
+
+    async loadPeers() {
+        const query = document.getElementById('adminPeerSearch').value.trim();
+        const { peers, total } = await this.api('GET', `/admin/peers?q=${encodeURIComponent(query)}`);
+
+        const rows = peers.map(peer => {
+            const kickButton = document.createElement('button');
+            kickButton.className = 'decline-btn admin-kick';
+            kickButton.textContent = 'Kick';
+            kickButton.addEventListener('click', () => this.kickPeer(peer));
+
+            return this.row([
+                `${peer.avatar} ${peer.username}`,
+                peer.status,
+                peer.area,
+                this.formatAgo(peer.lastSeen),
+                peer.ip || '',
+                kickButton
+            ]);
+        });
+        if (total > peers.length) {
+            rows.push(this.row([`…and ${total - peers.length} more; narrow the search`]));
+        }
+        this.fillTable('adminPeers', rows, 6, query ? 'No peers match' : 'No peers registered');
+    }
+
+    // =============================================================================
+    // ACTIONS
+    // =============================================================================
+
+    async kickPeer(peer) {
+        const reason = prompt(`Kick ${peer.username}? Optionally give a reason they will see:`, '');
+        if (reason === null) return;
+        const banHours = prompt('Also ban them for how many hours? Leave blank for no ban.', '');
+        if (banHours === null) return;
+
+        try {
+            await this.api('POST', `/admin/peers/${encodeURIComponent(peer.peerId)}/kick`, {
+                reason: reason.trim() || undefined,
+                banHours: banHours.trim() ? Number(banHours) : undefined
+            });
+            await this.refresh();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async runCleanup() {
+        const result = document.getElementById('adminCleanupResult');
+        try {
+            const { removedPeers, closedRooms } = await this.api('POST', '/admin/cleanup');
+            result.textContent = `Removed ${removedPeers} stale peers and closed ${closedRooms} idle rooms.`;
+            await this.refresh();
+        } catch (error) {
+            result.textContent = error.message;
+        }
+    }
+
+    async setNotice() {
+        const message = document.getElementById('adminNoticeMessage').value.trim();
+        const hours = document.getElementById('adminNoticeHours').value.trim();
+        if (!message) return;
+
+        try {
+            const { notice } = await this.api('PUT', '/admin/notice', {
+                message,
+                hours: hours ? Number(hours) : undefined
+            });
+            document.getElementById('adminNoticeMessage').value = '';
+            this.renderNotice(notice);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    async clearNotice() {
+        try {
+            await this.api('DELETE', '/admin/notice');
+            this.renderNotice(null);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    // =============================================================================
+    // HELPERS
+    // =============================================================================
+
+    cell(tag, content) {
+        const element = document.createElement(tag);
+        if (content instanceof Node) {
+            element.appendChild(content);
+        } else {
+            element.textContent = String(content);
+        }
+        return element;
+    }
+
+    row(values) {
+        const tr = document.createElement('tr');
+        values.forEach(value => tr.appendChild(this.cell('td', value)));
+        return tr;
+    }
+
+    fillTable(id, rows, columns, emptyText) {
+        const body = document.getElementById(id);
+        if (rows.length === 0) {
+            const td = this.cell('td', emptyText);
+            td.colSpan = columns;
+            td.className = 'admin-muted';
+            const tr = document.createElement('tr');
+            tr.appendChild(td);
+            rows = [tr];
+        }
+        body.replaceChildren(...rows);
+    }
+
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    formatAgo(timestamp) {
+        const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return `${Math.floor(seconds / 3600)}h ago`;
+    }
+}
+
+AdminDashboard.TOKEN_KEY = 'lettalky-admin-token';
+AdminDashboard.REFRESH_INTERVAL = 15000;
+AdminDashboard.MAX_AREAS = 25;
+AdminDashboard.RATE_LABELS = {
+    registrations: 'Registrations',
+    discoveryQueries: 'Discovery queries (polling)',
+    presenceStreams: 'Presence streams opened',
+    kicks: 'Kicks',
+    'rateLimited.api': 'Rate limited: API',
+    'rateLimited.registration': 'Rate limited: registration',
+    'rateLimited.reports': 'Rate limited: reports',
+    'rateLimited.rooms': 'Rate limited: room creation',
+    'rateLimited.linkPreview': 'Rate limited: link previews'
+};
+
+// Initialize the dashboard
+const dashboard = new AdminDashboard();
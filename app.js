@@ -12,15 +12,60 @@ class LetTalkyApp {
         this.typingTimeouts = new Map();
         this.heartbeatInterval = null;
         this.discoveryInterval = null;
+        this.presenceSource = null;
+        this.locationWatchId = null;
+        this.dismissedNoticeAt = null;
+        this.pdfRendererLoading = null;
+        // Reported with the next heartbeat, for the server's metrics
+        this.activityCounts = { connectionsOpened: 0, messagesSent: 0, messagesReceived: 0 };
+        this.reportedConnections = 0;
+        this.nearbyUsers = new Map();
         this.messageQueue = new Map();
+        this.flushingOutboxes = new Set();
+        this.countedMessages = new WeakSet();
+        this.outboxReconnects = new Map();
+        this.receivedMessageIds = new Map();
+        this.messageStatuses = new Map();
+        this.messageFailTimers = new Map();
+        this.unreadMessages = new Set();
+        this.pendingReadAcks = new Set();
+        this.readAckTimer = null;
+        this.readObserver = null;
+        this.messageRevisions = new Map();
+        this.messageReactions = new Map();
+        this.replyingTo = null;
+        this.editingMessage = null;
         this.fileTransfers = new Map();
+        this.outgoingTransfers = new Map();
+        this.fileChannels = new Map();
+        this.fileOfferQueue = [];
+        this.focusedTransferId = null;
+        this.progressHidden = false;
+        this.transferRenderTimer = null;
+        this.e2eKeyPair = null;
+        this.e2eSessions = new Map();
+        this.identity = null;
+        this.peerIdentities = new Map();
+        // Nonces of handshakes we started, by peer ID; the reply must sign it
+        this.handshakeNonces = new Map();
+        this.knownIdentities = new Map();
+        this.nearbyContacts = new Set();
+        this.blockedPeerIds = new Set();
+        this.rooms = new Map();
+        this.pendingRoomLinks = new Set();
+        this.roomDiscoveryInterval = null;
+        this.activeCall = null;
+        this.incomingCall = null;
+        this.history = new MessageHistoryStore();
+        this.historyState = null;
         if (window.location.hostname === 'localhost') {
             this.debugMode = true;
         }
         if (this.isMobileDevice()) {
             this.initializeMobileFeatures();
         }
-        this.selectedFile = null;
+        this.attachments = [];
+        this.sendQueue = [];
         this.notificationTimeout = null;
         this.fileTransfers = new Map();
 
@@ -29,6 +74,10 @@ class LetTalkyApp {
             discoveryRange: 5000,
             soundNotifications: true,
             autoAcceptFiles: false,
+            autoAcceptMaxSize: 10 * 1024 * 1024,
+            historyRetentionDays: 30,
+            linkPreviews: true,
+            locationPrecision: 'approximate',
             theme: 'light'
         };
 
@@ -44,6 +93,12 @@ class LetTalkyApp {
     async init() {
         console.log('🚀 Initializing LetTalky...');
         this.loadSettings();
+        this.loadKnownIdentities();
+        this.loadBlockedPeerIds();
+        this.pruneHistory();
+        this.loadOutbox();
+        this.history.pruneFileChunks(LetTalkyApp.FILE_RESUME_TTL)
+            .catch(error => console.error('❌ Failed to prune file chunks:', error));
         this.setupEventListeners();
         this.setupAnimations();
         await this.requestLocationPermission();
@@ -84,6 +139,28 @@ class LetTalkyApp {
             });
         }
 
+        // Delegated so incremental list updates don't need to rebind handlers
+        const usersList = document.getElementById('usersList');
+        if (usersList) {
+            usersList.addEventListener('click', (e) => {
+                const item = e.target.closest('.user-item');
+                if (!item) return;
+
+                const { peerId, username, avatar, distance } = item.dataset;
+                this.connectToUser(peerId, username, avatar, distance);
+            });
+        }
+
+        const contactsList = document.getElementById('contactsList');
+        if (contactsList) {
+            contactsList.addEventListener('click', (e) => {
+                const item = e.target.closest('.contact-item');
+                if (item) {
+                    this.openContact(item.dataset.identityId);
+                }
+            });
+        }
+
         // Enhanced search with debouncing
         let searchTimeout;
         const searchInput = document.getElementById('searchUsers');
@@ -108,6 +185,95 @@ class LetTalkyApp {
             });
         }
 
+        // Rooms
+        const roomsList = document.getElementById('roomsList');
+        if (roomsList) {
+            roomsList.addEventListener('click', (e) => {
+                const item = e.target.closest('.room-item');
+                if (!item) return;
+
+                const room = this.rooms.get(item.dataset.roomId);
+                if (room?.joined) {
+                    this.openRoomChat(room.roomId);
+                } else if (room) {
+                    this.joinRoom(room.roomId);
+                }
+            });
+        }
+
+        const createRoomBtn = document.getElementById('createRoomBtn');
+        if (createRoomBtn) {
+            createRoomBtn.addEventListener('click', () => {
+                this.showCreateRoomDialog();
+            });
+        }
+
+        const confirmCreateRoom = document.getElementById('confirmCreateRoom');
+        if (confirmCreateRoom) {
+            confirmCreateRoom.addEventListener('click', () => {
+                this.createRoom();
+            });
+        }
+
+        ['closeCreateRoom', 'cancelCreateRoom'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.hideModal('createRoomModal');
+                });
+            }
+        });
+
+        const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+        if (leaveRoomBtn) {
+            leaveRoomBtn.addEventListener('click', () => {
+                if (this.activeChatUser?.roomId) {
+                    this.leaveRoom(this.activeChatUser.roomId);
+                }
+            });
+        }
+
+        const favouriteBtn = document.getElementById('favouriteBtn');
+        if (favouriteBtn) {
+            favouriteBtn.addEventListener('click', () => {
+                this.toggleFavourite();
+            });
+        }
+
+        const reportControls = {
+            reportUserBtn: () => this.openReportDialog(),
+            cancelReportBtn: () => this.hideReportDialog(),
+            submitReportBtn: () => this.submitReport()
+        };
+        Object.entries(reportControls).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const dismissNoticeBtn = document.getElementById('dismissNoticeBtn');
+        if (dismissNoticeBtn) {
+            dismissNoticeBtn.addEventListener('click', () => this.dismissServerNotice());
+        }
+
+        const blockUserBtn = document.getElementById('blockUserBtn');
+        if (blockUserBtn) {
+            blockUserBtn.addEventListener('click', () => {
+                this.blockActiveChatUser();
+            });
+        }
+
+        // Load older history when scrolling to the top of a conversation
+        const messagesContainer = document.getElementById('messagesContainer');
+        if (messagesContainer) {
+            messagesContainer.addEventListener('scroll', () => {
+                if (messagesContainer.scrollTop < 80) {
+                    this.loadOlderHistory();
+                }
+            });
+        }
+
         // Enhanced message input handling
         const messageInput = document.getElementById('messageInput');
         if (messageInput) {
@@ -176,6 +342,13 @@ class LetTalkyApp {
             });
         }
 
+        const blockIncomingRequest = document.getElementById('blockIncomingRequest');
+        if (blockIncomingRequest) {
+            blockIncomingRequest.addEventListener('click', () => {
+                this.blockIncomingRequest();
+            });
+        }
+
 
         // File handling
         const attachBtn = document.getElementById('attachBtn');
@@ -188,12 +361,50 @@ class LetTalkyApp {
             });
         }
 
-        const fileInput = document.getElementById('fileInput');
-        if (fileInput) {
-            fileInput.addEventListener('change', (e) => {
-                if (e.target.files[0]) {
-                    this.handleFileSelection(e.target.files[0]);
+        const attachFolderBtn = document.getElementById('attachFolderBtn');
+        if (attachFolderBtn) {
+            attachFolderBtn.addEventListener('click', () => {
+                document.getElementById('folderInput')?.click();
+            });
+        }
+
+        ['fileInput', 'folderInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    this.handleFileSelection(e.target.files);
+                    e.target.value = '';
+                });
+            }
+        });
+
+        // Drag and drop of files or whole folders onto the chat
+        const chatInterface = document.getElementById('chatInterface');
+        if (chatInterface) {
+            const carriesFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+            chatInterface.addEventListener('dragover', (e) => {
+                if (!carriesFiles(e)) return;
+                e.preventDefault();
+                chatInterface.classList.add('drag-over');
+            });
+
+            chatInterface.addEventListener('dragleave', (e) => {
+                if (!chatInterface.contains(e.relatedTarget)) {
+                    chatInterface.classList.remove('drag-over');
+                }
+            });
+
+            chatInterface.addEventListener('drop', (e) => {
+                if (!carriesFiles(e)) return;
+                e.preventDefault();
+                chatInterface.classList.remove('drag-over');
+
+                if (!this.activeChatUser || this.activeChatUser.roomId) {
+                    this.showNotification('Files can only be shared in one-to-one chats for now', 'info');
+                    return;
                 }
+                this.handleFileDrop(e.dataTransfer);
             });
         }
 
@@ -239,6 +450,84 @@ class LetTalkyApp {
             });
         }
 
+        const autoAcceptLimit = document.getElementById('autoAcceptLimit');
+        if (autoAcceptLimit) {
+            autoAcceptLimit.addEventListener('change', (e) => {
+                this.settings.autoAcceptMaxSize = parseInt(e.target.value);
+                this.saveSettings();
+            });
+        }
+
+        const acceptFileBtn = document.getElementById('acceptFileBtn');
+        if (acceptFileBtn) {
+            acceptFileBtn.addEventListener('click', () => {
+                this.acceptFileOffer();
+            });
+        }
+
+        const declineFileBtn = document.getElementById('declineFileBtn');
+        if (declineFileBtn) {
+            declineFileBtn.addEventListener('click', () => {
+                this.declineFileOffer();
+            });
+        }
+
+        const transferControls = {
+            pauseTransferBtn: () => this.toggleFocusedTransferPause(),
+            cancelTransferBtn: () => this.cancelTransfer(this.focusedTransferId),
+            hideProgressBtn: () => this.hideTransferProgress(),
+            transferPill: () => {
+                this.progressHidden = false;
+                this.showTransferProgress();
+            },
+            closeLightboxBtn: () => this.hideModal('lightboxModal')
+        };
+        Object.entries(transferControls).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const locationPrecision = document.getElementById('locationPrecision');
+        if (locationPrecision) {
+            locationPrecision.addEventListener('change', (e) => {
+                this.settings.locationPrecision = e.target.value;
+                this.saveSettings();
+                // Passing the location makes it go out even with a presence stream open
+                this.sendHeartbeat(this.currentLocation);
+            });
+        }
+
+        const linkPreviews = document.getElementById('linkPreviews');
+        if (linkPreviews) {
+            linkPreviews.addEventListener('change', (e) => {
+                this.settings.linkPreviews = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        const historyRetention = document.getElementById('historyRetention');
+        if (historyRetention) {
+            historyRetention.addEventListener('change', (e) => {
+                this.settings.historyRetentionDays = parseInt(e.target.value);
+                this.saveSettings();
+                this.pruneHistory();
+            });
+        }
+
+        const cancelComposerBtn = document.getElementById('cancelComposerBtn');
+        if (cancelComposerBtn) {
+            cancelComposerBtn.addEventListener('click', () => this.cancelComposerContext());
+        }
+
+        const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => {
+                this.clearHistory();
+            });
+        }
+
         // Call buttons
         const callBtn = document.getElementById('callBtn');
         if (callBtn) {
@@ -247,6 +536,20 @@ class LetTalkyApp {
             });
         }
 
+        const callControls = {
+            acceptCallBtn: () => this.acceptIncomingCall(),
+            declineCallBtn: () => this.declineIncomingCall(),
+            muteBtn: () => this.toggleMute(),
+            cameraBtn: () => this.toggleCamera(),
+            hangupBtn: () => this.hangUp()
+        };
+        Object.entries(callControls).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
         const videoBtn = document.getElementById('videoBtn');
         if (videoBtn) {
             videoBtn.addEventListener('click', () => {
@@ -254,10 +557,35 @@ class LetTalkyApp {
             });
         }
 
+        // End-to-end encryption verification
+        const safetyNumberBtn = document.getElementById('safetyNumberBtn');
+        if (safetyNumberBtn) {
+            safetyNumberBtn.addEventListener('click', () => {
+                this.showSafetyNumber();
+            });
+        }
+
+        const closeSafetyNumber = document.getElementById('closeSafetyNumber');
+        if (closeSafetyNumber) {
+            closeSafetyNumber.addEventListener('click', () => {
+                this.hideModal('safetyNumberModal');
+            });
+        }
+
+        const markVerifiedBtn = document.getElementById('markVerifiedBtn');
+        if (markVerifiedBtn) {
+            markVerifiedBtn.addEventListener('click', () => {
+                this.toggleSafetyNumberVerified();
+            });
+        }
+
         // Enhanced modal handling
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeAllModals();
+                if (this.replyingTo || this.editingMessage) {
+                    this.cancelComposerContext();
+                }
             }
         });
 
@@ -266,6 +594,9 @@ class LetTalkyApp {
             if (!document.hidden && this.peer) {
                 this.sendHeartbeat();
             }
+            if (!document.hidden) {
+                this.recheckUnreadMessages();
+            }
         });
 
         window.addEventListener('beforeunload', () => {
@@ -469,30 +800,44 @@ class LetTalkyApp {
         }
     }
 
+    async loadPeerConfig() {
+        const fallback = {
+            peer: { host: null, port: null, path: '/peerjs', key: 'peerjs', secure: null },
+            iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+        };
+
+        try {
+            const response = await fetch('/config');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: Failed to load config`);
+            }
+            return { ...fallback, ...(await response.json()) };
+        } catch (error) {
+            console.error('❌ Failed to load signaling config, using defaults:', error);
+            return fallback;
+        }
+    }
+
     async initializePeer() {
+        const peerConfig = await this.loadPeerConfig();
+
         return new Promise((resolve, reject) => {
           const peerId = `lettalky_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          const secure = peerConfig.peer.secure ?? window.location.protocol === 'https:';
+          const port = peerConfig.peer.port ||
+            parseInt(window.location.port) || (secure ? 443 : 80);
           
-          console.log(`🔗 Connecting to public PeerJS server...`);
+          console.log(`🔗 Connecting to LetTalky signaling server at ${peerConfig.peer.path}...`);
           
-          // Use public PeerJS server
+          // Use the PeerJS server mounted by server.js
           this.peer = new Peer(peerId, {
+            host: peerConfig.peer.host || window.location.hostname,
+            port,
+            path: peerConfig.peer.path,
+            key: peerConfig.peer.key,
+            secure,
             config: {
-              iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-                { urls: 'stun:stun2.l.google.com:19302' },
-                {
-                  urls: 'turn:openrelay.metered.ca:80',
-                  username: 'openrelayproject',
-                  credential: 'openrelayproject'
-                },
-                {
-                  urls: 'turn:openrelay.metered.ca:443',
-                  username: 'openrelayproject',
-                  credential: 'openrelayproject'
-                }
-              ]
+              iceServers: peerConfig.iceServers
             }
           });
       
@@ -529,7 +874,7 @@ class LetTalkyApp {
     
         this.peer.on('call', (call) => {
             console.log('📱 Incoming call from:', call.peer);
-            // Future implementation for voice/video calls
+            this.handleIncomingMediaCall(call);
         });
     
         this.peer.on('disconnected', () => {
@@ -561,6 +906,16 @@ class LetTalkyApp {
     
 
     handleIncomingConnection(conn) {
+        if (this.isBlocked(conn.peer)) {
+            conn.on('open', () => conn.close());
+            return;
+        }
+
+        if (conn.metadata?.fileChannel) {
+            conn.on('open', () => this.setupFileChannel(conn));
+            return;
+        }
+
         conn.on('open', () => {
             this.connections.set(conn.peer, conn);
             this.setupConnectionEventListeners(conn);
@@ -574,13 +929,27 @@ class LetTalkyApp {
     }
 
     setupConnectionEventListeners(conn) {
+        this.activityCounts.connectionsOpened++;
+
         conn.on('data', (data) => {
             this.handleIncomingData(conn.peer, data);
         });
 
         conn.on('close', () => {
             console.log('🔌 Connection closed:', conn.peer);
+            // A newer link (e.g. a room mesh connection) may have replaced this one
+            if (this.connections.get(conn.peer) !== conn) return;
+            if (this.activeCall?.peerId === conn.peer) {
+                this.endCall('Connection lost');
+            }
+            if (this.incomingCall?.peerId === conn.peer) {
+                this.dismissIncomingCall();
+            }
+            this.pauseFileTransfers(conn.peer);
+            this.requeueUnackedMessages(conn.peer);
+            this.closeFileChannel(conn.peer);
             this.connections.delete(conn.peer);
+            this.e2eSessions.delete(conn.peer);
             this.updateUserStatus(conn.peer, 'offline');
         });
 
@@ -601,7 +970,9 @@ class LetTalkyApp {
                     peerId: this.peer.id,
                     username: this.currentUsername,
                     avatar: this.currentAvatar,
-                    location: this.currentLocation
+                    location: this.currentLocation,
+                    precision: this.settings.locationPrecision,
+                    identity: await this.getRegistrationProof()
                 })
             });
 
@@ -612,6 +983,10 @@ class LetTalkyApp {
 
             const result = await response.json();
             console.log('✅ Registered successfully:', result);
+            this.showModerationWarnings(result.warnings);
+            this.showServerNotice(result.notice);
+            this.syncWatchlist();
+            this.syncBlocklist();
             return result;
         } catch (error) {
             console.error('❌ Registration failed:', error);
@@ -633,7 +1008,7 @@ class LetTalkyApp {
 
             const data = await response.json();
             this.updateUsersList(data.peers);
-            this.updateUsersCount(data.peers.length);
+            this.updateNearbyContacts(data.peers.filter(peer => data.contacts?.includes(peer.peerId)));
             
             console.log(`🕵️ Found ${data.peers.length} nearby users`);
         } catch (error) {
@@ -645,56 +1020,143 @@ class LetTalkyApp {
     updateUsersList(users) {
         const usersList = document.getElementById('usersList');
         if (!usersList) return;
-    
-        if (users.length === 0) {
-            usersList.innerHTML = `
-                <div class="discovery-loading">
-                    <div class="illustration-circle" style="width: 60px; height: 60px; font-size: 24px;">
-                        🔍
-                    </div>
-                    <div class="loading-text">
-                        <p>No users found nearby.</p>
-                        <p style="font-size: 0.75rem; margin-top: 8px;">Try expanding your search range in settings.</p>
-                    </div>
-                </div>
-            `;
+
+        this.nearbyUsers = new Map(users.map(user => [user.peerId, user]));
+
+        // Drop items for users that are no longer nearby
+        usersList.querySelectorAll('.user-item').forEach(item => {
+            if (!this.nearbyUsers.has(item.dataset.peerId)) {
+                item.remove();
+            }
+        });
+
+        users.forEach(user => this.upsertUserItem(user, false));
+        this.sortUserItems();
+        this.refreshUsersListState();
+    }
+
+    upsertUserItem(user, resort = true) {
+        const usersList = document.getElementById('usersList');
+        if (!usersList) return;
+
+        // The server filters blocked pairs too; this covers the moment between
+        // blocking someone and the server hearing about it
+        if (this.isBlocked(user.peerId, user.identityId)) {
+            this.removeUserItem(user.peerId);
             return;
         }
-    
-        usersList.innerHTML = users.map(user => `
-            <div class="user-item" data-peer-id="${user.peerId}" data-username="${user.username}" data-avatar="${user.avatar}" data-distance="${this.formatDistance(user.distance)}">
-                <div class="user-avatar" style="width: 48px; height: 48px; font-size: 20px;">
-                    ${user.avatar}
-                </div>
+
+        this.nearbyUsers.set(user.peerId, user);
+        if (user.identityId) {
+            this.peerIdentities.set(user.peerId, user.identityId);
+        }
+        this.reconnectToPeer(user);
+
+        let item = usersList.querySelector(`.user-item[data-peer-id="${CSS.escape(user.peerId)}"]`);
+        if (!item) {
+            item = document.createElement('div');
+            item.className = 'user-item';
+            item.innerHTML = `
+                <div class="user-avatar" style="width: 48px; height: 48px; font-size: 20px;"></div>
                 <div class="user-info">
-                    <div class="user-name">${user.username}</div>
-                    <div class="user-distance">${this.formatDistance(user.distance)} • ${user.status}</div>
+                    <div class="user-name"></div>
+                    <div class="user-distance"></div>
                 </div>
-                <div class="status-dot ${user.isActive ? 'active' : ''}"></div>
-            </div>
-        `).join('');
-    
-        // Add click event listeners to each user item
-        usersList.querySelectorAll('.user-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                const peerId = item.dataset.peerId;
-                const username = item.dataset.username;
-                const avatar = item.dataset.avatar;
-                const distance = item.dataset.distance;
-                
-                this.connectToUser(peerId, username, avatar, distance);
-            });
+                <div class="status-dot"></div>
+            `;
+            usersList.appendChild(item);
+        }
+
+        const distance = this.describeDistance(user);
+        item.dataset.peerId = user.peerId;
+        item.dataset.username = user.username;
+        item.dataset.avatar = user.avatar;
+        item.dataset.distance = distance;
+        item.querySelector('.user-avatar').textContent = user.avatar;
+        item.querySelector('.user-name').textContent = user.username;
+        item.querySelector('.user-distance').textContent = `${distance} • ${user.status}`;
+        item.querySelector('.status-dot').classList.toggle('active', !!user.isActive);
+
+        const known = user.identityId && this.knownIdentities.get(user.identityId);
+        item.classList.toggle('known-contact', !!known);
+        item.title = known ? `You've talked with ${known.username} before` : '';
+
+        if (resort) {
+            this.sortUserItems();
+            this.refreshUsersListState();
+        }
+    }
+
+    removeUserItem(peerId) {
+        this.nearbyUsers.delete(peerId);
+
+        const item = document.querySelector(`.user-item[data-peer-id="${CSS.escape(peerId)}"]`);
+        if (item) {
+            item.remove();
+        }
+        this.refreshUsersListState();
+    }
+
+    sortUserItems() {
+        const usersList = document.getElementById('usersList');
+        if (!usersList) return;
+
+        const items = Array.from(usersList.querySelectorAll('.user-item'));
+        items.sort((a, b) => {
+            const userA = this.nearbyUsers.get(a.dataset.peerId);
+            const userB = this.nearbyUsers.get(b.dataset.peerId);
+            if (userA.isActive !== userB.isActive) return userB.isActive - userA.isActive;
+            if (Math.abs(userA.distance - userB.distance) > 100) return userA.distance - userB.distance;
+            return userB.joinedAt - userA.joinedAt;
+        });
+
+        // appendChild moves existing nodes, so only out-of-place items shift
+        items.forEach((item, index) => {
+            if (usersList.children[index] !== item) {
+                usersList.appendChild(item);
+            }
         });
     }
-    
-    
+
+    // Empty-state placeholder, counter and search filter after any list change
+    refreshUsersListState() {
+        const usersList = document.getElementById('usersList');
+        if (!usersList) return;
+
+        const placeholder = usersList.querySelector('.discovery-loading');
+        if (this.nearbyUsers.size === 0) {
+            if (!placeholder || !placeholder.classList.contains('empty')) {
+                usersList.innerHTML = `
+                    <div class="discovery-loading empty">
+                        <div class="illustration-circle" style="width: 60px; height: 60px; font-size: 24px;">
+                            🔍
+                        </div>
+                        <div class="loading-text">
+                            <p>No users found nearby.</p>
+                            <p style="font-size: 0.75rem; margin-top: 8px;">Try expanding your search range in settings.</p>
+                        </div>
+                    </div>
+                `;
+            }
+        } else if (placeholder) {
+            placeholder.remove();
+        }
+
+        this.updateUsersCount(this.nearbyUsers.size);
+        this.renderContacts();
+
+        const searchInput = document.getElementById('searchUsers');
+        if (searchInput && searchInput.value) {
+            this.filterUsers(searchInput.value);
+        }
+    }
 
     async connectToUser(peerId, username, avatar, distance = '0m') {
         console.log('User clicked on:', { peerId, username, avatar });
         
         // Check if already connected to this peer
         const existingConnection = this.connections.get(peerId);
-        if (existingConnection && existingConnection.open) {
+        if (existingConnection && existingConnection.open && this.hasChatSession(peerId)) {
             console.log('✅ Already connected to:', username, '- Opening chat directly');
             this.openChatInterface(peerId, username, avatar);
             this.showNotification(`Reopened chat with ${username}`, 'success');
@@ -743,6 +1205,8 @@ class LetTalkyApp {
     // Add this method to clean up closed connections
     cleanupConnection(peerId) {
         this.connections.delete(peerId);
+        this.e2eSessions.delete(peerId);
+        this.handshakeNonces.delete(peerId);
         if (this.userInfoCache) {
             this.userInfoCache.delete(peerId);
         }
@@ -792,7 +1256,7 @@ class LetTalkyApp {
                 serialization: 'json'
             });
             
-            connection.on('open', () => {
+            connection.on('open', async () => {
                 console.log('✅ Connection opened with:', peerId);
                 
                 // Store connection with user info
@@ -806,6 +1270,7 @@ class LetTalkyApp {
                 this.setupConnectionEventListeners(connection);
                 
                 // Send connection request
+                const nonce = this.createHandshakeNonce(peerId);
                 const requestData = {
                     type: 'connection_request',
                     sender: {
@@ -813,6 +1278,9 @@ class LetTalkyApp {
                         username: this.currentUsername,
                         avatar: this.currentAvatar
                     },
+                    publicKey: await this.getE2EPublicKey(),
+                    nonce,
+                    identity: await this.getIdentityProof(peerId, nonce),
                     timestamp: Date.now(),
                     message: `${this.currentUsername} wants to connect with you`
                 };
@@ -882,8 +1350,24 @@ class LetTalkyApp {
         }
     }
 
-    handleConnectionRequest(data) {
+    async handleConnectionRequest(peerId, data) {
         const { sender, message, timestamp } = data;
+        if (sender?.peerId !== peerId) return;
+
+        // A blocked identity may come back under a new peer ID
+        let identityId = null;
+        try {
+            identityId = data.identity ? await this.identityIdFromPublicKey(data.identity.publicKey) : null;
+        } catch (error) {
+            identityId = null;
+        }
+        if (this.isBlocked(sender.peerId, identityId)) {
+            console.warn('🚫 Ignoring connection request from blocked peer', sender.peerId);
+            this.connections.get(sender.peerId)?.close();
+            return;
+        }
+
+        if (data.resume && await this.acceptResumedConnection(peerId, data)) return;
         
         console.log('📨 Received connection request from:', sender.username);
         
@@ -891,6 +1375,9 @@ class LetTalkyApp {
         this.incomingConnectionRequest = {
             sender,
             connection: this.connections.get(sender.peerId),
+            publicKey: data.publicKey,
+            identity: data.identity,
+            nonce: data.nonce,
             timestamp
         };
         
@@ -914,12 +1401,21 @@ class LetTalkyApp {
         }
     }
     
-    acceptIncomingRequest() {
+    async acceptIncomingRequest() {
         if (!this.incomingConnectionRequest) return;
         
-        const { sender, connection } = this.incomingConnectionRequest;
+        const { sender, connection, publicKey, identity, nonce } = this.incomingConnectionRequest;
         
         console.log('✅ Accepting connection request from:', sender.username);
+
+        try {
+            await this.establishE2ESession(sender.peerId, publicKey, identity, sender, { nonce });
+        } catch (error) {
+            console.error('❌ Key exchange failed:', error);
+            this.showNotification(`Could not set up encryption with ${sender.username}`, 'error');
+            this.declineIncomingRequest();
+            return;
+        }
         
         // Store connection with user info
         const userInfo = {
@@ -939,10 +1435,13 @@ class LetTalkyApp {
                     username: this.currentUsername,
                     avatar: this.currentAvatar
                 },
+                publicKey: await this.getE2EPublicKey(),
+                identity: await this.getIdentityProof(sender.peerId, nonce),
                 timestamp: Date.now(),
                 message: `${this.currentUsername} accepted your connection request`
             });
         }
+        this.flushOutbox(sender.peerId);
         
         // Open chat interface
         this.openChatInterface(sender.peerId, sender.username, sender.avatar);
@@ -1111,736 +1610,4325 @@ class LetTalkyApp {
         }
     }    
     
-    markMessageAsFailed(messageData) {
-        // Find the last message in the container and mark it as failed
-        const messagesContainer = document.getElementById('messagesContainer');
-        if (messagesContainer) {
-            const lastMessage = messagesContainer.lastElementChild;
-            if (lastMessage && lastMessage.classList.contains('outgoing')) {
-                lastMessage.classList.add('failed');
-                lastMessage.style.opacity = '0.5';
-                
-                // Add retry button
-                const retryBtn = document.createElement('button');
-                retryBtn.textContent = '🔄 Retry';
-                retryBtn.className = 'retry-message-btn';
-                retryBtn.onclick = () => {
-                    this.retryMessage(messageData);
-                    lastMessage.remove();
+    // =============================================================================
+    // STABLE IDENTITY
+    // =============================================================================
+
+    // ECDSA key pair that survives reloads. Its public key names the user
+    // across peer ID rotations: the server maps it to the current peer ID and
+    // peers sign their per-session encryption keys with it.
+    getIdentity() {
+        if (!this.identity) {
+            this.identity = (async () => {
+                const keyPair = await this.history.getStoredKey('identity', async () => {
+                    const generated = await crypto.subtle.generateKey(
+                        { name: 'ECDSA', namedCurve: 'P-256' },
+                        false,
+                        ['sign', 'verify']
+                    );
+                    return { publicKey: generated.publicKey, privateKey: generated.privateKey };
+                });
+
+                const spki = await crypto.subtle.exportKey('spki', keyPair.publicKey);
+                const publicKey = this.arrayBufferToBase64(spki);
+                return {
+                    id: await this.identityIdFromPublicKey(publicKey),
+                    publicKey,
+                    privateKey: keyPair.privateKey
                 };
-                lastMessage.appendChild(retryBtn);
-            }
+            })();
+
+            // Allow a retry if the first attempt failed
+            this.identity.catch(() => { this.identity = null; });
         }
+        return this.identity;
     }
-    
-    retryMessage(messageData) {
-        const connection = this.connections.get(this.activeChatUser.peerId);
-        if (connection && connection.open) {
-            try {
-                connection.send(messageData);
-                this.displayMessage(messageData, 'outgoing');
-                this.showNotification('Message sent successfully!', 'success');
-            } catch (error) {
-                this.showNotification('Retry failed. Please check your connection.', 'error');
+
+    // Same derivation as the server: first 128 bits of SHA-256(SPKI), base64url
+    async identityIdFromPublicKey(publicKey) {
+        const digest = await crypto.subtle.digest('SHA-256', this.base64ToArrayBuffer(publicKey));
+        return this.arrayBufferToBase64(digest.slice(0, 16))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    async signWithIdentity(text) {
+        const identity = await this.getIdentity();
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            identity.privateKey,
+            new TextEncoder().encode(text)
+        );
+        return this.arrayBufferToBase64(signature);
+    }
+
+    // Signed server challenge proving this client owns its identity. Without
+    // IndexedDB there is no identity and registration stays anonymous.
+    async getRegistrationProof() {
+        try {
+            const identity = await this.getIdentity();
+            const response = await fetch('/challenge');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: Failed to fetch challenge`);
             }
-        } else {
-            this.showNotification('No connection available. Please reconnect.', 'error');
+
+            const { challenge } = await response.json();
+            return {
+                publicKey: identity.publicKey,
+                challenge,
+                signature: await this.signWithIdentity(`lettalky-register:${challenge}:${this.peer.id}`)
+            };
+        } catch (error) {
+            console.error('❌ Could not prove identity, registering anonymously:', error);
+            return null;
         }
     }
 
-    //Mobile function
+    // Binds this session's ECDH key to the long-lived identity, for this
+    // pair of peer IDs and this handshake only, so a proof seen once cannot
+    // be replayed from another peer ID or in a later handshake
+    async getIdentityProof(remotePeerId, nonce) {
+        try {
+            const identity = await this.getIdentity();
+            const e2ePublicKey = await this.getE2EPublicKey();
+            return {
+                publicKey: identity.publicKey,
+                signature: await this.signWithIdentity(
+                    LetTalkyApp.identityBinding(e2ePublicKey, this.peer.id, remotePeerId, nonce))
+            };
+        } catch (error) {
+            console.error('❌ Identity unavailable for handshake:', error);
+            return null;
+        }
+    }
 
-        // =============================================================================
-    // MOBILE-SPECIFIC FUNCTIONS ONLY
-    // =============================================================================
+    async verifyIdentityProof(proof, e2ePublicKey, remotePeerId, nonce) {
+        if (typeof nonce !== 'string' || !nonce) {
+            throw new Error('Handshake carries no nonce');
+        }
 
-    // 1. Mobile Device Detection
-    isMobileDevice() {
-        return window.innerWidth <= 768;    
+        const publicKey = await crypto.subtle.importKey(
+            'spki',
+            this.base64ToArrayBuffer(proof.publicKey),
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['verify']
+        );
+
+        const valid = await crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            publicKey,
+            this.base64ToArrayBuffer(proof.signature),
+            new TextEncoder().encode(LetTalkyApp.identityBinding(e2ePublicKey, remotePeerId, this.peer.id, nonce))
+        );
+        if (!valid) {
+            throw new Error('Peer identity signature is invalid');
+        }
+        return this.identityIdFromPublicKey(proof.publicKey);
     }
 
-    // 2. Mobile Navigation State Management
-    initializeMobileState() {
-        this.mobileNavState = 'users'; // 'users' or 'chat'
-        this.isMobile = this.isMobileDevice();
+    static identityBinding(e2ePublicKey, fromPeerId, toPeerId, nonce) {
+        return `lettalky-e2e-binding:${e2ePublicKey}:${fromPeerId}:${toPeerId}:${nonce}`;
     }
 
-    // 3. Mobile Chat Interface Opening
-    openMobileChatInterface(peerId, username, avatar) {
-        console.log('📱 Opening mobile chat for:', username);
-        
-        this.activeChatUser = { peerId, username, avatar };
-        this.mobileNavState = 'chat';
-        
-        // Update chat header
-        const chatUserName = document.getElementById('chatUserName');
-        const chatUserAvatar = document.getElementById('chatUserAvatar');
-        
-        if (chatUserName) chatUserName.textContent = username;
-        if (chatUserAvatar) chatUserAvatar.textContent = avatar;
-        
-        // Mobile navigation: slide to chat
-        const sidebar = document.querySelector('.sidebar');
-        const chatArea = document.querySelector('.chat-area');
-        const chatInterface = document.getElementById('chatInterface');
-        
-        if (sidebar) {
-            sidebar.classList.add('chat-open');
-        }
-        
-        if (chatArea) {
-            chatArea.classList.add('active');
-            chatArea.style.display = 'flex';
+    // Fresh for each handshake we start
+    createHandshakeNonce(peerId) {
+        const nonce = this.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+        this.handshakeNonces.set(peerId, nonce);
+        return nonce;
+    }
+
+    // People we have completed a handshake with, keyed by identity so they are
+    // recognised again after their peer ID changes
+    loadKnownIdentities() {
+        try {
+            const saved = localStorage.getItem('lettalky-identities');
+            if (saved) {
+                this.knownIdentities = new Map(Object.entries(JSON.parse(saved)));
+            }
+        } catch (error) {
+            console.error('Failed to load known identities:', error);
         }
-        
-        if (chatInterface) {
-            chatInterface.style.display = 'flex';
-            chatInterface.classList.add('active');
+    }
+
+    rememberIdentity(identityId, details) {
+        const previous = this.knownIdentities.get(identityId) || { firstSeen: Date.now() };
+        this.knownIdentities.set(identityId, { ...previous, ...details, lastSeen: Date.now() });
+
+        try {
+            localStorage.setItem(
+                'lettalky-identities',
+                JSON.stringify(Object.fromEntries(this.knownIdentities))
+            );
+        } catch (error) {
+            console.error('Failed to save known identities:', error);
         }
-        
-        // Clear messages and focus input
-        this.clearMessages();
-        
-        setTimeout(() => {
-            const messageInput = document.getElementById('messageInput');
-            if (messageInput) messageInput.focus();
-        }, 350);
     }
 
-    // 4. Mobile Chat Interface Closing
-    closeMobileChatInterface() {
-        console.log('📱 Closing mobile chat');
-        
-        this.activeChatUser = null;
-        this.mobileNavState = 'users';
-        
-        // Mobile navigation: slide back to users
-        const sidebar = document.querySelector('.sidebar');
-        const chatArea = document.querySelector('.chat-area');
-        const chatInterface = document.getElementById('chatInterface');
-        
-        if (sidebar) {
-            sidebar.classList.remove('chat-open');
+    // =============================================================================
+    // CONTACTS
+    // =============================================================================
+
+    // Starred identities; the server watches them and tells us when one
+    // comes within discovery range
+    getContacts() {
+        return Array.from(this.knownIdentities.entries())
+            .filter(([, details]) => details.starred)
+            .map(([identityId, details]) => ({ identityId, ...details }));
+    }
+
+    findNearbyPeerByIdentity(identityId) {
+        for (const user of this.nearbyUsers.values()) {
+            if (user.identityId === identityId) return user;
         }
-        
-        if (chatArea) {
-            chatArea.classList.remove('active');
-            setTimeout(() => {
-                chatArea.style.display = 'none';
-            }, 300);
+        return null;
+    }
+
+    toggleFavourite() {
+        if (!this.activeChatUser) return;
+
+        const { peerId, username, avatar } = this.activeChatUser;
+        const identityId = this.peerIdentities.get(peerId);
+        if (!identityId) {
+            this.showNotification(`${username} has no stable identity, so they can't be added to contacts`, 'error');
+            return;
         }
-        
-        if (chatInterface) {
-            chatInterface.style.display = 'none';
-            chatInterface.classList.remove('active');
+
+        const starred = !this.knownIdentities.get(identityId)?.starred;
+        this.rememberIdentity(identityId, { starred, username, avatar });
+
+        if (starred && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
         }
+
+        this.updateFavouriteButton(peerId);
+        this.renderContacts();
+        this.syncWatchlist();
+        this.showNotification(
+            starred ? `${username} added to contacts. You'll be notified when they're nearby.` : `${username} removed from contacts`,
+            starred ? 'success' : 'info'
+        );
     }
 
-    // 5. Mobile Back Button Handler
-    handleMobileBackButton() {
-        console.log('📱 Mobile back button pressed');
-        
-        if (this.mobileNavState === 'chat') {
-            this.closeMobileChatInterface();
-        }
+    updateFavouriteButton(peerId) {
+        const button = document.getElementById('favouriteBtn');
+        if (!button) return;
+
+        const identityId = this.peerIdentities.get(peerId);
+        const starred = !!(identityId && this.knownIdentities.get(identityId)?.starred);
+        button.classList.toggle('starred', starred);
+        button.disabled = !identityId;
+        button.title = !identityId
+            ? 'Contacts need a verified identity'
+            : starred ? 'Remove from contacts' : 'Add to contacts';
     }
 
-    // 6. Mobile Orientation Change Handler
-    handleMobileOrientationChange() {
-        const wasMobile = this.isMobile;
-        this.isMobile = this.isMobileDevice();
-        
-        console.log('📱 Orientation changed - Mobile:', this.isMobile);
-        
-        // If switching from/to mobile, adjust interface
-        if (wasMobile !== this.isMobile) {
-            if (this.activeChatUser && this.isMobile) {
-                // Switch to mobile chat layout
-                setTimeout(() => {
-                    this.closeChatInterface(); // Close desktop version
-                    this.openMobileChatInterface(
-                        this.activeChatUser.peerId,
-                        this.activeChatUser.username,
-                        this.activeChatUser.avatar
-                    );
-                }, 100);
-            } else if (this.activeChatUser && !this.isMobile) {
-                // Switch to desktop chat layout
-                setTimeout(() => {
-                    this.closeMobileChatInterface(); // Close mobile version
-                    this.openChatInterface(
-                        this.activeChatUser.peerId,
-                        this.activeChatUser.username,
-                        this.activeChatUser.avatar
-                    );
-                }, 100);
+    async syncWatchlist() {
+        if (!this.peer?.id) return;
+
+        try {
+            const response = await fetch('/watchlist', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    peerId: this.peer.id,
+                    identities: this.getContacts().map(contact => contact.identityId)
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: Failed to update watchlist`);
             }
+        } catch (error) {
+            console.error('❌ Watchlist sync failed:', error);
         }
     }
 
-    // 7. Mobile Keyboard Height Adjustment
-    adjustForMobileKeyboard() {
-        if (!this.isMobileDevice()) return;
-        
-        const chatArea = document.querySelector('.chat-area');
-        const messagesContainer = document.getElementById('messagesContainer');
-        
-        // Detect virtual keyboard
-        const viewportHeight = window.visualViewport ? window.visualViewport.height : window.innerHeight;
-        const windowHeight = window.innerHeight;
-        
-        if (viewportHeight < windowHeight * 0.7) {
-            // Keyboard is likely open
-            if (chatArea) {
-                chatArea.style.height = `${viewportHeight}px`;
-            }
-            
-            // Scroll to bottom of messages
-            if (messagesContainer) {
-                setTimeout(() => {
-                    messagesContainer.scrollTop = messagesContainer.scrollHeight;
-                }, 100);
-            }
-        } else {
-            // Keyboard is closed
-            if (chatArea) {
-                chatArea.style.height = '100vh';
-            }
+    // Polling fallback: /peers lists which results are watched contacts
+    updateNearbyContacts(peers) {
+        const present = new Set(peers.map(peer => peer.peerId));
+        this.nearbyContacts.forEach(peerId => {
+            if (!present.has(peerId)) this.nearbyContacts.delete(peerId);
+        });
+        peers.forEach(peer => this.handleContactNearby(peer));
+        this.renderContacts();
+    }
+
+    handleContactNearby(peer) {
+        if (this.nearbyContacts.has(peer.peerId)) return;
+        this.nearbyContacts.add(peer.peerId);
+
+        const contact = this.knownIdentities.get(peer.identityId);
+        const name = contact?.username || peer.username;
+        const message = `⭐ ${name} is nearby (${this.describeDistance(peer)})`;
+
+        this.showNotification(message, 'success');
+        this.playNotificationSound();
+
+        if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification('LetTalky', { body: message, tag: `contact-${peer.identityId}` });
         }
+
+        this.renderContacts();
     }
 
-    // 8. Mobile Touch Gestures
-    initializeMobileTouchGestures() {
-        if (!this.isMobileDevice()) return;
-        
-        let startX = 0;
-        let startY = 0;
-        
-        const chatArea = document.querySelector('.chat-area');
-        if (!chatArea) return;
-        
-        chatArea.addEventListener('touchstart', (e) => {
-            startX = e.touches[0].clientX;
-            startY = e.touches.clientY;
-        });
-        
-        chatArea.addEventListener('touchmove', (e) => {
-            if (this.mobileNavState !== 'chat') return;
-            
-            const currentX = e.touches[0].clientX;
-            const currentY = e.touches.clientY;
-            
-            const deltaX = currentX - startX;
-            const deltaY = Math.abs(currentY - startY);
-            
-            // Swipe right to go back (only if more horizontal than vertical)
-            if (deltaX > 100 && deltaY < 50) {
-                this.closeMobileChatInterface();
-            }
+    renderContacts() {
+        const section = document.getElementById('contactsSection');
+        const list = document.getElementById('contactsList');
+        if (!section || !list) return;
+
+        const contacts = this.getContacts().map(contact => ({
+            ...contact,
+            nearby: this.findNearbyPeerByIdentity(contact.identityId)
+        }));
+        contacts.sort((a, b) => {
+            if (!!a.nearby !== !!b.nearby) return a.nearby ? -1 : 1;
+            return (a.username || '').localeCompare(b.username || '');
         });
+
+        section.style.display = contacts.length > 0 ? 'flex' : 'none';
+        const count = document.getElementById('contactsCount');
+        if (count) count.textContent = contacts.length.toString();
+
+        list.replaceChildren(...contacts.map(contact => {
+            const item = document.createElement('div');
+            item.className = 'user-item contact-item';
+            item.classList.toggle('nearby', !!contact.nearby);
+            item.dataset.identityId = contact.identityId;
+            item.innerHTML = `
+                <div class="user-avatar" style="width: 40px; height: 40px; font-size: 18px;"></div>
+                <div class="user-info">
+                    <div class="user-name"></div>
+                    <div class="user-distance"></div>
+                </div>
+                <div class="status-dot"></div>
+            `;
+
+            const avatar = contact.nearby?.avatar || contact.avatar || '🙂';
+            item.querySelector('.user-avatar').textContent = avatar;
+            item.querySelector('.user-name').textContent = contact.nearby?.username || contact.username;
+            item.querySelector('.user-distance').textContent = contact.nearby
+                ? `${this.describeDistance(contact.nearby)} • ${contact.nearby.status}`
+                : `Last seen ${new Date(contact.lastSeen).toLocaleDateString()}`;
+            item.querySelector('.status-dot').classList.toggle('active', !!contact.nearby?.isActive);
+            return item;
+        }));
     }
 
-    // 9. Mobile Message Input Auto-Resize
-    handleMobileMessageInput(input) {
-        if (!this.isMobileDevice()) return;
-        
-        // Auto-resize textarea
-        input.style.height = 'auto';
-        input.style.height = Math.min(input.scrollHeight, 100) + 'px';
-        
-        // Adjust messages container height
-        const messagesContainer = document.getElementById('messagesContainer');
-        if (messagesContainer) {
-            const inputHeight = input.offsetHeight;
-            const maxInputHeight = 100;
-            const heightDiff = inputHeight - 40; // Default input height
-            
-            if (heightDiff > 0) {
-                messagesContainer.style.marginBottom = `${heightDiff}px`;
-            } else {
-                messagesContainer.style.marginBottom = '0';
+    // Connect to a contact who is nearby, or look up their current peer ID
+    // when they are online but outside the discovery range
+    async openContact(identityId) {
+        const contact = this.knownIdentities.get(identityId);
+        const nearby = this.findNearbyPeerByIdentity(identityId);
+        if (nearby) {
+            this.connectToUser(nearby.peerId, nearby.username, nearby.avatar, this.describeDistance(nearby));
+            return;
+        }
+
+        try {
+            const response = await fetch(
+                `/identity/${encodeURIComponent(identityId)}?peerId=${encodeURIComponent(this.peer.id)}`
+            );
+            if (response.status === 404) {
+                this.showNotification(`${contact?.username || 'This contact'} isn't online right now`, 'info');
+                return;
             }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: Failed to look up contact`);
+            }
+
+            const peer = await response.json();
+            this.peerIdentities.set(peer.peerId, identityId);
+            this.connectToUser(peer.peerId, peer.username, peer.avatar, 'Out of range');
+        } catch (error) {
+            console.error('❌ Contact lookup failed:', error);
+            this.showNotification('Could not reach this contact', 'error');
         }
     }
 
-    // 10. Mobile Safe Area Handling
-    handleMobileSafeArea() {
-        if (!this.isMobileDevice()) return;
-        
-        const root = document.documentElement;
-        
-        // Set CSS custom properties for safe areas
-        if (window.CSS && CSS.supports && CSS.supports('padding', 'env(safe-area-inset-top)')) {
-            root.style.setProperty('--safe-area-top', 'env(safe-area-inset-top)');
-            root.style.setProperty('--safe-area-bottom', 'env(safe-area-inset-bottom)');
-            root.style.setProperty('--safe-area-left', 'env(safe-area-inset-left)');
-            root.style.setProperty('--safe-area-right', 'env(safe-area-inset-right)');
+    // =============================================================================
+    // BLOCKING
+    // =============================================================================
+
+    // Blocked identities are flagged in `knownIdentities`, so a block follows
+    // the person across peer ID changes. Peers without a stable identity can
+    // only be blocked by peer ID: that is saved too, but stops working once
+    // they come back under a new one, and the settings panel says so. The
+    // list also goes to the server, which keeps both sides out of each
+    // other's discovery and room member lists; anything that still gets
+    // through is dropped here.
+    isBlocked(peerId, identityId = this.peerIdentities.get(peerId)) {
+        return this.blockedPeerIds.has(peerId) ||
+            !!(identityId && this.knownIdentities.get(identityId)?.blocked);
+    }
+
+    loadBlockedPeerIds() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('lettalky-blocked-peers') || '[]');
+            this.blockedPeerIds = new Set(saved.filter(peerId => typeof peerId === 'string'));
+        } catch (error) {
+            console.error('Failed to load blocked peers:', error);
         }
     }
 
-    // 11. Mobile Notification Positioning
-    showMobileNotification(message, type = 'info') {
-        if (!this.isMobileDevice()) return this.showNotification(message, type);
-        
-        // Position notifications at top for mobile
-        const notification = document.createElement('div');
-        notification.className = `notification mobile-notification ${type}`;
-        notification.textContent = message;
-        
-        // Create container if it doesn't exist
-        let container = document.getElementById('mobileNotificationContainer');
-        if (!container) {
-            container = document.createElement('div');
-            container.id = 'mobileNotificationContainer';
-            container.className = 'mobile-notification-container';
-            document.body.appendChild(container);
+    // Oldest first, so the cap drops the blocks least likely to still matter
+    saveBlockedPeerIds() {
+        const peerIds = Array.from(this.blockedPeerIds).slice(-LetTalkyApp.MAX_BLOCKED_PEER_IDS);
+        this.blockedPeerIds = new Set(peerIds);
+        try {
+            localStorage.setItem('lettalky-blocked-peers', JSON.stringify(peerIds));
+        } catch (error) {
+            console.error('Failed to save blocked peers:', error);
         }
-        
-        container.appendChild(notification);
-        
-        // Show notification
-        setTimeout(() => notification.classList.add('show'), 10);
-        
-        // Remove after delay
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
     }
 
-    // 12. Mobile Haptic Feedback
-    provideMobileHapticFeedback(type = 'light') {
-        if (!this.isMobileDevice()) return;
-        
-        if ('vibrate' in navigator) {
-            switch (type) {
-                case 'light':
-                    navigator.vibrate(50);
-                    break;
-                case 'medium':
-                    navigator.vibrate(100);
-                    break;
-                case 'heavy':
-                    navigator.vibrate(200);
-                    break;
-                case 'success':
-                    navigator.vibrate([100, 50, 100]);
-                    break;
-                case 'error':
-                    navigator.vibrate([200, 100, 200]);
-                    break;
-            }
+    getBlocklist() {
+        const identities = Array.from(this.knownIdentities.entries())
+            .filter(([, details]) => details.blocked)
+            .map(([identityId]) => identityId);
+        return [...identities, ...this.blockedPeerIds];
+    }
+
+    confirmBlock(name) {
+        return confirm(`Block ${name}? You won't see each other nearby and they can't reach you.`);
+    }
+
+    blockPeer(peerId, profile, identityId = this.peerIdentities.get(peerId)) {
+        const name = profile?.username || 'this user';
+        if (identityId) {
+            this.rememberIdentity(identityId, {
+                blocked: true,
+                starred: false,
+                autoAcceptFiles: false,
+                username: profile?.username,
+                avatar: profile?.avatar
+            });
+            this.syncWatchlist();
+            this.renderContacts();
+        } else {
+            this.blockedPeerIds.add(peerId);
+            this.saveBlockedPeerIds();
         }
+
+        this.disconnectBlockedPeer(peerId);
+        this.syncBlocklist();
+        this.showNotification(
+            identityId ? `${name} blocked` : `${name} blocked until they reconnect with a new ID`,
+            'info'
+        );
     }
 
-    // 13. Mobile Connection Status Indicator
-    showMobileConnectionStatus(status) {
-        if (!this.isMobileDevice()) return;
-        
-        const indicator = document.getElementById('mobileConnectionStatus') || document.createElement('div');
-        indicator.id = 'mobileConnectionStatus';
-        indicator.className = `mobile-connection-status ${status}`;
-        
-        switch (status) {
-            case 'connecting':
-                indicator.textContent = 'Connecting...';
-                indicator.className += ' connecting';
-                break;
-            case 'connected':
-                indicator.textContent = 'Connected';
-                indicator.className += ' connected';
-                break;
-            case 'disconnected':
-                indicator.textContent = 'Disconnected';
-                indicator.className += ' disconnected';
-                break;
+    unblock(id) {
+        if (this.blockedPeerIds.delete(id)) {
+            this.saveBlockedPeerIds();
+            this.syncBlocklist();
+        } else if (this.knownIdentities.get(id)?.blocked) {
+            this.rememberIdentity(id, { blocked: false });
+            this.syncBlocklist();
         }
-        
-        if (!indicator.parentNode) {
-            document.body.appendChild(indicator);
+        this.renderBlockedUsers();
+    }
+
+    disconnectBlockedPeer(peerId) {
+        const connection = this.connections.get(peerId);
+        if (connection) connection.close();
+        this.cleanupConnection(peerId);
+
+        if (this.activeCall?.peerId === peerId) this.endCall();
+        if (this.incomingCall?.peerId === peerId) this.dismissIncomingCall();
+        if (this.activeChatUser?.peerId === peerId) this.closeChatInterface();
+        if (this.incomingConnectionRequest?.sender.peerId === peerId) this.hideIncomingRequestDialog();
+
+        // Nothing queued for them should go out if they are unblocked later
+        const conversationId = this.getConversationId(peerId);
+        if (this.messageQueue.delete(conversationId)) this.persistOutbox(conversationId);
+        this.removeUserItem(peerId);
+    }
+
+    blockActiveChatUser() {
+        if (!this.activeChatUser || this.activeChatUser.roomId) return;
+        const { peerId, username, avatar } = this.activeChatUser;
+        if (this.confirmBlock(username)) this.blockPeer(peerId, { username, avatar });
+    }
+
+    async blockIncomingRequest() {
+        if (!this.incomingConnectionRequest) return;
+        const { sender, identity } = this.incomingConnectionRequest;
+        if (!this.confirmBlock(sender.username)) return;
+
+        // The identity has not been through the handshake yet, but blocking
+        // whoever presents this key is harmless even if the claim is false
+        let identityId = null;
+        try {
+            identityId = identity ? await this.identityIdFromPublicKey(identity.publicKey) : null;
+        } catch (error) {
+            identityId = null;
         }
-        
-        // Auto-hide after 3 seconds for success states
-        if (status === 'connected') {
-            setTimeout(() => {
-                if (indicator.parentNode) {
-                    indicator.style.opacity = '0';
-                    setTimeout(() => {
-                        if (indicator.parentNode) {
-                            indicator.parentNode.removeChild(indicator);
-                        }
-                    }, 300);
-                }
-            }, 3000);
+        this.blockPeer(sender.peerId, sender, identityId);
+    }
+
+    async syncBlocklist() {
+        if (!this.peer?.id) return;
+
+        try {
+            const response = await fetch('/blocklist', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    peerId: this.peer.id,
+                    blocked: this.getBlocklist()
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: Failed to update blocklist`);
+            }
+        } catch (error) {
+            console.error('❌ Blocklist sync failed:', error);
         }
     }
 
-    // 14. Mobile Debug Helper
-    debugMobileState() {
-        if (!this.isMobileDevice()) return;
-        
-        console.log('📱 Mobile Debug State:');
-        console.log('- Is Mobile:', this.isMobile);
-        console.log('- Mobile Nav State:', this.mobileNavState);
-        console.log('- Viewport Size:', window.innerWidth, 'x', window.innerHeight);
-        console.log('- Visual Viewport:', window.visualViewport?.width, 'x', window.visualViewport?.height);
-        console.log('- Active Chat User:', this.activeChatUser);
-        console.log('- Chat Area Active:', document.querySelector('.chat-area.active') !== null);
-        console.log('- Sidebar Chat Open:', document.querySelector('.sidebar.chat-open') !== null);
+    renderBlockedUsers() {
+        const container = document.getElementById('blockedUsers');
+        if (!container) return;
+
+        const entries = [
+            ...Array.from(this.knownIdentities.entries()).filter(([, details]) => details.blocked),
+            ...Array.from(this.blockedPeerIds, peerId => [peerId, { username: `Peer ${peerId.slice(0, 8)}` }])
+        ];
+
+        container.innerHTML = entries.length === 0 ? '<div class="blocked-empty">Nobody is blocked</div>' : '';
+        entries.forEach(([id, details]) => {
+            const item = document.createElement('div');
+            item.className = 'auto-accept-item';
+            item.innerHTML = `
+                <span>${this.escapeHtml(details.avatar || '🚫')}</span>
+                <span class="auto-accept-name">${this.escapeHtml(details.username || 'Unknown user')}</span>
+                <button type="button">Unblock</button>
+            `;
+            item.querySelector('button').addEventListener('click', () => this.unblock(id));
+            container.appendChild(item);
+        });
     }
 
-    // 15. Mobile Initialization
-    initializeMobileFeatures() {
-        if (!this.isMobileDevice()) return;
-        
-        console.log('📱 Initializing mobile features');
-        
-        // Initialize mobile state
-        this.initializeMobileState();
-        
-        // Handle safe areas
-        this.handleMobileSafeArea();
-        
-        // Initialize touch gestures
-        this.initializeMobileTouchGestures();
-        
-        // Listen for viewport changes (keyboard)
-        if (window.visualViewport) {
-            window.visualViewport.addEventListener('resize', () => {
-                this.adjustForMobileKeyboard();
+    // =============================================================================
+    // REPORTING
+    // =============================================================================
+
+    // Reports go to the server's moderation queue. Messages are end-to-end
+    // encrypted, so the reporter decides whether moderators get to see the
+    // recent ones; they are copied from the open conversation.
+    openReportDialog() {
+        if (!this.activeChatUser || this.activeChatUser.roomId) return;
+
+        const { peerId, username } = this.activeChatUser;
+        this.reportTarget = { peerId, username, identityId: this.peerIdentities.get(peerId) || null };
+
+        const name = document.getElementById('reportUserName');
+        const details = document.getElementById('reportDetails');
+        const attach = document.getElementById('reportAttachMessages');
+        if (name) name.textContent = username;
+        if (details) details.value = '';
+        if (attach) attach.checked = true;
+
+        const modal = document.getElementById('reportModal');
+        if (modal) modal.classList.add('show');
+    }
+
+    hideReportDialog() {
+        this.reportTarget = null;
+        this.hideModal('reportModal');
+    }
+
+    collectReportMessages() {
+        return Array.from(document.querySelectorAll('#messagesContainer .message'))
+            .filter(element => element.messageData && !element.classList.contains('deleted'))
+            .slice(-LetTalkyApp.MAX_REPORT_MESSAGES)
+            .map(element => {
+                const direction = element.classList.contains('outgoing') ? 'outgoing' : 'incoming';
+                const { content, file, timestamp } = element.messageData;
+                const revision = this.getMessageRevision(element.messageData, direction);
+                return {
+                    direction,
+                    content: revision?.content ?? content ?? (file ? `[file] ${file.name}` : ''),
+                    timestamp
+                };
+            })
+            .filter(message => message.content);
+    }
+
+    async submitReport() {
+        const target = this.reportTarget;
+        if (!target || !this.peer?.id) return;
+
+        const reason = document.getElementById('reportReason')?.value || 'other';
+        const details = document.getElementById('reportDetails')?.value.trim() || '';
+        const attach = document.getElementById('reportAttachMessages')?.checked;
+        const alsoBlock = document.getElementById('reportAlsoBlock')?.checked;
+
+        try {
+            const response = await fetch('/reports', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    peerId: this.peer.id,
+                    targetPeerId: target.peerId,
+                    targetIdentityId: target.identityId,
+                    reason,
+                    details,
+                    messages: attach ? this.collectReportMessages() : []
+                })
             });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Report failed');
+            }
+
+            this.hideReportDialog();
+            this.showNotification(`Thanks, ${target.username} has been reported to the moderators`, 'success');
+            if (alsoBlock) this.blockPeer(target.peerId, { username: target.username }, target.identityId);
+        } catch (error) {
+            console.error('❌ Report failed:', error);
+            this.showNotification(error.message || 'Could not send the report', 'error');
         }
-        
-        // Listen for orientation changes
-        window.addEventListener('orientationchange', () => {
-            setTimeout(() => {
-                this.handleMobileOrientationChange();
-            }, 100);
+    }
+
+    // Moderator warnings arrive on the presence stream or with a heartbeat
+    // or registration response
+    showModerationWarnings(warnings) {
+        if (!Array.isArray(warnings)) return;
+        warnings.forEach(warning => {
+            if (typeof warning?.message !== 'string') return;
+            this.showNotification(`⚠️ Moderator warning: ${warning.message}`, 'error');
         });
-        
-        // Enhanced message input for mobile
-        const messageInput = document.getElementById('messageInput');
-        if (messageInput) {
-            messageInput.addEventListener('input', () => {
-                this.handleMobileMessageInput(messageInput);
-            });
+    }
+
+    // =============================================================================
+    // SERVER NOTICES
+    // =============================================================================
+
+    // Maintenance notices set by an operator. They come with registration
+    // and heartbeat responses and as presence events; null clears the banner.
+    showServerNotice(notice) {
+        const banner = document.getElementById('serverNotice');
+        const text = document.getElementById('serverNoticeText');
+        if (!banner || !text || notice === undefined) return;
+
+        if (!notice || typeof notice.message !== 'string' || notice.issuedAt === this.dismissedNoticeAt) {
+            banner.hidden = true;
+            return;
         }
-        
-        console.log('✅ Mobile features initialized');
+        text.textContent = `📢 ${notice.message}`;
+        banner.dataset.issuedAt = notice.issuedAt;
+        banner.classList.remove('kicked');
+        banner.hidden = false;
     }
 
-        // 16. Mobile-Specific Notification for Call Features
-    showMobileNotification(message, type = 'info') {
-        console.log('📱 Mobile notification:', message, type);
-        
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.style.position = 'fixed';
-        notification.style.top = '20px';
-        notification.style.left = '50%';
-        notification.style.transform = 'translateX(-50%)';
-        notification.style.backgroundColor = type === 'error' ? '#ff4444' : 
-                                            type === 'success' ? '#44bb44' : '#4267B2';
-        notification.style.color = 'white';
-        notification.style.padding = '12px 20px';
-        notification.style.borderRadius = '8px';
-        notification.style.fontSize = '14px';
-        notification.style.fontWeight = '600';
-        notification.style.boxShadow = '0 4px 12px rgba(0,0,0,0.3)';
-        notification.style.zIndex = '10000';
-        notification.style.maxWidth = '300px';
-        notification.style.textAlign = 'center';
-        notification.textContent = message;
-        
-        // Add to page
-        document.body.appendChild(notification);
-        
-        // Auto-remove after 3 seconds
-        setTimeout(() => {
-            if (notification.parentNode) {
-                document.body.removeChild(notification);
-            }
-        }, 3000);
-        
-        // Add haptic feedback
-        this.provideMobileHapticFeedback('light');
+    dismissServerNotice() {
+        const banner = document.getElementById('serverNotice');
+        if (!banner) return;
+        this.dismissedNoticeAt = Number(banner.dataset.issuedAt) || null;
+        banner.hidden = true;
+    }
+
+    // An operator ended this session. Shut everything down rather than
+    // re-registering, and leave the reason on screen.
+    handleKicked(message) {
+        console.warn('👢 Removed by an operator:', message);
+        this.cleanup();
+
+        const banner = document.getElementById('serverNotice');
+        const text = document.getElementById('serverNoticeText');
+        if (banner && text) {
+            text.textContent = `${message}. Reload the page to join again.`;
+            banner.classList.add('kicked');
+            banner.hidden = false;
+        }
+        this.showNotification(message, 'error');
+    }
+
+    // =============================================================================
+    // GROUP ROOMS
+    // =============================================================================
+
+    // Rooms are anchored to a place; the server tracks membership and members
+    // talk over a full mesh of DataConnections. Every link does the same
+    // ECDH handshake as a 1:1 chat, so room messages are encrypted per member.
+    roomChatId(roomId) {
+        return `room:${roomId}`;
     }
 
-    // 17. Mobile Voice Call Handler
-    handleMobileVoiceCall() {
-        console.log('📱 Mobile voice call button clicked');
-        this.showMobileNotification('Voice calling feature coming soon!', 'info');
+    startRoomDiscovery() {
+        if (this.roomDiscoveryInterval) return;
+
+        this.refreshRooms();
+        this.roomDiscoveryInterval = setInterval(() => {
+            this.refreshRooms();
+        }, 60000);
+    }
+
+    async refreshRooms() {
+        if (!this.peer || !this.peer.open) return;
+
+        try {
+            const response = await fetch(`/rooms?peerId=${encodeURIComponent(this.peer.id)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: Failed to fetch rooms`);
+            }
+
+            const data = await response.json();
+            const previous = this.rooms;
+            this.rooms = new Map(data.rooms.map(room => [room.roomId, room]));
+
+            // The server drops members who wander out of the area
+            previous.forEach(room => {
+                if (room.joined && !this.rooms.get(room.roomId)?.joined) {
+                    this.handleRemovedFromRoom(room, 'You left the room area');
+                }
+            });
+
+            this.rooms.forEach(room => {
+                if (room.joined) this.connectRoomMembers(room, false);
+            });
+            this.renderRooms();
+            this.updateRoomHeader();
+        } catch (error) {
+            console.error('❌ Error discovering rooms:', error);
+        }
+    }
+
+    renderRooms() {
+        const list = document.getElementById('roomsList');
+        if (!list) return;
+
+        const rooms = Array.from(this.rooms.values());
+        const count = document.getElementById('roomsCount');
+        if (count) count.textContent = rooms.length.toString();
+
+        if (rooms.length === 0) {
+            list.innerHTML = '<div class="rooms-empty">No rooms here yet. Start one for the people around you.</div>';
+            return;
+        }
+
+        list.replaceChildren(...rooms.map(room => {
+            const item = document.createElement('div');
+            item.className = 'user-item room-item';
+            item.classList.toggle('joined', room.joined);
+            item.classList.toggle('active', this.activeChatUser?.roomId === room.roomId);
+            item.dataset.roomId = room.roomId;
+            item.innerHTML = `
+                <div class="user-avatar" style="width: 40px; height: 40px; font-size: 18px;">👥</div>
+                <div class="user-info">
+                    <div class="user-name"></div>
+                    <div class="user-distance"></div>
+                </div>
+            `;
+            item.querySelector('.user-name').textContent = room.name;
+            item.querySelector('.user-distance').textContent =
+                `${room.memberCount}/${room.maxMembers} here • ${room.joined ? 'joined' : this.describeDistance(room)}`;
+            return item;
+        }));
+    }
+
+    showCreateRoomDialog() {
+        const nameInput = document.getElementById('roomNameInput');
+        if (nameInput) nameInput.value = '';
+
+        const modal = document.getElementById('createRoomModal');
+        if (modal) {
+            modal.classList.add('show');
+            setTimeout(() => nameInput?.focus(), 100);
+        }
+    }
+
+    async createRoom() {
+        const name = document.getElementById('roomNameInput')?.value.trim() || '';
+        const radius = parseInt(document.getElementById('roomRadiusSelect')?.value) || 200;
+
+        if (name.length < 3) {
+            this.showNotification('Give the room a name of at least 3 characters', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/rooms', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ peerId: this.peer.id, name, radius })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to create room');
+            }
+
+            this.rooms.set(result.room.roomId, result.room);
+            this.hideModal('createRoomModal');
+            this.renderRooms();
+            this.openRoomChat(result.room.roomId);
+            this.showNotification(`Room "${result.room.name}" created`, 'success');
+        } catch (error) {
+            console.error('❌ Room creation failed:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async joinRoom(roomId) {
+        try {
+            const response = await fetch(`/rooms/${encodeURIComponent(roomId)}/join`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ peerId: this.peer.id })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to join room');
+            }
+
+            this.rooms.set(roomId, result.room);
+            this.renderRooms();
+            // Newcomers open the links; existing members just answer
+            this.connectRoomMembers(result.room, true);
+            this.openRoomChat(roomId);
+            this.showNotification(`Joined ${result.room.name}`, 'success');
+        } catch (error) {
+            console.error('❌ Room join failed:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async leaveRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        await Promise.all((room.members || []).map(member =>
+            this.e2eSessions.has(member.peerId)
+                ? this.sendSecure(member.peerId, { type: 'room_leave', roomId }).catch(() => {})
+                : null
+        ));
+
+        try {
+            await fetch(`/rooms/${encodeURIComponent(roomId)}/leave`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ peerId: this.peer.id })
+            });
+        } catch (error) {
+            console.error('❌ Room leave failed:', error);
+        }
+
+        this.handleRemovedFromRoom(room, `You left ${room.name}`);
+        this.refreshRooms();
+    }
+
+    handleRemovedFromRoom(room, message) {
+        const current = this.rooms.get(room.roomId);
+        if (current) {
+            current.joined = false;
+            current.members = undefined;
+        }
+
+        (room.members || []).forEach(member => this.releaseRoomLink(member.peerId));
+
+        if (this.activeChatUser?.roomId === room.roomId) {
+            this.closeChatInterface();
+        }
+        this.renderRooms();
+        this.showNotification(message, 'info');
+    }
+
+    // Opens mesh links to members we are not connected to yet. On join we
+    // dial everyone; on later refreshes only the lower peer ID dials, so two
+    // members never open duplicate links to each other.
+    connectRoomMembers(room, isJoining) {
+        (room.members || []).forEach(member => {
+            if (member.peerId === this.peer.id) return;
+            if (this.pendingRoomLinks.has(member.peerId)) return;
+            if (this.e2eSessions.has(member.peerId) && this.isConnectedToPeer(member.peerId)) return;
+            if (!isJoining && this.peer.id > member.peerId) return;
+
+            this.openRoomLink(room.roomId, member);
+        });
+    }
+
+    openRoomLink(roomId, member) {
+        this.pendingRoomLinks.add(member.peerId);
+
+        const connection = this.peer.connect(member.peerId, {
+            reliable: true,
+            serialization: 'json',
+            metadata: { roomId }
+        });
+
+        connection.on('open', async () => {
+            this.connections.set(member.peerId, connection);
+            this.setupConnectionEventListeners(connection);
+            const nonce = this.createHandshakeNonce(member.peerId);
+            connection.send({
+                type: 'room_hello',
+                roomId,
+                sender: {
+                    peerId: this.peer.id,
+                    username: this.currentUsername,
+                    avatar: this.currentAvatar
+                },
+                publicKey: await this.getE2EPublicKey(),
+                nonce,
+                identity: await this.getIdentityProof(member.peerId, nonce)
+            });
+        });
+
+        connection.on('error', (error) => {
+            console.error('❌ Room link error:', error);
+            this.pendingRoomLinks.delete(member.peerId);
+        });
+
+        connection.on('close', () => {
+            this.pendingRoomLinks.delete(member.peerId);
+        });
+    }
+
+    // Only accept mesh links from people the server lists as members
+    async findRoomMember(roomId, peerId) {
+        let room = this.rooms.get(roomId);
+        if (!room?.joined) return null;
+
+        let member = room.members?.find(m => m.peerId === peerId);
+        if (member) return member;
+
+        try {
+            const response = await fetch(
+                `/rooms/${encodeURIComponent(roomId)}?peerId=${encodeURIComponent(this.peer.id)}`
+            );
+            if (!response.ok) return null;
+
+            room = (await response.json()).room;
+            this.rooms.set(roomId, room);
+            this.renderRooms();
+            this.updateRoomHeader();
+            return room.members?.find(m => m.peerId === peerId) || null;
+        } catch (error) {
+            console.error('❌ Room membership check failed:', error);
+            return null;
+        }
+    }
+
+    async handleRoomHello(peerId, data) {
+        const connection = this.connections.get(peerId);
+        const member = await this.findRoomMember(data.roomId, peerId);
+        if (!member) {
+            console.warn('🚪 Rejecting room link from non-member:', peerId);
+            if (connection) connection.close();
+            return;
+        }
+
+        try {
+            await this.establishE2ESession(peerId, data.publicKey, data.identity, data.sender,
+                { roomOnly: true, nonce: data.nonce });
+        } catch (error) {
+            console.error('❌ Room key exchange failed:', error);
+            if (connection) connection.close();
+            return;
+        }
+
+        if (connection && connection.open) {
+            connection.send({
+                type: 'room_welcome',
+                roomId: data.roomId,
+                sender: {
+                    peerId: this.peer.id,
+                    username: this.currentUsername,
+                    avatar: this.currentAvatar
+                },
+                publicKey: await this.getE2EPublicKey(),
+                identity: await this.getIdentityProof(peerId, data.nonce)
+            });
+        }
+    }
+
+    async handleRoomWelcome(peerId, data) {
+        this.pendingRoomLinks.delete(peerId);
+        const nonce = this.handshakeNonces.get(peerId);
+        this.handshakeNonces.delete(peerId);
+
+        const member = await this.findRoomMember(data.roomId, peerId);
+        if (!member) {
+            this.connections.get(peerId)?.close();
+            return;
+        }
+
+        try {
+            await this.establishE2ESession(peerId, data.publicKey, data.identity, data.sender, { roomOnly: true, nonce });
+            this.updateRoomHeader();
+        } catch (error) {
+            console.error('❌ Room key exchange failed:', error);
+            this.connections.get(peerId)?.close();
+        }
+    }
+
+    // Closes a mesh link unless a 1:1 chat or another room still uses it
+    releaseRoomLink(peerId) {
+        if (this.getCachedUserInfo(peerId)) return;
+
+        const stillNeeded = Array.from(this.rooms.values()).some(room =>
+            room.joined && room.members?.some(member => member.peerId === peerId)
+        );
+        if (stillNeeded) return;
+
+        const connection = this.connections.get(peerId);
+        if (connection) connection.close();
+    }
+
+    handleRoomMemberLeft(roomId, peerId) {
+        const room = this.rooms.get(roomId);
+        if (!room?.members) return;
+
+        room.members = room.members.filter(member => member.peerId !== peerId);
+        room.memberCount = room.members.length;
+        this.releaseRoomLink(peerId);
+        this.renderRooms();
+        this.updateRoomHeader();
+    }
+
+    async sendRoomMessage(roomId, content) {
+        const room = this.rooms.get(roomId);
+        if (!room?.joined) {
+            this.showNotification('You are no longer in this room', 'error');
+            return;
+        }
+
+        const messageData = {
+            type: 'room_message',
+            roomId,
+            content,
+            timestamp: Date.now(),
+            sender: this.currentUsername,
+            avatar: this.currentAvatar
+        };
+
+        const recipients = (room.members || []).filter(member =>
+            member.peerId !== this.peer.id && this.e2eSessions.has(member.peerId)
+        );
+        const results = await Promise.allSettled(
+            recipients.map(member => this.sendSecure(member.peerId, messageData))
+        );
+        const failed = results.filter(result => result.status === 'rejected').length;
+        if (failed < recipients.length) this.activityCounts.messagesSent++;
+
+        this.displayMessage(messageData, 'outgoing');
+        this.saveToHistory(this.roomChatId(roomId), messageData, 'outgoing');
+
+        if (recipients.length === 0) {
+            this.showNotification('Nobody else in the room is connected yet', 'info');
+        } else if (failed > 0) {
+            this.showNotification(`Message didn't reach ${failed} of ${recipients.length} members`, 'error');
+        }
+    }
+
+    async receiveRoomMessage(peerId, data) {
+        const member = await this.findRoomMember(data.roomId, peerId);
+        if (!member) return;
+
+        // Show the name the server registered, not whatever the sender claims
+        data.sender = member.username;
+        data.avatar = member.avatar;
+
+        const room = this.rooms.get(data.roomId);
+        const chatId = this.roomChatId(data.roomId);
+        this.saveToHistory(chatId, data, 'incoming');
+        this.activityCounts.messagesReceived++;
+
+        if (this.activeChatUser?.peerId === chatId) {
+            this.displayMessage(data, 'incoming');
+        } else {
+            this.showNotification(`New message in ${room?.name || 'a room'}`, 'info');
+        }
+        this.playNotificationSound();
+    }
+
+    openRoomChat(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+
+        this.openChatInterface(this.roomChatId(roomId), room.name, '👥');
+        this.renderRooms();
+    }
+
+    // Room chats reuse the 1:1 chat view with a few header changes
+    updateRoomHeader() {
+        const chatInterface = document.getElementById('chatInterface');
+        if (!this.activeChatUser) return;
+
+        const { peerId } = this.activeChatUser;
+        const roomId = peerId.startsWith('room:') ? peerId.slice(5) : null;
+        this.activeChatUser.roomId = roomId;
+        if (chatInterface) chatInterface.classList.toggle('room-mode', !!roomId);
+
+        const statusInfo = document.querySelector('.chat-user-status .status-info');
+        if (!statusInfo) return;
+
+        const room = roomId && this.rooms.get(roomId);
+        if (room) {
+            const connected = (room.members || []).filter(member => this.e2eSessions.has(member.peerId)).length;
+            statusInfo.textContent = `${room.memberCount} members • ${connected} connected`;
+        } else if (!roomId) {
+            const user = this.nearbyUsers.get(peerId);
+            statusInfo.textContent = user
+                ? `${user.status === 'online' ? 'Online' : 'Away'} • ${this.describeDistance(user)} away`
+                : 'Online';
+        }
+    }
+
+    // =============================================================================
+    // VOICE & VIDEO CALLS
+    // =============================================================================
+
+    // Ringing, accept, decline and hang-up travel over the encrypted data
+    // channel. The media call itself is only answered when it carries the
+    // callId agreed there, so nobody can push a stream at us unannounced.
+    async startCall(kind) {
+        if (!this.activeChatUser || this.activeChatUser.roomId) return;
+
+        const { peerId, username, avatar } = this.activeChatUser;
+        if (this.activeCall) {
+            this.showNotification('You are already in a call', 'info');
+            return;
+        }
+        if (!this.isConnectedToPeer(peerId) || !this.hasChatSession(peerId)) {
+            this.showNotification(`Connect with ${username} before calling`, 'error');
+            return;
+        }
+
+        let localStream;
+        try {
+            localStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: kind === 'video' });
+        } catch (error) {
+            console.error('❌ Could not access microphone/camera:', error);
+            this.showNotification('Allow microphone and camera access to call', 'error');
+            return;
+        }
+
+        const callId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.activeCall = {
+            callId,
+            peerId,
+            username,
+            avatar,
+            kind,
+            direction: 'outgoing',
+            status: 'ringing',
+            localStream,
+            mediaConnection: null,
+            ringTimeout: setTimeout(() => this.hangUp('No answer'), LetTalkyApp.CALL_RING_TIMEOUT)
+        };
+        this.showCallOverlay();
+
+        try {
+            await this.sendSecure(peerId, {
+                type: 'call_ring',
+                callId,
+                kind,
+                username: this.currentUsername,
+                avatar: this.currentAvatar
+            });
+        } catch (error) {
+            console.error('❌ Failed to ring peer:', error);
+            this.endCall('Call failed');
+        }
+    }
+
+    async handleCallRing(peerId, data) {
+        if (this.activeCall || this.incomingCall) {
+            this.sendSecure(peerId, { type: 'call_decline', callId: data.callId, reason: 'busy' })
+                .catch(error => console.error('Failed to send busy signal:', error));
+            return;
+        }
+
+        const known = this.getCachedUserInfo(peerId);
+        this.incomingCall = {
+            callId: data.callId,
+            peerId,
+            kind: data.kind === 'video' ? 'video' : 'voice',
+            username: known?.username || data.username,
+            avatar: known?.avatar || data.avatar,
+            ringtone: setInterval(() => this.playNotificationSound(), 2000),
+            timeout: setTimeout(() => this.dismissIncomingCall(), LetTalkyApp.CALL_RING_TIMEOUT)
+        };
+        this.playNotificationSound();
+
+        const { username, avatar, kind } = this.incomingCall;
+        const title = document.getElementById('incomingCallTitle');
+        const callerName = document.getElementById('callerName');
+        const callerAvatar = document.getElementById('callerAvatar');
+        const callerMessage = document.getElementById('callerMessage');
+        if (title) title.textContent = kind === 'video' ? 'Incoming Video Call' : 'Incoming Voice Call';
+        if (callerName) callerName.textContent = username;
+        if (callerAvatar) callerAvatar.textContent = avatar;
+        if (callerMessage) callerMessage.textContent = `is ${kind === 'video' ? 'video ' : ''}calling you`;
+
+        const modal = document.getElementById('incomingCallModal');
+        if (modal) {
+            modal.classList.add('show');
+        }
+    }
+
+    dismissIncomingCall() {
+        if (!this.incomingCall) return;
+
+        clearInterval(this.incomingCall.ringtone);
+        clearTimeout(this.incomingCall.timeout);
+        this.incomingCall = null;
+        this.hideModal('incomingCallModal');
+    }
+
+    async acceptIncomingCall() {
+        const call = this.incomingCall;
+        if (!call) return;
+        this.dismissIncomingCall();
+
+        let localStream;
+        try {
+            localStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: call.kind === 'video' });
+        } catch (error) {
+            console.error('❌ Could not access microphone/camera:', error);
+            this.showNotification('Allow microphone and camera access to answer', 'error');
+            this.sendSecure(call.peerId, { type: 'call_decline', callId: call.callId, reason: 'unavailable' })
+                .catch(() => {});
+            return;
+        }
+
+        this.activeCall = {
+            callId: call.callId,
+            peerId: call.peerId,
+            username: call.username,
+            avatar: call.avatar,
+            kind: call.kind,
+            direction: 'incoming',
+            status: 'connecting',
+            localStream,
+            mediaConnection: null,
+            ringTimeout: null
+        };
+
+        if (this.activeChatUser?.peerId !== call.peerId) {
+            this.openChatInterface(call.peerId, call.username, call.avatar);
+        }
+        this.showCallOverlay();
+
+        try {
+            await this.sendSecure(call.peerId, { type: 'call_accept', callId: call.callId });
+        } catch (error) {
+            console.error('❌ Failed to accept call:', error);
+            this.endCall('Call failed');
+        }
+    }
+
+    declineIncomingCall() {
+        const call = this.incomingCall;
+        if (!call) return;
+        this.dismissIncomingCall();
+
+        this.sendSecure(call.peerId, { type: 'call_decline', callId: call.callId, reason: 'declined' })
+            .catch(error => console.error('Failed to decline call:', error));
+    }
+
+    // Caller side: the callee agreed, so place the media call
+    handleCallAccepted(peerId, data) {
+        const call = this.activeCall;
+        if (!call || call.peerId !== peerId || call.callId !== data.callId || call.status !== 'ringing') return;
+
+        clearTimeout(call.ringTimeout);
+        call.status = 'connecting';
+        call.mediaConnection = this.peer.call(peerId, call.localStream, { metadata: { callId: call.callId } });
+        this.setupMediaConnection(call.mediaConnection);
+        this.updateCallStatus();
+    }
+
+    handleCallDeclined(peerId, data) {
+        const call = this.activeCall;
+        if (!call || call.peerId !== peerId || call.callId !== data.callId) return;
+
+        this.endCall(data.reason === 'busy' ? `${call.username} is on another call` : `${call.username} declined the call`);
+    }
+
+    handleCallEnded(peerId, data) {
+        if (this.incomingCall?.peerId === peerId && this.incomingCall.callId === data.callId) {
+            this.dismissIncomingCall();
+            this.showNotification(`Missed call from ${this.getCachedUserInfo(peerId)?.username || 'a contact'}`, 'info');
+            return;
+        }
+
+        const call = this.activeCall;
+        if (!call || call.peerId !== peerId || call.callId !== data.callId) return;
+        this.endCall('Call ended');
+    }
+
+    // Callee side: answer only the media call we agreed to over the data channel
+    handleIncomingMediaCall(mediaConnection) {
+        const call = this.activeCall;
+        const expected = call &&
+            call.direction === 'incoming' &&
+            call.status === 'connecting' &&
+            call.peerId === mediaConnection.peer &&
+            mediaConnection.metadata?.callId === call.callId;
+
+        if (!expected) {
+            console.warn('📵 Rejecting unexpected media call from:', mediaConnection.peer);
+            mediaConnection.close();
+            return;
+        }
+
+        call.mediaConnection = mediaConnection;
+        this.setupMediaConnection(mediaConnection);
+        mediaConnection.answer(call.localStream);
+    }
+
+    setupMediaConnection(mediaConnection) {
+        mediaConnection.on('stream', (remoteStream) => {
+            const call = this.activeCall;
+            if (!call || call.mediaConnection !== mediaConnection) return;
+
+            call.status = 'active';
+            call.startedAt = call.startedAt || Date.now();
+            const remoteVideo = document.getElementById('remoteVideo');
+            if (remoteVideo) {
+                remoteVideo.srcObject = remoteStream;
+            }
+            this.startCallTimer();
+            this.updateCallStatus();
+        });
+
+        mediaConnection.on('close', () => {
+            if (this.activeCall?.mediaConnection === mediaConnection) {
+                this.endCall('Call ended');
+            }
+        });
+
+        mediaConnection.on('error', (error) => {
+            console.error('❌ Media connection error:', error);
+            if (this.activeCall?.mediaConnection === mediaConnection) {
+                this.endCall('Call dropped');
+            }
+        });
+    }
+
+    hangUp(reason = 'Call ended') {
+        const call = this.activeCall;
+        if (!call) return;
+
+        this.sendSecure(call.peerId, { type: 'call_end', callId: call.callId })
+            .catch(error => console.error('Failed to send hang-up:', error));
+        this.endCall(reason);
+    }
+
+    // Local teardown; safe to call more than once
+    endCall(reason = null) {
+        const call = this.activeCall;
+        if (!call) return;
+        this.activeCall = null;
+
+        clearTimeout(call.ringTimeout);
+        clearInterval(call.timer);
+        call.localStream?.getTracks().forEach(track => track.stop());
+        if (call.mediaConnection) {
+            call.mediaConnection.close();
+        }
+
+        ['localVideo', 'remoteVideo'].forEach(id => {
+            const video = document.getElementById(id);
+            if (video) video.srcObject = null;
+        });
+
+        const overlay = document.getElementById('callOverlay');
+        if (overlay) {
+            overlay.style.display = 'none';
+            overlay.classList.remove('active');
+        }
+
+        if (reason) {
+            const duration = call.startedAt ? ` (${this.formatCallDuration(Date.now() - call.startedAt)})` : '';
+            this.showNotification(`${reason}${duration}`, 'info');
+        }
+    }
+
+    showCallOverlay() {
+        const call = this.activeCall;
+        const overlay = document.getElementById('callOverlay');
+        if (!call || !overlay) return;
+
+        overlay.classList.toggle('video-call', call.kind === 'video');
+        overlay.classList.toggle('voice-call', call.kind !== 'video');
+        overlay.classList.remove('active');
+        overlay.style.display = 'flex';
+
+        const callName = document.getElementById('callName');
+        const callAvatar = document.getElementById('callAvatar');
+        if (callName) callName.textContent = call.username;
+        if (callAvatar) callAvatar.textContent = call.avatar;
+
+        const localVideo = document.getElementById('localVideo');
+        if (localVideo) {
+            localVideo.srcObject = call.kind === 'video' ? call.localStream : null;
+        }
+
+        document.getElementById('muteBtn')?.classList.remove('off');
+        document.getElementById('cameraBtn')?.classList.remove('off');
+        this.updateCallStatus();
+    }
+
+    updateCallStatus() {
+        const call = this.activeCall;
+        const status = document.getElementById('callStatus');
+        if (!call || !status) return;
+
+        const overlay = document.getElementById('callOverlay');
+        if (overlay) overlay.classList.toggle('active', call.status === 'active');
+
+        if (call.status === 'active') {
+            status.textContent = this.formatCallDuration(Date.now() - call.startedAt);
+        } else if (call.status === 'ringing') {
+            status.textContent = 'Ringing...';
+        } else {
+            status.textContent = 'Connecting...';
+        }
+    }
+
+    startCallTimer() {
+        const call = this.activeCall;
+        if (!call || call.timer) return;
+        call.timer = setInterval(() => this.updateCallStatus(), 1000);
+    }
+
+    formatCallDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    toggleMute() {
+        const call = this.activeCall;
+        if (!call) return;
+
+        call.muted = !call.muted;
+        call.localStream.getAudioTracks().forEach(track => {
+            track.enabled = !call.muted;
+        });
+
+        const button = document.getElementById('muteBtn');
+        if (button) {
+            button.classList.toggle('off', call.muted);
+            button.title = call.muted ? 'Unmute' : 'Mute';
+        }
+    }
+
+    toggleCamera() {
+        const call = this.activeCall;
+        if (!call || call.kind !== 'video') return;
+
+        call.cameraOff = !call.cameraOff;
+        call.localStream.getVideoTracks().forEach(track => {
+            track.enabled = !call.cameraOff;
+        });
+
+        const button = document.getElementById('cameraBtn');
+        if (button) {
+            button.classList.toggle('off', call.cameraOff);
+            button.title = call.cameraOff ? 'Turn camera on' : 'Turn camera off';
+        }
+    }
+
+    // =============================================================================
+    // END-TO-END ENCRYPTION
+    // =============================================================================
+
+    // ECDH key pair for this session; the public half travels in the
+    // connection_request / connection_accepted handshake
+    async getE2EKeyPair() {
+        if (!this.e2eKeyPair) {
+            this.e2eKeyPair = await crypto.subtle.generateKey(
+                { name: 'ECDH', namedCurve: 'P-256' },
+                false,
+                ['deriveBits']
+            );
+        }
+        return this.e2eKeyPair;
+    }
+
+    async getE2EPublicKey() {
+        const keyPair = await this.getE2EKeyPair();
+        const raw = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+        return this.arrayBufferToBase64(raw);
+    }
+
+    // Room mesh links pass `roomOnly`; such a session carries room traffic
+    // and nothing else until the two people connect 1:1 as well
+    async establishE2ESession(peerId, remotePublicKey, remoteIdentity = null, profile = null, { roomOnly = false, nonce = null } = {}) {
+        if (!remotePublicKey) {
+            throw new Error('Peer did not send a public key');
+        }
+
+        // The peer's identity key signs its session key; a forged, swapped or
+        // missing proof aborts the handshake instead of falling back to
+        // anonymous. A peer that discovery (or an earlier session) tied to an
+        // identity has to prove it every time.
+        const announced = this.nearbyUsers.get(peerId)?.identityId || this.peerIdentities.get(peerId) || null;
+        let identityId = null;
+        if (remoteIdentity) {
+            identityId = await this.verifyIdentityProof(remoteIdentity, remotePublicKey, peerId, nonce);
+        }
+        if (announced && announced !== identityId) {
+            throw new Error(identityId ? 'Peer identity does not match discovery' : 'Peer did not prove its identity');
+        }
+
+        const keyPair = await this.getE2EKeyPair();
+        const localPublicKey = await this.getE2EPublicKey();
+        const remoteKey = await crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(remotePublicKey),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: remoteKey },
+            keyPair.privateKey,
+            256
+        );
+
+        // Both sides sort the public keys so they derive the same salt
+        const [firstKey, secondKey] = [localPublicKey, remotePublicKey].sort();
+        const salt = await crypto.subtle.digest(
+            'SHA-256',
+            new TextEncoder().encode(firstKey + secondKey)
+        );
+        const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+        const key = await crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode('lettalky-e2e-v1') },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+
+        // With identities on both sides the safety number comes from the
+        // long-lived keys, so it stays the same from one session to the next
+        const identity = identityId ? await this.getIdentity() : null;
+        const safetyNumber = identity
+            ? await this.computeSafetyNumber(...[identity.publicKey, remoteIdentity.publicKey].sort())
+            : await this.computeSafetyNumber(firstKey, secondKey);
+
+        const known = identityId ? this.knownIdentities.get(identityId) : null;
+        const existing = this.e2eSessions.get(peerId);
+        this.e2eSessions.set(peerId, {
+            key,
+            safetyNumber,
+            identityId,
+            verified: !!known?.verified,
+            roomOnly: roomOnly && (!existing || existing.roomOnly)
+        });
+
+        if (identityId) {
+            this.peerIdentities.set(peerId, identityId);
+            // Only from the frame that carried the proof for this very peer ID
+            if (profile?.peerId === peerId) {
+                this.rememberIdentity(identityId, { username: profile.username, avatar: profile.avatar });
+            }
+        }
+        console.log('🔐 Encrypted session established with:', peerId);
+
+        if (this.activeChatUser?.peerId === peerId) {
+            this.updateEncryptionBadge(peerId);
+            this.updateFavouriteButton(peerId);
+        }
+    }
+
+    // 60-digit number derived from both public keys. Two people standing
+    // next to each other read it aloud; a swapped key changes every digit.
+    async computeSafetyNumber(firstKey, secondKey) {
+        const digest = new Uint8Array(await crypto.subtle.digest(
+            'SHA-512',
+            new TextEncoder().encode(`lettalky-safety-number:${firstKey}:${secondKey}`)
+        ));
+
+        const groups = [];
+        for (let i = 0; i < 12; i++) {
+            let value = 0;
+            for (let j = 0; j < 5; j++) {
+                value = (value * 256 + digest[i * 5 + j]) % 100000;
+            }
+            groups.push(value.toString().padStart(5, '0'));
+        }
+        return groups;
+    }
+
+    hasChatSession(peerId) {
+        const session = this.e2eSessions.get(peerId);
+        return !!session && !session.roomOnly;
+    }
+
+    async sendSecure(peerId, data) {
+        const connection = this.connections.get(peerId);
+        if (!connection || !connection.open) {
+            throw new Error('No active connection');
+        }
+
+        const session = this.e2eSessions.get(peerId);
+        if (!session) {
+            throw new Error('Encrypted session not established');
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(`${this.peer.id}>${peerId}`) },
+            session.key,
+            new TextEncoder().encode(JSON.stringify(data))
+        );
+
+        connection.send({
+            type: 'encrypted',
+            iv: this.arrayBufferToBase64(iv),
+            ciphertext: this.arrayBufferToBase64(ciphertext)
+        });
+    }
+
+    async handleEncryptedData(peerId, data) {
+        const session = this.e2eSessions.get(peerId);
+        if (!session) {
+            console.warn('🔐 Encrypted data from peer without a session:', peerId);
+            return;
+        }
+
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.base64ToArrayBuffer(data.iv),
+                    additionalData: new TextEncoder().encode(`${peerId}>${this.peer.id}`)
+                },
+                session.key,
+                this.base64ToArrayBuffer(data.ciphertext)
+            );
+            this.handleIncomingData(peerId, JSON.parse(new TextDecoder().decode(plaintext)), true);
+        } catch (error) {
+            console.error('❌ Failed to decrypt data from:', peerId, error);
+            this.showNotification('Received a message that could not be decrypted', 'error');
+        }
+    }
+
+    updateEncryptionBadge(peerId) {
+        const button = document.getElementById('safetyNumberBtn');
+        if (!button) return;
+
+        const session = this.e2eSessions.get(peerId);
+        button.classList.toggle('encrypted', !!session);
+        button.classList.toggle('verified', !!session?.verified);
+        button.title = !session
+            ? 'Not encrypted yet'
+            : session.verified ? 'Encrypted • safety number verified' : 'Encrypted • tap to verify safety number';
+    }
+
+    showSafetyNumber() {
+        if (!this.activeChatUser) return;
+
+        const session = this.e2eSessions.get(this.activeChatUser.peerId);
+        if (!session) {
+            this.showNotification('No encrypted session with this user yet', 'error');
+            return;
+        }
+
+        const value = document.getElementById('safetyNumberValue');
+        const peerName = document.getElementById('safetyNumberPeer');
+        const markVerifiedBtn = document.getElementById('markVerifiedBtn');
+
+        if (value) {
+            value.innerHTML = session.safetyNumber
+                .map(group => `<span class="safety-number-group">${group}</span>`)
+                .join('');
+        }
+        if (peerName) peerName.textContent = this.activeChatUser.username;
+        if (markVerifiedBtn) {
+            markVerifiedBtn.textContent = session.verified ? 'Clear verification' : 'Mark as verified';
+        }
+
+        const modal = document.getElementById('safetyNumberModal');
+        if (modal) {
+            modal.classList.add('show');
+        }
+    }
+
+    toggleSafetyNumberVerified() {
+        if (!this.activeChatUser) return;
+
+        const session = this.e2eSessions.get(this.activeChatUser.peerId);
+        if (!session) return;
+
+        session.verified = !session.verified;
+        if (session.identityId) {
+            this.rememberIdentity(session.identityId, { verified: session.verified });
+        }
+        this.updateEncryptionBadge(this.activeChatUser.peerId);
+        this.hideModal('safetyNumberModal');
+        this.showNotification(
+            session.verified
+                ? `Safety number with ${this.activeChatUser.username} verified`
+                : 'Verification cleared',
+            session.verified ? 'success' : 'info'
+        );
+    }
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    base64ToArrayBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // =============================================================================
+    // MESSAGE HISTORY
+    // =============================================================================
+
+    // History is keyed by identity when the peer has one, so a conversation
+    // carries on after their peer ID changes
+    getConversationId(peerId) {
+        return this.peerIdentities.get(peerId) || peerId;
+    }
+
+    saveToHistory(peerId, messageData, direction) {
+        if (this.settings.historyRetentionDays === 0) return;
+
+        // Blob URLs only live as long as the page, so never persist them
+        const { fileUrl, ...record } = messageData;
+        this.history.save(this.getConversationId(peerId), record, direction).catch(error => {
+            console.error('❌ Failed to save message history:', error);
+        });
+    }
+
+    // Acks the ID and reports whether this is the first time we see it
+    acceptIncomingMessageId(peerId, data) {
+        if (data.id === undefined) return true;
+        if (typeof data.id !== 'string' || data.id.length > 64) return false;
+
+        // Acked again on a resend, in case the first receipt was lost
+        this.sendMessageAck(peerId, [data.id], 'delivered');
+        if (!this.rememberMessageId(peerId, data.id)) {
+            console.log('🔁 Dropping duplicate message:', data.id);
+            return false;
+        }
+        return true;
+    }
+
+    receiveChatMessage(peerId, data) {
+        if (!this.acceptIncomingMessageId(peerId, data)) return;
+        this.activityCounts.messagesReceived++;
+        if (data.id) this.unreadMessages.add(data.id);
+
+        if (data.type === 'message_reply') {
+            const quote = data.replyTo || {};
+            if (typeof quote.id !== 'string' || quote.id.length > 64) return;
+            data.replyTo = {
+                id: quote.id,
+                sender: String(quote.sender || '').slice(0, 64),
+                excerpt: String(quote.excerpt || '').slice(0, LetTalkyApp.REPLY_EXCERPT_LENGTH + 1)
+            };
+        }
+        if (data.preview) data.preview = this.sanitizeLinkPreview(data.preview, data.content);
+        this.saveToHistory(peerId, data, 'incoming');
+
+        if (this.activeChatUser?.peerId === peerId) {
+            this.displayMessage(data, 'incoming');
+        } else {
+            this.showNotification(`New message from ${data.username || 'a nearby user'}`, 'info');
+        }
+        this.playNotificationSound();
+    }
+
+    async loadConversationHistory(peerId) {
+        this.historyState = {
+            peerId,
+            conversationId: this.getConversationId(peerId),
+            // Anything saved after the chat opened is already on screen
+            cursor: [Date.now(), ''],
+            loading: false,
+            exhausted: false
+        };
+
+        await this.loadOlderHistory(true);
+    }
+
+    async loadOlderHistory(scrollToBottom = false) {
+        const state = this.historyState;
+        if (!state || state.loading || state.exhausted) return;
+        if (this.activeChatUser?.peerId !== state.peerId) return;
+
+        state.loading = true;
+        try {
+            const records = await this.history.loadPage(state.conversationId, state.cursor);
+            if (this.historyState !== state) return;
+
+            if (records.length < MessageHistoryStore.PAGE_SIZE) {
+                state.exhausted = true;
+            }
+            if (records.length === 0) return;
+
+            const oldest = records[records.length - 1];
+            state.cursor = [oldest.timestamp, oldest.id];
+            this.prependHistory(records.filter(record => record.data).reverse(), scrollToBottom);
+        } catch (error) {
+            console.error('❌ Failed to load message history:', error);
+            state.exhausted = true;
+        } finally {
+            state.loading = false;
+        }
+    }
+
+    prependHistory(records, scrollToBottom) {
+        const messagesContainer = document.getElementById('messagesContainer');
+        if (!messagesContainer) return;
+
+        // Edits and deletes are newer than what they change, so they are
+        // always in this page or one already loaded
+        records.forEach(({ direction, data }) => {
+            if (LetTalkyApp.REVISION_TYPES.includes(data.type)) this.recordMessageRevision(data, direction);
+            if (data.type === 'reaction') this.recordReaction(data, direction);
+        });
+
+        const fragment = document.createDocumentFragment();
+        const isBubble = ({ data }) => !LetTalkyApp.REVISION_TYPES.includes(data.type) && data.type !== 'reaction';
+        records.filter(isBubble).forEach(({ direction, data }) => {
+            const element = data.type === 'file'
+                ? this.createFileMessageElement(data, direction)
+                : this.createMessageElement(data, direction);
+            element.classList.add('history-message');
+            fragment.appendChild(element);
+        });
+
+        // Keep the viewport on the same message while older ones are inserted above it
+        const previousHeight = messagesContainer.scrollHeight;
+        messagesContainer.insertBefore(fragment, messagesContainer.firstChild);
+        if (scrollToBottom) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        } else {
+            messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+        }
+    }
+
+    pruneHistory() {
+        const days = this.settings.historyRetentionDays;
+        if (days < 0) return;
+
+        // Zero days prunes every message but leaves the outbox alone
+        this.history.prune(days * 24 * 60 * 60 * 1000)
+            .catch(error => console.error('❌ Failed to prune message history:', error));
+    }
+
+    async clearHistory() {
+        if (!confirm('Delete all saved conversations, unsent messages and partly received files on this device? This cannot be undone.')) return;
+
+        try {
+            await this.history.clear();
+            // Their copies on disk are gone, so these cannot carry on
+            this.messageQueue.forEach(messages => messages.forEach(messageData => this.setMessageStatus(messageData.id, 'failed')));
+            this.messageQueue.clear();
+            Array.from(this.fileTransfers.values())
+                .filter(transfer => transfer.spooled)
+                .forEach(transfer => this.cancelTransfer(transfer.fileId));
+            if (this.historyState) {
+                this.historyState.exhausted = true;
+            }
+            this.showNotification('Message history cleared', 'success');
+        } catch (error) {
+            console.error('❌ Failed to clear message history:', error);
+            this.showNotification('Could not clear message history', 'error');
+        }
+    }
+
+    //Mobile function
+
+        // =============================================================================
+    // MOBILE-SPECIFIC FUNCTIONS ONLY
+    // =============================================================================
+
+    // 1. Mobile Device Detection
+    isMobileDevice() {
+        return window.innerWidth <= 768;    
+    }
+
+    // 2. Mobile Navigation State Management
+    initializeMobileState() {
+        this.mobileNavState = 'users'; // 'users' or 'chat'
+        this.isMobile = this.isMobileDevice();
+    }
+
+    // 3. Mobile Chat Interface Opening
+    openMobileChatInterface(peerId, username, avatar) {
+        console.log('📱 Opening mobile chat for:', username);
+        
+        this.activeChatUser = { peerId, username, avatar };
+        this.mobileNavState = 'chat';
+        
+        // Update chat header
+        const chatUserName = document.getElementById('chatUserName');
+        const chatUserAvatar = document.getElementById('chatUserAvatar');
+        
+        if (chatUserName) chatUserName.textContent = username;
+        if (chatUserAvatar) chatUserAvatar.textContent = avatar;
+        
+        // Mobile navigation: slide to chat
+        const sidebar = document.querySelector('.sidebar');
+        const chatArea = document.querySelector('.chat-area');
+        const chatInterface = document.getElementById('chatInterface');
+        
+        if (sidebar) {
+            sidebar.classList.add('chat-open');
+        }
+        
+        if (chatArea) {
+            chatArea.classList.add('active');
+            chatArea.style.display = 'flex';
+        }
+        
+        if (chatInterface) {
+            chatInterface.style.display = 'flex';
+            chatInterface.classList.add('active');
+        }
+        
+        // Clear messages and focus input
+        this.clearMessages();
+        
+        setTimeout(() => {
+            const messageInput = document.getElementById('messageInput');
+            if (messageInput) messageInput.focus();
+        }, 350);
+    }
+
+    // 4. Mobile Chat Interface Closing
+    closeMobileChatInterface() {
+        console.log('📱 Closing mobile chat');
+        
+        this.activeChatUser = null;
+        this.mobileNavState = 'users';
+        
+        // Mobile navigation: slide back to users
+        const sidebar = document.querySelector('.sidebar');
+        const chatArea = document.querySelector('.chat-area');
+        const chatInterface = document.getElementById('chatInterface');
+        
+        if (sidebar) {
+            sidebar.classList.remove('chat-open');
+        }
+        
+        if (chatArea) {
+            chatArea.classList.remove('active');
+            setTimeout(() => {
+                chatArea.style.display = 'none';
+            }, 300);
+        }
+        
+        if (chatInterface) {
+            chatInterface.style.display = 'none';
+            chatInterface.classList.remove('active');
+        }
+    }
+
+    // 5. Mobile Back Button Handler
+    handleMobileBackButton() {
+        console.log('📱 Mobile back button pressed');
+        
+        if (this.mobileNavState === 'chat') {
+            this.closeMobileChatInterface();
+        }
+    }
+
+    // 6. Mobile Orientation Change Handler
+    handleMobileOrientationChange() {
+        const wasMobile = this.isMobile;
+        this.isMobile = this.isMobileDevice();
+        
+        console.log('📱 Orientation changed - Mobile:', this.isMobile);
+        
+        // If switching from/to mobile, adjust interface
+        if (wasMobile !== this.isMobile) {
+            if (this.activeChatUser && this.isMobile) {
+                // Switch to mobile chat layout
+                setTimeout(() => {
+                    this.closeChatInterface(); // Close desktop version
+                    this.openMobileChatInterface(
+                        this.activeChatUser.peerId,
+                        this.activeChatUser.username,
+                        this.activeChatUser.avatar
+                    );
+                }, 100);
+            } else if (this.activeChatUser && !this.isMobile) {
+                // Switch to desktop chat layout
+                setTimeout(() => {
+                    this.closeMobileChatInterface(); // Close mobile version
+                    this.openChatInterface(
+                        this.activeChatUser.peerId,
+                        this.activeChatUser.username,
+                        this.activeChatUser.avatar
+                    );
+                }, 100);
+            }
+        }
+    }
+
+    // 7. Mobile Keyboard Height Adjustment
+    adjustForMobileKeyboard() {
+        if (!this.isMobileDevice()) return;
+        
+        const chatArea = document.querySelector('.chat-area');
+        const messagesContainer = document.getElementById('messagesContainer');
+        
+        // Detect virtual keyboard
+        const viewportHeight = window.visualViewport ? window.visualViewport.height : window.innerHeight;
+        const windowHeight = window.innerHeight;
+        
+        if (viewportHeight < windowHeight * 0.7) {
+            // Keyboard is likely open
+            if (chatArea) {
+                chatArea.style.height = `${viewportHeight}px`;
+            }
+            
+            // Scroll to bottom of messages
+            if (messagesContainer) {
+                setTimeout(() => {
+                    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+                }, 100);
+            }
+        } else {
+            // Keyboard is closed
+            if (chatArea) {
+                chatArea.style.height = '100vh';
+            }
+        }
+    }
+
+    // 8. Mobile Touch Gestures
+    initializeMobileTouchGestures() {
+        if (!this.isMobileDevice()) return;
+        
+        let startX = 0;
+        let startY = 0;
+        
+        const chatArea = document.querySelector('.chat-area');
+        if (!chatArea) return;
+        
+        chatArea.addEventListener('touchstart', (e) => {
+            startX = e.touches[0].clientX;
+            startY = e.touches.clientY;
+        });
+        
+        chatArea.addEventListener('touchmove', (e) => {
+            if (this.mobileNavState !== 'chat') return;
+            
+            const currentX = e.touches[0].clientX;
+            const currentY = e.touches.clientY;
+            
+            const deltaX = currentX - startX;
+            const deltaY = Math.abs(currentY - startY);
+            
+            // Swipe right to go back (only if more horizontal than vertical)
+            if (deltaX > 100 && deltaY < 50) {
+                this.closeMobileChatInterface();
+            }
+        });
+    }
+
+    // 9. Mobile Message Input Auto-Resize
+    handleMobileMessageInput(input) {
+        if (!this.isMobileDevice()) return;
+        
+        // Auto-resize textarea
+        input.style.height = 'auto';
+        input.style.height = Math.min(input.scrollHeight, 100) + 'px';
+        
+        // Adjust messages container height
+        const messagesContainer = document.getElementById('messagesContainer');
+        if (messagesContainer) {
+            const inputHeight = input.offsetHeight;
+            const maxInputHeight = 100;
+            const heightDiff = inputHeight - 40; // Default input height
+            
+            if (heightDiff > 0) {
+                messagesContainer.style.marginBottom = `${heightDiff}px`;
+            } else {
+                messagesContainer.style.marginBottom = '0';
+            }
+        }
+    }
+
+    // 10. Mobile Safe Area Handling
+    handleMobileSafeArea() {
+        if (!this.isMobileDevice()) return;
+        
+        const root = document.documentElement;
+        
+        // Set CSS custom properties for safe areas
+        if (window.CSS && CSS.supports && CSS.supports('padding', 'env(safe-area-inset-top)')) {
+            root.style.setProperty('--safe-area-top', 'env(safe-area-inset-top)');
+            root.style.setProperty('--safe-area-bottom', 'env(safe-area-inset-bottom)');
+            root.style.setProperty('--safe-area-left', 'env(safe-area-inset-left)');
+            root.style.setProperty('--safe-area-right', 'env(safe-area-inset-right)');
+        }
+    }
+
+    // 11. Mobile Notification Positioning
+    showMobileNotification(message, type = 'info') {
+        if (!this.isMobileDevice()) return this.showNotification(message, type);
+        
+        // Position notifications at top for mobile
+        const notification = document.createElement('div');
+        notification.className = `notification mobile-notification ${type}`;
+        notification.textContent = message;
+        
+        // Create container if it doesn't exist
+        let container = document.getElementById('mobileNotificationContainer');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'mobileNotificationContainer';
+            container.className = 'mobile-notification-container';
+            document.body.appendChild(container);
+        }
+        
+        container.appendChild(notification);
+        
+        // Show notification
+        setTimeout(() => notification.classList.add('show'), 10);
+        
+        // Remove after delay
+        setTimeout(() => {
+            notification.classList.remove('show');
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    // 12. Mobile Haptic Feedback
+    provideMobileHapticFeedback(type = 'light') {
+        if (!this.isMobileDevice()) return;
+        
+        if ('vibrate' in navigator) {
+            switch (type) {
+                case 'light':
+                    navigator.vibrate(50);
+                    break;
+                case 'medium':
+                    navigator.vibrate(100);
+                    break;
+                case 'heavy':
+                    navigator.vibrate(200);
+                    break;
+                case 'success':
+                    navigator.vibrate([100, 50, 100]);
+                    break;
+                case 'error':
+                    navigator.vibrate([200, 100, 200]);
+                    break;
+            }
+        }
+    }
+
+    // 13. Mobile Connection Status Indicator
+    showMobileConnectionStatus(status) {
+        if (!this.isMobileDevice()) return;
+        
+        const indicator = document.getElementById('mobileConnectionStatus') || document.createElement('div');
+        indicator.id = 'mobileConnectionStatus';
+        indicator.className = `mobile-connection-status ${status}`;
+        
+        switch (status) {
+            case 'connecting':
+                indicator.textContent = 'Connecting...';
+                indicator.className += ' connecting';
+                break;
+            case 'connected':
+                indicator.textContent = 'Connected';
+                indicator.className += ' connected';
+                break;
+            case 'disconnected':
+                indicator.textContent = 'Disconnected';
+                indicator.className += ' disconnected';
+                break;
+        }
+        
+        if (!indicator.parentNode) {
+            document.body.appendChild(indicator);
+        }
+        
+        // Auto-hide after 3 seconds for success states
+        if (status === 'connected') {
+            setTimeout(() => {
+                if (indicator.parentNode) {
+                    indicator.style.opacity = '0';
+                    setTimeout(() => {
+                        if (indicator.parentNode) {
+                            indicator.parentNode.removeChild(indicator);
+                        }
+                    }, 300);
+                }
+            }, 3000);
+        }
+    }
+
+    // 14. Mobile Debug Helper
+    debugMobileState() {
+        if (!this.isMobileDevice()) return;
+        
+        console.log('📱 Mobile Debug State:');
+        console.log('- Is Mobile:', this.isMobile);
+        console.log('- Mobile Nav State:', this.mobileNavState);
+        console.log('- Viewport Size:', window.innerWidth, 'x', window.innerHeight);
+        console.log('- Visual Viewport:', window.visualViewport?.width, 'x', window.visualViewport?.height);
+        console.log('- Active Chat User:', this.activeChatUser);
+        console.log('- Chat Area Active:', document.querySelector('.chat-area.active') !== null);
+        console.log('- Sidebar Chat Open:', document.querySelector('.sidebar.chat-open') !== null);
+    }
+
+    // 15. Mobile Initialization
+    initializeMobileFeatures() {
+        if (!this.isMobileDevice()) return;
+        
+        console.log('📱 Initializing mobile features');
+        
+        // Initialize mobile state
+        this.initializeMobileState();
+        
+        // Handle safe areas
+        this.handleMobileSafeArea();
+        
+        // Initialize touch gestures
+        this.initializeMobileTouchGestures();
+        
+        // Listen for viewport changes (keyboard)
+        if (window.visualViewport) {
+            window.visualViewport.addEventListener('resize', () => {
+                this.adjustForMobileKeyboard();
+            });
+        }
+        
+        // Listen for orientation changes
+        window.addEventListener('orientationchange', () => {
+            setTimeout(() => {
+                this.handleMobileOrientationChange();
+            }, 100);
+        });
+        
+        // Enhanced message input for mobile
+        const messageInput = document.getElementById('messageInput');
+        if (messageInput) {
+            messageInput.addEventListener('input', () => {
+                this.handleMobileMessageInput(messageInput);
+            });
+        }
+        
+        console.log('✅ Mobile features initialized');
+    }
+
+        // 16. Mobile-Specific Notification for Call Features
+    showMobileNotification(message, type = 'info') {
+        console.log('📱 Mobile notification:', message, type);
+        
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.style.position = 'fixed';
+        notification.style.top = '20px';
+        notification.style.left = '50%';
+        notification.style.transform = 'translateX(-50%)';
+        notification.style.backgroundColor = type === 'error' ? '#ff4444' : 
+                                            type === 'success' ? '#44bb44' : '#4267B2';
+        notification.style.color = 'white';
+        notification.style.padding = '12px 20px';
+        notification.style.borderRadius = '8px';
+        notification.style.fontSize = '14px';
+        notification.style.fontWeight = '600';
+        notification.style.boxShadow = '0 4px 12px rgba(0,0,0,0.3)';
+        notification.style.zIndex = '10000';
+        notification.style.maxWidth = '300px';
+        notification.style.textAlign = 'center';
+        notification.textContent = message;
+        
+        // Add to page
+        document.body.appendChild(notification);
+        
+        // Auto-remove after 3 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                document.body.removeChild(notification);
+            }
+        }, 3000);
+        
+        // Add haptic feedback
+        this.provideMobileHapticFeedback('light');
+    }
+
+    // 17. Mobile Voice Call Handler
+    handleMobileVoiceCall() {
+        console.log('📱 Mobile voice call button clicked');
+        this.provideMobileHapticFeedback('light');
+        this.startCall('voice');
+    }
+
+    // 18. Mobile Video Call Handler  
+    handleMobileVideoCall() {
+        console.log('📱 Mobile video call button clicked');
+        this.provideMobileHapticFeedback('light');
+        this.startCall('video');
+    }
+    //End Mobile Function
+    
+
+    openChatInterface(peerId, username, avatar) {
+        if (this.isMobileDevice()) {
+            this.openMobileChatInterface(peerId, username, avatar);
+        } else {
+        this.activeChatUser = { peerId, username, avatar };
+        
+        // Update chat header
+        const chatAvatar = document.getElementById('chatAvatar');
+        const chatUserName = document.getElementById('chatUserName');
+        
+        if (chatAvatar) chatAvatar.textContent = avatar;
+        if (chatUserName) chatUserName.textContent = username;
+
+        // Show chat interface
+        const welcomeState = document.getElementById('welcomeState');
+        const chatInterface = document.getElementById('chatInterface');
+        
+        if (welcomeState) welcomeState.style.display = 'none';
+        if (chatInterface) chatInterface.style.display = 'flex';
+
+        // Clear previous messages
+        this.clearMessages();
+        
+        // Focus message input
+        const messageInput = document.getElementById('messageInput');
+        if (messageInput) {
+            setTimeout(() => messageInput.focus(), 100);
+        }
+    }
+        this.updateEncryptionBadge(peerId);
+        this.updateFavouriteButton(peerId);
+        this.updateRoomHeader();
+        this.renderFilePreview();
+        this.cancelComposerContext();
+        this.loadConversationHistory(peerId);
+
+        this.fileTransfers.forEach(transfer => {
+            if (transfer.status !== 'offered') this.showIncomingFilePlaceholder(transfer);
+        });
+    }
+
+    closeChatInterface() {
+        this.activeChatUser = null;
+        
+        const welcomeState = document.getElementById('welcomeState');
+        const chatInterface = document.getElementById('chatInterface');
+        
+        if (welcomeState) welcomeState.style.display = 'flex';
+        if (chatInterface) chatInterface.style.display = 'none';
+
+        // Remove active state from user items
+        document.querySelectorAll('.user-item').forEach(item => {
+            item.classList.remove('active');
+        });
+    }
+
+    async sendMessage() {
+        const messageInput = document.getElementById('messageInput');
+        if (!messageInput || !this.activeChatUser) return;
+    
+        const message = messageInput.value.trim();
+        if (!message && this.attachments.length === 0) return;
+
+        if (this.activeChatUser.roomId) {
+            if (this.attachments.length > 0) {
+                this.showNotification('Files can only be shared in one-to-one chats for now', 'info');
+                return;
+            }
+            await this.sendRoomMessage(this.activeChatUser.roomId, message);
+            messageInput.value = '';
+            messageInput.style.height = 'auto';
+            return;
+        }
+    
+        // Clear input up front; zipping folders can take a moment
+        messageInput.value = '';
+        messageInput.style.height = 'auto';
+
+        if (this.editingMessage) {
+            if (message) await this.sendEdit(message);
+            return;
+        }
+
+        // Attachments go through the send queue; the text rides on the first file
+        if (this.attachments.length > 0) {
+            await this.queueAttachments(this.activeChatUser.peerId, message);
+            return;
+        }
+
+        // Shown right away; the outbox holds it if the peer is out of reach
+        const messageData = {
+            type: 'message',
+            id: this.createMessageId(),
+            content: message,
+            timestamp: Date.now(),
+            sender: this.currentUsername,
+            avatar: this.currentAvatar
+        };
+        if (this.replyingTo) {
+            messageData.type = 'message_reply';
+            messageData.replyTo = this.replyingTo;
+            this.cancelComposerContext();
+        }
+        const preview = await this.fetchLinkPreview(message);
+        if (preview) messageData.preview = preview;
+        this.displayMessage(messageData, 'outgoing');
+        this.saveToHistory(this.activeChatUser.peerId, messageData, 'outgoing');
+        await this.deliverMessage(this.activeChatUser.peerId, messageData);
+    }
+
+    // =============================================================================
+    // OUTBOX
+    // =============================================================================
+
+    // Chat messages wait in `messageQueue`, keyed by conversation, until the
+    // peer acknowledges them. The queue is stored encrypted next to the
+    // history so it survives a reload. When the peer shows up in discovery
+    // again we reconnect without asking and send the queue in order. Each
+    // message carries an ID, so a resend of something that already arrived
+    // is dropped on the other side.
+    //
+    // Outgoing status: sending → sent → delivered → read, or failed when
+    // nothing went out within MESSAGE_SEND_TIMEOUT.
+    createMessageId() {
+        return this.bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+    }
+
+    async loadOutbox() {
+        try {
+            const outboxes = await this.history.loadOutboxes();
+            outboxes.forEach(({ conversationId, messages }) => {
+                if (messages.length === 0) return;
+                this.messageQueue.set(conversationId, messages);
+                messages.forEach(messageData => this.setMessageStatus(messageData.id, 'sending'));
+            });
+        } catch (error) {
+            console.error('❌ Failed to load outbox:', error);
+        }
+    }
+
+    persistOutbox(conversationId) {
+        this.history.saveOutbox(conversationId, this.messageQueue.get(conversationId) || []).catch(error => {
+            console.error('❌ Failed to save outbox:', error);
+        });
+    }
+
+    // Every message goes through the queue, so ordering holds even while
+    // earlier ones are still waiting for the peer to come back
+    async deliverMessage(peerId, messageData) {
+        const conversationId = this.getConversationId(peerId);
+        this.enqueueMessage(conversationId, messageData);
+
+        if (this.isConnectedToPeer(peerId) && this.hasChatSession(peerId)) {
+            await this.flushOutbox(peerId);
+        } else {
+            this.reconnectForOutbox(conversationId);
+        }
+    }
+
+    enqueueMessage(conversationId, messageData) {
+        const queue = this.messageQueue.get(conversationId) || [];
+        if (queue.some(queued => queued.id === messageData.id)) return;
+
+        queue.push(messageData);
+        this.messageQueue.set(conversationId, queue);
+        this.persistOutbox(conversationId);
+        this.setMessageStatus(messageData.id, 'sending');
+    }
+
+    // Oldest first; stops at the first failure so order is kept. Messages
+    // already sent stay queued until acknowledged but are not sent twice.
+    async flushOutbox(peerId) {
+        const conversationId = this.getConversationId(peerId);
+        if (this.flushingOutboxes.has(conversationId)) return;
+        this.flushingOutboxes.add(conversationId);
+
+        const nextUnsent = () => this.messageQueue.get(conversationId)
+            ?.find(queued => this.messageStatuses.get(queued.id) !== 'sent');
+
+        try {
+            let messageData;
+            while ((messageData = nextUnsent())) {
+                await this.sendSecure(peerId, messageData);
+                this.setMessageStatus(messageData.id, 'sent');
+                // Edits and reactions share the queue but are not messages,
+                // and a resend after a reconnect is the same message
+                const isChat = messageData.type === 'message' || messageData.type === 'message_reply';
+                if (isChat && !this.countedMessages.has(messageData)) {
+                    this.countedMessages.add(messageData);
+                    this.activityCounts.messagesSent++;
+                }
+            }
+        } catch (error) {
+            console.warn('📮 Outbox flush interrupted:', error.message);
+        } finally {
+            this.flushingOutboxes.delete(conversationId);
+        }
+    }
+
+    // Whatever was sent but never acknowledged goes again after a reconnect
+    requeueUnackedMessages(peerId) {
+        const queue = this.messageQueue.get(this.getConversationId(peerId)) || [];
+        queue.forEach(queued => {
+            if (this.messageStatuses.get(queued.id) === 'sent') {
+                this.setMessageStatus(queued.id, 'sending');
+            }
+        });
+    }
+
+    handleMessageAck(peerId, data) {
+        const valid = Array.isArray(data.ids) && data.ids.length <= LetTalkyApp.MAX_ACK_IDS &&
+            data.ids.every(id => typeof id === 'string' && id.length <= 64) &&
+            ['delivered', 'read'].includes(data.status);
+        if (!valid) return;
+
+        const conversationId = this.getConversationId(peerId);
+        const queue = this.messageQueue.get(conversationId);
+        if (queue) {
+            const remaining = queue.filter(queued => !data.ids.includes(queued.id));
+            if (remaining.length !== queue.length) {
+                if (remaining.length > 0) {
+                    this.messageQueue.set(conversationId, remaining);
+                } else {
+                    this.messageQueue.delete(conversationId);
+                }
+                this.persistOutbox(conversationId);
+            }
+        }
+
+        // Only messages we sent have a status to update
+        data.ids
+            .filter(id => this.messageStatuses.has(id))
+            .forEach(id => this.setMessageStatus(id, data.status));
+    }
+
+    setMessageStatus(id, status) {
+        const current = this.messageStatuses.get(id);
+        // Acks can overtake each other; never step back from delivered or read
+        if (current === 'read' || (current === 'delivered' && status !== 'read')) return;
+
+        this.messageStatuses.delete(id);
+        this.messageStatuses.set(id, status);
+        if (this.messageStatuses.size > LetTalkyApp.MAX_TRACKED_STATUSES) {
+            this.messageStatuses.delete(this.messageStatuses.keys().next().value);
+        }
+
+        clearTimeout(this.messageFailTimers.get(id));
+        this.messageFailTimers.delete(id);
+        if (status === 'sending') {
+            this.messageFailTimers.set(id, setTimeout(() => {
+                this.messageFailTimers.delete(id);
+                if (this.messageStatuses.get(id) === 'sending') this.setMessageStatus(id, 'failed');
+            }, LetTalkyApp.MESSAGE_SEND_TIMEOUT));
+        }
+
+        const element = document.querySelector(`#messagesContainer .message[data-message-id="${CSS.escape(id)}"]`);
+        if (element) this.renderMessageStatus(element, status);
+    }
+
+    renderMessageStatus(element, status) {
+        const indicator = element.querySelector('.message-status');
+        if (!indicator) return;
+
+        LetTalkyApp.MESSAGE_STATUSES.forEach(name => element.classList.remove(`status-${name}`));
+        if (status) element.classList.add(`status-${status}`);
+        indicator.textContent = LetTalkyApp.MESSAGE_STATUS_ICONS[status] || '';
+        indicator.title = status ? status.charAt(0).toUpperCase() + status.slice(1) : '';
+
+        const retryBtn = element.querySelector('.retry-message-btn');
+        if (status === 'failed' && !retryBtn) {
+            const button = document.createElement('button');
+            button.textContent = '🔄 Retry';
+            button.className = 'retry-message-btn';
+            button.addEventListener('click', () => this.retryMessage(element.dataset.messageId));
+            element.appendChild(button);
+        } else if (status !== 'failed' && retryBtn) {
+            retryBtn.remove();
+        }
+    }
+
+    // The message stays queued either way; this just tries again right now
+    retryMessage(id) {
+        for (const [conversationId, queue] of this.messageQueue) {
+            if (!queue.some(queued => queued.id === id)) continue;
+
+            this.setMessageStatus(id, 'sending');
+            this.outboxReconnects.delete(conversationId);
+            if (!this.reconnectForOutbox(conversationId)) {
+                this.showNotification("They aren't nearby right now. The message will go when they are.", 'info');
+            }
+            return;
+        }
+    }
+
+    hasPendingOutgoing(conversationId) {
+        if (this.messageQueue.get(conversationId)?.length) return true;
+        return Array.from(this.outgoingTransfers.values()).some(transfer =>
+            transfer.conversationId === conversationId && transfer.status === 'paused' && !transfer.pausedBy
+        );
+    }
+
+    // Looks for the conversation among nearby peers; identities make this
+    // work even though the peer came back under a new peer ID
+    reconnectForOutbox(conversationId) {
+        for (const user of this.nearbyUsers.values()) {
+            if (this.getConversationId(user.peerId) === conversationId) {
+                this.reconnectToPeer(user);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    reconnectToPeer(user) {
+        if (!this.peer?.open || user.peerId === this.peer.id) return;
+
+        const conversationId = this.getConversationId(user.peerId);
+        if (!this.hasPendingOutgoing(conversationId)) return;
+
+        if (this.isConnectedToPeer(user.peerId)) {
+            if (this.hasChatSession(user.peerId)) this.flushOutbox(user.peerId);
+            return;
+        }
+        if (this.connections.has(user.peerId)) return;
+
+        const lastAttempt = this.outboxReconnects.get(conversationId) || 0;
+        if (Date.now() - lastAttempt < LetTalkyApp.OUTBOX_RETRY_INTERVAL) return;
+        this.outboxReconnects.set(conversationId, Date.now());
+
+        console.log('📮 Reconnecting to deliver queued messages:', user.peerId);
+        const connection = this.peer.connect(user.peerId, {
+            reliable: true,
+            serialization: 'json'
+        });
+
+        connection.on('open', async () => {
+            this.storeUserConnection(user.peerId, connection, {
+                peerId: user.peerId,
+                username: user.username,
+                avatar: user.avatar,
+                connectedAt: Date.now()
+            });
+            this.setupConnectionEventListeners(connection);
+
+            const nonce = this.createHandshakeNonce(user.peerId);
+            connection.send({
+                type: 'connection_request',
+                resume: true,
+                sender: {
+                    peerId: this.peer.id,
+                    username: this.currentUsername,
+                    avatar: this.currentAvatar
+                },
+                publicKey: await this.getE2EPublicKey(),
+                nonce,
+                identity: await this.getIdentityProof(user.peerId, nonce),
+                timestamp: Date.now(),
+                message: `${this.currentUsername} is reconnecting`
+            });
+        });
+
+        connection.on('error', (error) => {
+            console.error('❌ Reconnect failed:', error);
+            if (this.connections.get(user.peerId) === connection) {
+                this.connections.delete(user.peerId);
+            }
+        });
+    }
+
+    // A reconnect from someone we already have a conversation with is taken
+    // without asking. Anyone else goes through the usual request dialog.
+    async acceptResumedConnection(peerId, data) {
+        const { sender } = data;
+        const connection = this.connections.get(sender.peerId);
+
+        let identityId = null;
+        try {
+            identityId = data.identity ? await this.identityIdFromPublicKey(data.identity.publicKey) : null;
+        } catch (error) {
+            identityId = null;
+        }
+        if (!identityId || !this.knownIdentities.has(identityId)) return false;
+        if (!connection) return true;
+
+        try {
+            await this.establishE2ESession(peerId, data.publicKey, data.identity, sender, { nonce: data.nonce });
+        } catch (error) {
+            console.error('❌ Key exchange failed on reconnect:', error);
+            connection.close();
+            return true;
+        }
+
+        this.storeUserConnection(sender.peerId, connection, {
+            peerId: sender.peerId,
+            username: sender.username,
+            avatar: sender.avatar,
+            connectedAt: Date.now()
+        });
+
+        if (connection.open) {
+            connection.send({
+                type: 'connection_accepted',
+                resume: true,
+                accepter: {
+                    peerId: this.peer.id,
+                    username: this.currentUsername,
+                    avatar: this.currentAvatar
+                },
+                publicKey: await this.getE2EPublicKey(),
+                identity: await this.getIdentityProof(peerId, data.nonce),
+                timestamp: Date.now()
+            });
+        }
+
+        this.handleConnectionResumed(sender.peerId, sender);
+        return true;
+    }
+
+    // Carries an open chat over to the peer's new peer ID and sends what waited
+    handleConnectionResumed(peerId, profile) {
+        const conversationId = this.getConversationId(peerId);
+        this.outboxReconnects.delete(conversationId);
+        this.updateUserStatus(peerId, 'online');
+
+        if (this.activeChatUser && !this.activeChatUser.roomId &&
+            this.getConversationId(this.activeChatUser.peerId) === conversationId) {
+            this.activeChatUser.peerId = peerId;
+            if (this.historyState) this.historyState.peerId = peerId;
+            this.updateEncryptionBadge(peerId);
+            this.updateFavouriteButton(peerId);
+        }
+
+        console.log('🔄 Reconnected with:', profile?.username || peerId);
+        this.resumeFileTransfers(peerId);
+        this.flushOutbox(peerId);
+    }
+
+    rememberMessageId(peerId, id) {
+        const conversationId = this.getConversationId(peerId);
+        const seen = this.receivedMessageIds.get(conversationId) || new Set();
+        if (seen.has(id)) return false;
+
+        seen.add(id);
+        if (seen.size > LetTalkyApp.SEEN_MESSAGE_IDS) {
+            seen.delete(seen.values().next().value);
+        }
+        this.receivedMessageIds.set(conversationId, seen);
+        return true;
+    }
+
+    // =============================================================================
+    // REPLIES, EDITS & DELETES
+    // =============================================================================
+
+    // Replies are messages that quote another one. Edits and deletes are
+    // separate messages naming their target; they travel through the outbox
+    // like any other message and are saved to history, so a reload replays
+    // them onto the original. Only the author's own messages can be changed,
+    // which the receiver checks by direction.
+    startReply(messageData, direction) {
+        this.editingMessage = null;
+        this.replyingTo = {
+            id: messageData.id,
+            sender: direction === 'outgoing' ? this.currentUsername : (messageData.sender || this.activeChatUser?.username || ''),
+            excerpt: this.getMessageExcerpt(messageData, direction)
+        };
+        this.renderComposerContext();
+        document.getElementById('messageInput')?.focus();
+    }
+
+    startEdit(messageData) {
+        if (!this.canEditMessage(messageData)) {
+            this.showNotification('Messages can only be edited for 15 minutes', 'info');
+            return;
+        }
+
+        this.replyingTo = null;
+        this.editingMessage = { id: messageData.id, timestamp: messageData.timestamp };
+
+        const messageInput = document.getElementById('messageInput');
+        if (messageInput) {
+            messageInput.value = this.getMessageRevision(messageData, 'outgoing')?.content ?? messageData.content;
+            this.autoResizeTextarea(messageInput);
+            messageInput.focus();
+        }
+        this.renderComposerContext();
+    }
+
+    cancelComposerContext() {
+        if (this.editingMessage) {
+            const messageInput = document.getElementById('messageInput');
+            if (messageInput) {
+                messageInput.value = '';
+                messageInput.style.height = 'auto';
+            }
+        }
+        this.replyingTo = null;
+        this.editingMessage = null;
+        this.renderComposerContext();
+    }
+
+    renderComposerContext() {
+        const bar = document.getElementById('composerContext');
+        const label = document.getElementById('composerContextLabel');
+        const text = document.getElementById('composerContextText');
+        if (!bar) return;
+
+        if (this.editingMessage) {
+            if (label) label.textContent = 'Editing message';
+            if (text) text.textContent = '';
+        } else if (this.replyingTo) {
+            if (label) label.textContent = `Replying to ${this.replyingTo.sender}`;
+            if (text) text.textContent = this.replyingTo.excerpt;
+        }
+        bar.style.display = this.editingMessage || this.replyingTo ? 'flex' : 'none';
+    }
+
+    canEditMessage(messageData) {
+        return Date.now() - messageData.timestamp <= LetTalkyApp.EDIT_WINDOW;
+    }
+
+    getMessageExcerpt(messageData, direction) {
+        const revision = this.getMessageRevision(messageData, direction);
+        if (revision?.deleted) return 'Deleted message';
+        const content = revision?.content ?? messageData.content ?? '';
+        return content.length > LetTalkyApp.REPLY_EXCERPT_LENGTH
+            ? `${content.slice(0, LetTalkyApp.REPLY_EXCERPT_LENGTH)}…`
+            : content;
+    }
+
+    async sendEdit(content) {
+        const { id, timestamp } = this.editingMessage;
+        this.cancelComposerContext();
+        if (Date.now() - timestamp > LetTalkyApp.EDIT_WINDOW) {
+            this.showNotification('Too late to edit that message', 'info');
+            return;
+        }
+
+        await this.sendRevision({ type: 'message_edit', id: this.createMessageId(), targetId: id, content, timestamp: Date.now() });
+    }
+
+    async deleteMessage(messageData) {
+        if (!confirm('Delete this message for everyone?')) return;
+        if (this.editingMessage?.id === messageData.id) this.cancelComposerContext();
+
+        await this.sendRevision({ type: 'message_delete', id: this.createMessageId(), targetId: messageData.id, timestamp: Date.now() });
+    }
+
+    async sendRevision(revision) {
+        const peerId = this.activeChatUser.peerId;
+        this.applyMessageRevision(revision, 'outgoing');
+        this.saveToHistory(peerId, revision, 'outgoing');
+        await this.deliverMessage(peerId, revision);
+    }
+
+    handleMessageRevision(peerId, data) {
+        if (typeof data.targetId !== 'string' || data.targetId.length > 64 || !Number.isFinite(data.timestamp)) return;
+        if (data.type === 'message_edit' && (typeof data.content !== 'string' || !data.content.trim())) return;
+        if (!this.acceptIncomingMessageId(peerId, data)) return;
+
+        const revision = data.type === 'message_edit'
+            ? { type: data.type, id: data.id, targetId: data.targetId, content: data.content, timestamp: data.timestamp }
+            : { type: data.type, id: data.id, targetId: data.targetId, timestamp: data.timestamp };
+        this.saveToHistory(peerId, revision, 'incoming');
+        if (this.activeChatUser?.peerId === peerId) {
+            this.applyMessageRevision(revision, 'incoming');
+        } else {
+            this.recordMessageRevision(revision, 'incoming');
+        }
+    }
+
+    // Keyed by direction too, so a peer can never touch our own messages
+    recordMessageRevision(revision, direction) {
+        const key = `${direction}:${revision.targetId}`;
+        const existing = this.messageRevisions.get(key);
+        if (existing?.deleted) return;
+        if (existing && revision.type === 'message_edit' && existing.timestamp >= revision.timestamp) return;
+
+        this.messageRevisions.set(key, revision.type === 'message_delete'
+            ? { deleted: true, timestamp: revision.timestamp }
+            : { content: revision.content, timestamp: revision.timestamp });
+    }
+
+    getMessageRevision(messageData, direction) {
+        if (!messageData.id) return null;
+
+        const revision = this.messageRevisions.get(`${direction}:${messageData.id}`);
+        if (!revision || revision.deleted) return revision || null;
+        return revision.timestamp - messageData.timestamp <= LetTalkyApp.EDIT_WINDOW ? revision : null;
+    }
+
+    applyMessageRevision(revision, direction) {
+        this.recordMessageRevision(revision, direction);
+        this.refreshMessageElement(revision.targetId);
+    }
+
+    // Re-renders a bubble in place from its original data
+    refreshMessageElement(id) {
+        const element = document.querySelector(`#messagesContainer .message[data-message-id="${CSS.escape(id)}"]`);
+        if (element?.messageData) {
+            const direction = element.classList.contains('outgoing') ? 'outgoing' : 'incoming';
+            element.replaceWith(this.createMessageElement(element.messageData, direction));
+        }
+    }
+
+    scrollToMessage(id) {
+        const element = document.querySelector(`#messagesContainer .message[data-message-id="${CSS.escape(id)}"]`);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('highlighted');
+        setTimeout(() => element.classList.remove('highlighted'), 1500);
+    }
+
+    createMessageActions(messageData, direction, deleted) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const buttons = [];
+        if (!deleted) buttons.push([null, 'React', () => this.showReactionBar(actions.parentElement)]);
+        if (!deleted) buttons.push(['↩️', 'Reply', () => this.startReply(messageData, direction)]);
+        if (!deleted && direction === 'outgoing' && this.canEditMessage(messageData)) {
+            buttons.push(['✏️', 'Edit', () => this.startEdit(messageData)]);
+        }
+        if (!deleted && direction === 'outgoing') {
+            buttons.push(['🗑️', 'Delete for everyone', () => this.deleteMessage(messageData)]);
+        }
+
+        buttons.forEach(([icon, title, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.title = title;
+            if (icon) {
+                button.textContent = icon;
+            } else {
+                button.innerHTML = '<img src="assets/smile.svg" alt="" class="react-icon">';
+            }
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            actions.appendChild(button);
+        });
+        return buttons.length > 0 ? actions : null;
+    }
+
+    // =============================================================================
+    // REACTIONS
+    // =============================================================================
+
+    // A `reaction` message adds or removes one emoji from one message. Like
+    // edits it goes through the outbox and into history. Each person's state
+    // per emoji is decided by the newest timestamp, so the order in which
+    // history pages replay does not matter.
+    toggleReaction(messageData, emoji) {
+        const reaction = {
+            type: 'reaction',
+            id: this.createMessageId(),
+            targetId: messageData.id,
+            emoji,
+            action: this.hasReacted(messageData.id, emoji, 'outgoing') ? 'remove' : 'add',
+            timestamp: Date.now()
+        };
+
+        const peerId = this.activeChatUser.peerId;
+        this.applyReaction(reaction, 'outgoing');
+        this.saveToHistory(peerId, reaction, 'outgoing');
+        this.deliverMessage(peerId, reaction);
+    }
+
+    handleReaction(peerId, data) {
+        const valid = typeof data.targetId === 'string' && data.targetId.length <= 64 &&
+            LetTalkyApp.REACTION_EMOJIS.includes(data.emoji) &&
+            ['add', 'remove'].includes(data.action) &&
+            Number.isFinite(data.timestamp);
+        if (!valid || !this.acceptIncomingMessageId(peerId, data)) return;
+
+        const reaction = {
+            type: 'reaction',
+            id: data.id,
+            targetId: data.targetId,
+            emoji: data.emoji,
+            action: data.action,
+            timestamp: data.timestamp
+        };
+        this.saveToHistory(peerId, reaction, 'incoming');
+        if (this.activeChatUser?.peerId === peerId) {
+            this.applyReaction(reaction, 'incoming');
+        } else {
+            this.recordReaction(reaction, 'incoming');
+        }
+    }
+
+    // Reactions are stored per target as `${emoji}|${direction}` entries
+    recordReaction(reaction, direction) {
+        const reactions = this.messageReactions.get(reaction.targetId) || new Map();
+        const key = `${reaction.emoji}|${direction}`;
+        const existing = reactions.get(key);
+        if (existing && existing.timestamp >= reaction.timestamp) return;
+
+        reactions.set(key, { active: reaction.action === 'add', timestamp: reaction.timestamp });
+        this.messageReactions.set(reaction.targetId, reactions);
+    }
+
+    applyReaction(reaction, direction) {
+        this.recordReaction(reaction, direction);
+        this.refreshMessageElement(reaction.targetId);
+    }
+
+    hasReacted(targetId, emoji, direction) {
+        return !!this.messageReactions.get(targetId)?.get(`${emoji}|${direction}`)?.active;
+    }
+
+    getReactionSummary(targetId) {
+        return LetTalkyApp.REACTION_EMOJIS
+            .map(emoji => {
+                const mine = this.hasReacted(targetId, emoji, 'outgoing');
+                const count = Number(mine) + Number(this.hasReacted(targetId, emoji, 'incoming'));
+                return { emoji, count, mine };
+            })
+            .filter(summary => summary.count > 0);
+    }
+
+    createReactionSummary(messageData) {
+        const summary = this.getReactionSummary(messageData.id);
+        if (summary.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'message-reactions';
+        summary.forEach(({ emoji, count, mine }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `reaction-chip${mine ? ' mine' : ''}`;
+            chip.textContent = count > 1 ? `${emoji} ${count}` : emoji;
+            chip.title = mine ? 'Remove your reaction' : 'React';
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleReaction(messageData, emoji);
+            });
+            container.appendChild(chip);
+        });
+        return container;
+    }
+
+    showReactionBar(messageElement) {
+        this.hideReactionBars();
+
+        const bar = document.createElement('div');
+        bar.className = 'reaction-bar';
+        LetTalkyApp.REACTION_EMOJIS.forEach(emoji => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = emoji;
+            button.classList.toggle('mine', this.hasReacted(messageElement.dataset.messageId, emoji, 'outgoing'));
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideReactionBars();
+                this.toggleReaction(messageElement.messageData, emoji);
+            });
+            bar.appendChild(button);
+        });
+        messageElement.appendChild(bar);
+        messageElement.classList.add('show-actions');
+
+        // Any click elsewhere closes it
+        setTimeout(() => document.addEventListener('click', () => this.hideReactionBars(), { once: true }));
+    }
+
+    hideReactionBars() {
+        document.querySelectorAll('#messagesContainer .reaction-bar').forEach(bar => bar.remove());
+        document.querySelectorAll('#messagesContainer .message.show-actions').forEach(element => {
+            element.classList.remove('show-actions');
+        });
+    }
+
+    // Touch screens have no hover, so a long press opens the reaction bar
+    addLongPress(messageElement) {
+        let timer = null;
+        const cancel = () => clearTimeout(timer);
+
+        messageElement.addEventListener('touchstart', () => {
+            cancel();
+            timer = setTimeout(() => {
+                this.provideMobileHapticFeedback('light');
+                this.showReactionBar(messageElement);
+            }, LetTalkyApp.LONG_PRESS_DELAY);
+        }, { passive: true });
+        ['touchend', 'touchmove', 'touchcancel'].forEach(event => {
+            messageElement.addEventListener(event, cancel, { passive: true });
+        });
+    }
+
+    sendMessageAck(peerId, ids, status) {
+        this.sendSecure(peerId, { type: 'message_ack', ids, status }).catch(error => {
+            console.warn('Failed to send message receipt:', error.message);
+        });
+    }
+
+    // Read receipts go out once an incoming message is actually on screen
+    observeReadReceipt(element) {
+        if (!this.readObserver) {
+            if (!('IntersectionObserver' in window)) return;
+            this.readObserver = new IntersectionObserver(
+                entries => this.handleMessagesSeen(entries),
+                { root: document.getElementById('messagesContainer'), threshold: 0.6 }
+            );
+        }
+        this.readObserver.observe(element);
+    }
+
+    handleMessagesSeen(entries) {
+        if (document.hidden || !this.activeChatUser || this.activeChatUser.roomId) return;
+
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            this.readObserver.unobserve(entry.target);
+            const id = entry.target.dataset.messageId;
+            if (this.unreadMessages.delete(id)) this.pendingReadAcks.add(id);
+        });
+
+        if (this.pendingReadAcks.size > 0) {
+            clearTimeout(this.readAckTimer);
+            this.readAckTimer = setTimeout(() => this.flushReadAcks(), LetTalkyApp.READ_ACK_DELAY);
+        }
+    }
+
+    flushReadAcks() {
+        const ids = Array.from(this.pendingReadAcks).slice(0, LetTalkyApp.MAX_ACK_IDS);
+        ids.forEach(id => this.pendingReadAcks.delete(id));
+        if (ids.length === 0 || !this.activeChatUser) return;
+
+        this.sendMessageAck(this.activeChatUser.peerId, ids, 'read');
+        if (this.pendingReadAcks.size > 0) this.flushReadAcks();
+    }
+
+    // Observers report on layout only, so a hidden tab has to look again
+    recheckUnreadMessages() {
+        if (!this.readObserver) return;
+        document.querySelectorAll('#messagesContainer .message.incoming[data-message-id]').forEach(element => {
+            if (!this.unreadMessages.has(element.dataset.messageId)) return;
+            this.readObserver.unobserve(element);
+            this.readObserver.observe(element);
+        });
+    }
+
+    // =============================================================================
+    // FILE TRANSFER
+    // =============================================================================
+
+    // Files travel as encrypted binary frames over a second, raw DataConnection
+    // so they never pass through JSON or base64. The encrypted chat channel
+    // carries the control messages:
+    //
+    //   sender   → file_start   offer: metadata and digest, re-sent to resume
+    //   receiver → file_resume  accepts, asking for the next chunk it needs
+    //   receiver → file_ack     chunks received so far; `verified` once done
+    //   either   → file_cancel  declines or abandons the transfer
+    //
+    // Frame layout: fileId (16 bytes) | chunk index (uint32) | IV (12 bytes) |
+    // AES-GCM(SHA-256(chunk) | chunk). The offer carries `chunkListDigest`,
+    // SHA-256 over the concatenated chunk hashes rather than over the file
+    // bytes. Every chunk is checked against its own hash, so matching the list
+    // verifies the whole file without either side holding it in one buffer.
+    // The receiver writes chunks to IndexedDB as they arrive for the same
+    // reason.
+    async sendFile(file, peerId, message = '', filename = file.name) {
+        if (file.size > LetTalkyApp.MAX_FILE_SIZE) {
+            this.showNotification(`Files must be smaller than ${this.formatFileSize(LetTalkyApp.MAX_FILE_SIZE)}`, 'error');
+            return null;
+        }
+
+        const chunkSize = LetTalkyApp.FILE_CHUNK_SIZE;
+        let chunkHashes;
+        try {
+            chunkHashes = await this.hashFileChunks(file, chunkSize);
+        } catch (error) {
+            console.error('Error reading file:', error);
+            this.showNotification('Error reading file', 'error');
+            return null;
+        }
+
+        const transfer = {
+            fileId: this.bytesToHex(crypto.getRandomValues(new Uint8Array(16))),
+            peerId,
+            conversationId: this.getConversationId(peerId),
+            file,
+            filename,
+            filetype: file.type || 'application/octet-stream',
+            filesize: file.size,
+            thumbnail: await this.createThumbnail(file),
+            chunkSize,
+            totalChunks: chunkHashes.length,
+            chunkHashes,
+            chunkListDigest: this.arrayBufferToBase64(await this.digestChunkHashes(chunkHashes)),
+            direction: 'outgoing',
+            nextChunk: 0,
+            ackedChunks: 0,
+            message,
+            timestamp: Date.now(),
+            status: 'offered',
+            retries: 0,
+            wake: null
+        };
+        this.outgoingTransfers.set(transfer.fileId, transfer);
+        this.showTransferProgress();
+
+        console.log(`📤 Offering file: ${filename}, size: ${file.size} bytes, chunks: ${transfer.totalChunks}`);
+
+        try {
+            await this.announceFileTransfer(transfer);
+        } catch (error) {
+            console.error('Error sending file:', error);
+            transfer.status = 'paused';
+            this.showNotification(`${filename} will resume when you reconnect`, 'info');
+        }
+        return transfer;
+    }
+
+    async hashFileChunks(file, chunkSize) {
+        const hashes = [];
+        for (let start = 0; start < file.size; start += chunkSize) {
+            const data = await file.slice(start, start + chunkSize).arrayBuffer();
+            hashes.push(new Uint8Array(await crypto.subtle.digest('SHA-256', data)));
+        }
+        return hashes;
+    }
+
+    announceFileTransfer(transfer) {
+        transfer.status = 'offered';
+        return this.sendSecure(transfer.peerId, {
+            type: 'file_start',
+            fileId: transfer.fileId,
+            filename: transfer.filename,
+            filetype: transfer.filetype,
+            filesize: transfer.filesize,
+            chunkSize: transfer.chunkSize,
+            totalChunks: transfer.totalChunks,
+            chunkListDigest: transfer.chunkListDigest,
+            thumbnail: transfer.thumbnail,
+            message: transfer.message,
+            timestamp: transfer.timestamp,
+            sender: this.currentUsername,
+            avatar: this.currentAvatar
+        });
+    }
+
+    handleFileStart(peerId, data) {
+        const conversationId = this.getConversationId(peerId);
+        let transfer = this.fileTransfers.get(data.fileId);
+
+        if (transfer) {
+            // Same file re-announced after a reconnect: pick up where we were,
+            // or keep waiting if the offer has not been answered yet
+            if (transfer.conversationId !== conversationId) return;
+            transfer.peerId = peerId;
+            if (transfer.status === 'offered') return;
+            if (transfer.pausedBy === 'me') {
+                this.sendSecure(peerId, { type: 'file_pause', fileId: transfer.fileId }).catch(() => {});
+                return;
+            }
+            transfer.pausedBy = null;
+        } else {
+            const filesize = Number(data.filesize);
+            const chunkSize = Number(data.chunkSize);
+            const valid = /^[0-9a-f]{32}$/.test(data.fileId) &&
+                Number.isInteger(filesize) && filesize >= 0 && filesize <= LetTalkyApp.MAX_FILE_SIZE &&
+                Number.isInteger(chunkSize) && chunkSize > 0 && chunkSize <= LetTalkyApp.MAX_FILE_CHUNK_SIZE &&
+                data.totalChunks === Math.ceil(filesize / chunkSize) &&
+                typeof data.chunkListDigest === 'string' && data.chunkListDigest.length === 44;
+            if (!valid) {
+                console.warn('📎 Rejecting malformed file transfer from:', peerId);
+                return;
+            }
+
+            transfer = {
+                fileId: data.fileId,
+                peerId,
+                conversationId,
+                filename: String(data.filename || 'file'),
+                filetype: String(data.filetype || 'application/octet-stream'),
+                filesize,
+                chunkSize,
+                totalChunks: data.totalChunks,
+                chunkListDigest: data.chunkListDigest,
+                thumbnail: this.isValidThumbnail(data.thumbnail) ? data.thumbnail : null,
+                direction: 'incoming',
+                chunks: [],
+                chunkHashes: [],
+                nextChunk: 0,
+                message: data.message,
+                timestamp: data.timestamp,
+                sender: data.sender,
+                avatar: data.avatar,
+                status: 'offered'
+            };
+            this.fileTransfers.set(transfer.fileId, transfer);
+            console.log(`📥 File offered: ${transfer.filename} (${this.formatFileSize(filesize)})`);
+
+            if (this.shouldAutoAcceptFile(transfer)) {
+                this.startReceivingFile(transfer);
+            } else {
+                this.fileOfferQueue.push(transfer.fileId);
+                this.showNextFileOffer();
+                this.playNotificationSound();
+            }
+            return;
+        }
+
+        this.startReceivingFile(transfer);
+    }
+
+    // The size limit applies to every automatic accept; a contact rule only
+    // saves asking about files from someone we already trust
+    shouldAutoAcceptFile(transfer) {
+        if (transfer.filesize > this.settings.autoAcceptMaxSize) return false;
+        if (this.settings.autoAcceptFiles) return true;
+
+        const identityId = this.peerIdentities.get(transfer.peerId);
+        return !!(identityId && this.knownIdentities.get(identityId)?.autoAcceptFiles);
+    }
+
+    startReceivingFile(transfer) {
+        if (transfer.status === 'offered') {
+            this.showNotification(`Receiving file: ${transfer.filename}...`, 'info');
+        }
+        transfer.status = 'receiving';
+        this.showIncomingFilePlaceholder(transfer);
+        clearTimeout(transfer.expiry);
+        this.showTransferProgress();
+
+        if (transfer.nextChunk === transfer.totalChunks) {
+            this.finishIncomingFile(transfer);
+        } else {
+            this.requestFileResume(transfer);
+        }
+    }
+
+    requestFileResume(transfer) {
+        this.sendSecure(transfer.peerId, {
+            type: 'file_resume',
+            fileId: transfer.fileId,
+            nextChunk: transfer.nextChunk
+        }).catch(error => {
+            console.error('Failed to request file chunks:', error);
+            this.pauseIncomingFile(transfer);
+        });
+    }
+
+    showNextFileOffer() {
+        const modal = document.getElementById('fileOfferModal');
+        if (!modal || modal.classList.contains('show')) return;
+
+        this.fileOfferQueue = this.fileOfferQueue.filter(fileId => this.fileTransfers.get(fileId)?.status === 'offered');
+        const transfer = this.fileTransfers.get(this.fileOfferQueue[0]);
+        if (!transfer) return;
+
+        const known = this.getCachedUserInfo(transfer.peerId);
+        const identityId = this.peerIdentities.get(transfer.peerId);
+        document.getElementById('fileOfferAvatar').textContent = known?.avatar || transfer.avatar || '😊';
+        document.getElementById('fileOfferSender').textContent = known?.username || transfer.sender || 'Someone';
+        document.getElementById('fileOfferDetails').textContent =
+            `wants to send you ${transfer.filename} (${this.formatFileSize(transfer.filesize)})`;
+
+        const preview = document.getElementById('fileOfferPreview');
+        if (preview) {
+            preview.src = transfer.thumbnail || '';
+            preview.style.display = transfer.thumbnail ? 'block' : 'none';
+        }
+
+        // Per-contact rules need an identity that outlives the peer ID
+        const trustRow = document.getElementById('fileOfferTrustRow');
+        const trust = document.getElementById('fileOfferTrust');
+        if (trustRow) trustRow.style.display = identityId ? '' : 'none';
+        if (trust) trust.checked = false;
+
+        modal.classList.add('show');
+    }
+
+    acceptFileOffer() {
+        const transfer = this.takeCurrentFileOffer();
+        if (!transfer) return;
+
+        const identityId = this.peerIdentities.get(transfer.peerId);
+        if (identityId && document.getElementById('fileOfferTrust')?.checked) {
+            this.setFileAutoAccept(identityId, true);
+        }
+        this.startReceivingFile(transfer);
+    }
+
+    declineFileOffer() {
+        const transfer = this.takeCurrentFileOffer();
+        if (!transfer) return;
+
+        this.fileTransfers.delete(transfer.fileId);
+        this.sendSecure(transfer.peerId, { type: 'file_cancel', fileId: transfer.fileId, reason: 'declined' })
+            .catch(error => console.error('Failed to decline file:', error));
+    }
+
+    takeCurrentFileOffer() {
+        const transfer = this.fileTransfers.get(this.fileOfferQueue.shift());
+        this.hideModal('fileOfferModal');
+        setTimeout(() => this.showNextFileOffer(), 300);
+        return transfer?.status === 'offered' ? transfer : null;
+    }
+
+    setFileAutoAccept(identityId, enabled) {
+        const known = this.knownIdentities.get(identityId);
+        if (!known) return;
+
+        this.rememberIdentity(identityId, { autoAcceptFiles: enabled });
+        this.renderAutoAcceptContacts();
+    }
+
+    renderAutoAcceptContacts() {
+        const container = document.getElementById('autoAcceptContacts');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.knownIdentities.forEach((known, identityId) => {
+            if (!known.autoAcceptFiles) return;
+
+            const item = document.createElement('div');
+            item.className = 'auto-accept-item';
+            item.innerHTML = `
+                <span>${this.escapeHtml(known.avatar || '😊')}</span>
+                <span class="auto-accept-name">Always accept from ${this.escapeHtml(known.username || 'contact')}</span>
+                <button type="button">Remove</button>
+            `;
+            item.querySelector('button').addEventListener('click', () => {
+                this.setFileAutoAccept(identityId, false);
+            });
+            container.appendChild(item);
+        });
+    }
+
+    handleFileResume(peerId, data) {
+        const transfer = this.outgoingTransfers.get(data.fileId);
+        if (!transfer || transfer.conversationId !== this.getConversationId(peerId)) return;
+
+        if (transfer.pausedBy === 'me') {
+            this.sendSecure(peerId, { type: 'file_pause', fileId: transfer.fileId }).catch(() => {});
+            return;
+        }
+
+        const nextChunk = Math.max(0, Math.min(parseInt(data.nextChunk) || 0, transfer.totalChunks));
+        transfer.peerId = peerId;
+        transfer.nextChunk = nextChunk;
+        transfer.ackedChunks = nextChunk;
+        transfer.status = 'sending';
+        transfer.pausedBy = null;
+        transfer.samples = [];
+        this.recordTransferProgress(transfer);
+
+        if (nextChunk > 0) {
+            console.log(`⏯️ Resuming ${transfer.filename} from chunk ${nextChunk}/${transfer.totalChunks}`);
+        }
+        this.wakeFileTransfer(transfer);
+        this.pumpFileTransfer(transfer);
+    }
+
+    handleFileAck(peerId, data) {
+        const transfer = this.outgoingTransfers.get(data.fileId);
+        if (!transfer || transfer.peerId !== peerId) return;
+
+        if (data.verified) {
+            this.outgoingTransfers.delete(transfer.fileId);
+            transfer.status = 'complete';
+            this.wakeFileTransfer(transfer);
+            this.handleFileDelivered(transfer);
+            this.settleQueuedFile(transfer.fileId, 'sent');
+            this.renderTransfers();
+            return;
+        }
+
+        const acked = Math.min(parseInt(data.nextChunk) || 0, transfer.totalChunks);
+        if (acked > transfer.ackedChunks) {
+            transfer.ackedChunks = acked;
+            transfer.retries = 0;
+            this.recordTransferProgress(transfer);
+        }
+        this.wakeFileTransfer(transfer);
+    }
+
+    handleFileDelivered(transfer) {
+        console.log('✅ File delivered:', transfer.filename);
+        this.activityCounts.messagesSent++;
+        this.showNotification(`File sent: ${transfer.filename}`, 'success');
+
+        const fileMessageData = {
+            type: 'file',
+            fileId: transfer.fileId,
+            filename: transfer.filename,
+            filetype: transfer.filetype,
+            filesize: transfer.filesize,
+            fileUrl: URL.createObjectURL(transfer.file),
+            thumbnail: transfer.thumbnail,
+            content: transfer.message,
+            timestamp: transfer.timestamp,
+            sender: this.currentUsername,
+            avatar: this.currentAvatar
+        };
+        if (this.activeChatUser?.peerId === transfer.peerId) {
+            this.displayFileMessage(fileMessageData, 'outgoing');
+        }
+        this.saveToHistory(transfer.peerId, fileMessageData, 'outgoing');
+    }
+
+    // Every chunk is in; check the chunk hashes against the list digest in the offer
+    async finishIncomingFile(transfer) {
+        const peerId = transfer.peerId;
+        const digest = this.arrayBufferToBase64(await this.digestChunkHashes(transfer.chunkHashes));
+        if (digest !== transfer.chunkListDigest) {
+            console.error('❌ File digest mismatch:', transfer.filename);
+            return this.abandonIncomingFile(transfer, 'checksum');
+        }
+
+        let blob;
+        try {
+            blob = transfer.spooled
+                ? await this.history.loadFileChunks(transfer.fileId, transfer.totalChunks, transfer.filetype)
+                : new Blob(transfer.chunks, { type: transfer.filetype });
+        } catch (error) {
+            console.error('❌ Failed to read back file chunks:', error);
+            return this.abandonIncomingFile(transfer, 'storage');
+        }
+        // The blob keeps its data alive once the records are gone
+        this.discardFileChunks(transfer);
+        this.fileTransfers.delete(transfer.fileId);
+        this.renderTransfers();
+
+        this.sendSecure(peerId, { type: 'file_ack', fileId: transfer.fileId, nextChunk: transfer.totalChunks, verified: true })
+            .catch(error => console.error('Failed to confirm file:', error));
+
+        console.log(`✅ File received: ${transfer.filename}, ${blob.size} bytes`);
+        this.activityCounts.messagesReceived++;
+
+        // The sender may not have managed a first-page thumbnail
+        if (!transfer.thumbnail && transfer.filetype === 'application/pdf') {
+            transfer.thumbnail = await this.createThumbnail(blob);
+        }
+
+        const fileData = {
+            type: 'file',
+            fileId: transfer.fileId,
+            filename: transfer.filename,
+            filetype: transfer.filetype,
+            filesize: blob.size,
+            fileUrl: URL.createObjectURL(blob),
+            thumbnail: transfer.thumbnail,
+            content: transfer.message,
+            timestamp: transfer.timestamp,
+            sender: transfer.sender,
+            avatar: transfer.avatar
+        };
+
+        if (this.activeChatUser?.peerId === peerId) {
+            this.displayFileMessage(fileData, 'incoming');
+        }
+        this.saveToHistory(peerId, fileData, 'incoming');
+        this.showNotification(`File received: ${transfer.filename} (${this.formatFileSize(blob.size)})`, 'success');
+        this.playNotificationSound();
+    }
+
+    handleFileCancel(peerId, data) {
+        const outgoing = this.outgoingTransfers.get(data.fileId);
+        if (outgoing?.peerId === peerId) {
+            this.outgoingTransfers.delete(data.fileId);
+            outgoing.status = 'cancelled';
+            this.wakeFileTransfer(outgoing);
+            const username = this.getCachedUserInfo(peerId)?.username || 'They';
+            if (data.reason === 'declined') {
+                this.showNotification(`${username} declined ${outgoing.filename}`, 'info');
+            } else if (data.reason === 'cancelled') {
+                this.showNotification(`${username} cancelled ${outgoing.filename}`, 'info');
+            } else {
+                this.showNotification(`Could not send ${outgoing.filename}`, 'error');
+            }
+            this.settleQueuedFile(outgoing.fileId, ['declined', 'cancelled'].includes(data.reason) ? data.reason : 'failed');
+        }
+
+        const incoming = this.fileTransfers.get(data.fileId);
+        if (incoming?.peerId === peerId) {
+            clearTimeout(incoming.expiry);
+            this.fileTransfers.delete(data.fileId);
+            this.discardFileChunks(incoming);
+            if (incoming.status === 'offered') {
+                this.closeWithdrawnFileOffer(incoming.fileId);
+            } else {
+                this.removeFilePlaceholder(incoming.fileId);
+                this.showNotification(`${incoming.filename} was cancelled`, 'info');
+            }
+        }
+        this.renderTransfers();
+    }
+
+    closeWithdrawnFileOffer(fileId) {
+        const showing = this.fileOfferQueue[0] === fileId;
+        this.fileOfferQueue = this.fileOfferQueue.filter(id => id !== fileId);
+        if (showing) {
+            this.hideModal('fileOfferModal');
+            setTimeout(() => this.showNextFileOffer(), 300);
+        }
+    }
+
+    // Streams chunks while the peer keeps up: at most FILE_WINDOW chunks may
+    // be unacknowledged and the channel buffer is kept under FILE_BUFFER_HIGH
+    async pumpFileTransfer(transfer) {
+        if (transfer.pumping) return;
+        transfer.pumping = true;
+
+        try {
+            while (transfer.status === 'sending' && transfer.ackedChunks < transfer.totalChunks) {
+                const windowFull = transfer.nextChunk - transfer.ackedChunks >= LetTalkyApp.FILE_WINDOW;
+                if (windowFull || transfer.nextChunk >= transfer.totalChunks) {
+                    if (!await this.waitForFileAck(transfer)) {
+                        this.handleFileStall(transfer);
+                    }
+                    continue;
+                }
+
+                const channel = await this.getFileChannel(transfer.peerId);
+                await this.waitForBufferDrain(channel);
+
+                const index = transfer.nextChunk;
+                const frame = await this.encryptFileChunk(transfer, index);
+                // The receiver may have asked for a rewind meanwhile
+                if (transfer.status !== 'sending' || transfer.nextChunk !== index) continue;
+
+                channel.send(frame);
+                transfer.nextChunk = index + 1;
+            }
+        } catch (error) {
+            console.error(`❌ File transfer interrupted: ${transfer.filename}`, error);
+            this.handleFileStall(transfer);
+        } finally {
+            transfer.pumping = false;
+        }
+    }
+
+    // Re-announcing makes the receiver reply with the chunk it actually needs
+    handleFileStall(transfer) {
+        if (transfer.status !== 'sending') return;
+
+        const connected = this.isConnectedToPeer(transfer.peerId) && this.hasChatSession(transfer.peerId);
+        if (!connected || ++transfer.retries > LetTalkyApp.FILE_MAX_RETRIES) {
+            transfer.status = 'paused';
+            return;
+        }
+
+        this.announceFileTransfer(transfer).catch(() => {
+            transfer.status = 'paused';
+        });
+    }
+
+    waitForFileAck(transfer) {
+        return new Promise(resolve => {
+            const timeout = setTimeout(() => {
+                transfer.wake = null;
+                resolve(false);
+            }, LetTalkyApp.FILE_ACK_TIMEOUT);
+            transfer.wake = () => {
+                clearTimeout(timeout);
+                transfer.wake = null;
+                resolve(true);
+            };
+        });
+    }
+
+    wakeFileTransfer(transfer) {
+        if (transfer.wake) {
+            transfer.wake();
+        }
+    }
+
+    waitForBufferDrain(channel) {
+        const dataChannel = channel.dataChannel;
+        if (!dataChannel || dataChannel.bufferedAmount <= LetTalkyApp.FILE_BUFFER_HIGH) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onLow = () => {
+                dataChannel.removeEventListener('close', onClose);
+                resolve();
+            };
+            const onClose = () => {
+                dataChannel.removeEventListener('bufferedamountlow', onLow);
+                reject(new Error('File channel closed'));
+            };
+            dataChannel.addEventListener('bufferedamountlow', onLow, { once: true });
+            dataChannel.addEventListener('close', onClose, { once: true });
+        });
+    }
+
+    async encryptFileChunk(transfer, index) {
+        const session = this.e2eSessions.get(transfer.peerId);
+        if (!session) {
+            throw new Error('Encrypted session not established');
+        }
+
+        const start = index * transfer.chunkSize;
+        const data = new Uint8Array(await transfer.file.slice(start, start + transfer.chunkSize).arrayBuffer());
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        if (!this.bytesEqual(hash, transfer.chunkHashes[index])) {
+            this.outgoingTransfers.delete(transfer.fileId);
+            transfer.status = 'cancelled';
+            this.sendSecure(transfer.peerId, { type: 'file_cancel', fileId: transfer.fileId, reason: 'changed' })
+                .catch(() => {});
+            this.showNotification(`${transfer.filename} changed while it was being sent`, 'error');
+            this.settleQueuedFile(transfer.fileId, 'failed');
+            this.renderTransfers();
+            throw new Error('File changed after it was offered');
+        }
+
+        const payload = new Uint8Array(hash.length + data.length);
+        payload.set(hash);
+        payload.set(data, hash.length);
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.fileChunkAad(this.peer.id, transfer.peerId, transfer.fileId, index) },
+            session.key,
+            payload
+        );
+
+        const frame = new Uint8Array(LetTalkyApp.FILE_FRAME_HEADER + ciphertext.byteLength);
+        frame.set(this.hexToBytes(transfer.fileId));
+        new DataView(frame.buffer).setUint32(16, index);
+        frame.set(iv, 20);
+        frame.set(new Uint8Array(ciphertext), LetTalkyApp.FILE_FRAME_HEADER);
+        return frame.buffer;
+    }
+
+    async handleFileFrame(peerId, buffer) {
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength <= LetTalkyApp.FILE_FRAME_HEADER) return;
+
+        const bytes = new Uint8Array(buffer);
+        const fileId = this.bytesToHex(bytes.subarray(0, 16));
+        const index = new DataView(buffer).getUint32(16);
+        const transfer = this.fileTransfers.get(fileId);
+        const session = this.e2eSessions.get(peerId);
+        if (!transfer || !session || transfer.peerId !== peerId || transfer.status !== 'receiving') return;
+
+        // Chunks must arrive in order; anything else is left over from before a rewind
+        if (index !== transfer.nextChunk) return;
+
+        let payload;
+        try {
+            payload = new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: bytes.subarray(20, 32), additionalData: this.fileChunkAad(peerId, this.peer.id, fileId, index) },
+                session.key,
+                bytes.subarray(LetTalkyApp.FILE_FRAME_HEADER)
+            ));
+        } catch (error) {
+            console.error('❌ Failed to decrypt file chunk:', index, error);
+            return this.rewindFileTransfer(transfer, index);
+        }
+
+        const data = payload.slice(32);
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        const expectedSize = Math.min(transfer.chunkSize, transfer.filesize - index * transfer.chunkSize);
+        if (data.length !== expectedSize || !this.bytesEqual(hash, payload.subarray(0, 32))) {
+            console.warn(`⚠️ Chunk ${index} of ${transfer.filename} failed verification`);
+            return this.rewindFileTransfer(transfer, index);
+        }
+
+        try {
+            await this.storeFileChunk(transfer, index, data);
+        } catch (error) {
+            console.error('❌ Failed to store file chunk:', error);
+            return this.abandonIncomingFile(transfer, 'storage');
+        }
+        transfer.chunkHashes[index] = hash;
+        transfer.nextChunk = index + 1;
+        transfer.rewoundAt = null;
+        this.recordTransferProgress(transfer);
+
+        if (transfer.nextChunk === transfer.totalChunks) {
+            await this.finishIncomingFile(transfer);
+        } else if (transfer.nextChunk % LetTalkyApp.FILE_ACK_INTERVAL === 0) {
+            this.sendSecure(peerId, { type: 'file_ack', fileId, nextChunk: transfer.nextChunk })
+                .catch(error => console.error('Failed to acknowledge file chunks:', error));
+        }
+    }
+
+    // Ask once per bad chunk; the frames already in flight behind it are dropped
+    rewindFileTransfer(transfer, index) {
+        if (transfer.rewoundAt === index) return;
+        transfer.rewoundAt = index;
+        this.requestFileResume(transfer);
+    }
+
+    // Received chunks are written to IndexedDB, encrypted under the history
+    // key, so a large file never has to fit in memory. Only if IndexedDB (or
+    // the key) is unusable from the first chunk on are they kept in memory
+    // instead.
+    async storeFileChunk(transfer, index, data) {
+        if (transfer.spooled !== false) {
+            try {
+                await this.history.saveFileChunk(transfer.fileId, index, data);
+                transfer.spooled = true;
+                return;
+            } catch (error) {
+                if (transfer.spooled) throw error;
+                console.warn('⚠️ Keeping file chunks in memory:', error.message);
+                transfer.spooled = false;
+            }
+        }
+        transfer.chunks[index] = data.buffer;
+    }
+
+    discardFileChunks(transfer) {
+        transfer.chunks = [];
+        if (!transfer.spooled) return;
+        this.history.deleteFileChunks(transfer.fileId)
+            .catch(error => console.error('❌ Failed to delete file chunks:', error));
+    }
+
+    abandonIncomingFile(transfer, reason) {
+        this.fileTransfers.delete(transfer.fileId);
+        this.discardFileChunks(transfer);
+        this.renderTransfers();
+        this.removeFilePlaceholder(transfer.fileId);
+        this.showNotification(`Error receiving file: ${transfer.filename}`, 'error');
+        this.sendSecure(transfer.peerId, { type: 'file_cancel', fileId: transfer.fileId, reason })
+            .catch(() => {});
+    }
+
+    // Connection lost: keep what we have so the transfer can resume
+    pauseFileTransfers(peerId) {
+        this.outgoingTransfers.forEach(transfer => {
+            if (transfer.peerId !== peerId) return;
+            transfer.status = 'paused';
+            transfer.samples = [];
+            this.wakeFileTransfer(transfer);
+        });
+
+        // Unanswered offers stay in the queue; the sender re-offers on reconnect
+        this.fileTransfers.forEach(transfer => {
+            if (transfer.peerId === peerId && transfer.status === 'receiving') {
+                this.pauseIncomingFile(transfer);
+            }
+        });
+    }
+
+    // Files we paused ourselves are kept; anything else expires eventually
+    pauseIncomingFile(transfer, expire = true) {
+        if (transfer.status !== 'receiving') return;
+
+        transfer.status = 'paused';
+        transfer.samples = [];
+        if (expire) {
+            transfer.expiry = setTimeout(() => {
+                this.fileTransfers.delete(transfer.fileId);
+                this.discardFileChunks(transfer);
+                this.removeFilePlaceholder(transfer.fileId);
+                console.log('🗑️ Dropped stalled incoming file:', transfer.filename);
+                this.renderTransfers();
+            }, LetTalkyApp.FILE_RESUME_TTL);
+        }
+        this.scheduleTransferRender();
+    }
+
+    // Called once a reconnect has an encrypted session on both ends. Transfers
+    // follow the conversation, so they survive the peer getting a new peer ID.
+    resumeFileTransfers(peerId) {
+        const conversationId = this.getConversationId(peerId);
+
+        this.outgoingTransfers.forEach(transfer => {
+            if (transfer.conversationId !== conversationId || transfer.status !== 'paused' || transfer.pausedBy) return;
+            transfer.peerId = peerId;
+            transfer.retries = 0;
+            this.announceFileTransfer(transfer).catch(error => console.error('Failed to resume file:', error));
+        });
+
+        this.fileTransfers.forEach(transfer => {
+            if (transfer.conversationId !== conversationId || transfer.status !== 'paused' || transfer.pausedBy) return;
+            clearTimeout(transfer.expiry);
+            transfer.peerId = peerId;
+            transfer.status = 'receiving';
+            this.requestFileResume(transfer);
+        });
+    }
+
+    // =============================================================================
+    // TRANSFER PROGRESS
+    // =============================================================================
+
+    // Progress counts acknowledged chunks on the sending side and verified
+    // chunks on the receiving side, so both ends show the same figure
+    getActiveTransfers() {
+        const transfers = Array.from(this.outgoingTransfers.values());
+        this.fileTransfers.forEach(transfer => {
+            if (transfer.status !== 'offered') transfers.push(transfer);
+        });
+        return transfers;
+    }
+
+    findTransfer(fileId) {
+        return this.outgoingTransfers.get(fileId) ||
+            (this.fileTransfers.get(fileId)?.status !== 'offered' ? this.fileTransfers.get(fileId) : null);
+    }
+
+    getTransferredBytes(transfer) {
+        const chunks = transfer.direction === 'outgoing' ? transfer.ackedChunks : transfer.nextChunk;
+        return Math.min(transfer.filesize, chunks * transfer.chunkSize);
+    }
+
+    recordTransferProgress(transfer) {
+        const now = Date.now();
+        const samples = transfer.samples || (transfer.samples = []);
+        samples.push({ time: now, bytes: this.getTransferredBytes(transfer) });
+        while (samples.length > 2 && now - samples[0].time > LetTalkyApp.TRANSFER_SPEED_WINDOW) {
+            samples.shift();
+        }
+        this.scheduleTransferRender();
+    }
+
+    getTransferSpeed(transfer) {
+        const samples = transfer.samples || [];
+        if (samples.length < 2 || !['sending', 'receiving'].includes(transfer.status)) return 0;
+
+        const elapsed = (Date.now() - samples[0].time) / 1000;
+        return elapsed > 0 ? (samples[samples.length - 1].bytes - samples[0].bytes) / elapsed : 0;
+    }
+
+    describeTransfer(transfer) {
+        const username = this.getCachedUserInfo(transfer.peerId)?.username || 'them';
+
+        if (transfer.status === 'offered') return `Waiting for ${username} to accept`;
+        if (transfer.pausedBy === 'me') return 'Paused';
+        if (transfer.pausedBy === 'peer') return `Paused by ${username}`;
+        if (transfer.status === 'paused') return 'Waiting for connection...';
+
+        const bytes = this.getTransferredBytes(transfer);
+        const speed = this.getTransferSpeed(transfer);
+        const parts = [`${this.formatFileSize(bytes)} of ${this.formatFileSize(transfer.filesize)}`];
+        if (speed > 0) {
+            parts.push(`${this.formatFileSize(Math.round(speed))}/s`);
+            parts.push(`${this.formatEta((transfer.filesize - bytes) / speed)} left`);
+        }
+        return parts.join(' • ');
+    }
+
+    formatEta(seconds) {
+        seconds = Math.ceil(seconds);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${(seconds % 60).toString().padStart(2, '0')}s`;
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60).toString().padStart(2, '0')}m`;
+    }
+
+    showTransferProgress() {
+        if (!this.progressHidden) {
+            document.getElementById('progressModal')?.classList.add('show');
+        }
+        this.renderTransfers();
+    }
+
+    hideTransferProgress() {
+        this.progressHidden = true;
+        this.hideModal('progressModal');
+        this.renderTransfers();
+    }
+
+    scheduleTransferRender(delay = 250) {
+        if (this.transferRenderTimer) return;
+        this.transferRenderTimer = setTimeout(() => {
+            this.transferRenderTimer = null;
+            this.renderTransfers();
+        }, delay);
+    }
+
+    renderTransfers() {
+        const transfers = this.getActiveTransfers();
+        const pill = document.getElementById('transferPill');
+
+        if (transfers.length === 0) {
+            this.hideModal('progressModal');
+            if (pill) pill.style.display = 'none';
+            this.progressHidden = false;
+            this.focusedTransferId = null;
+            return;
+        }
+
+        const percentOf = transfer => transfer.filesize
+            ? Math.floor(this.getTransferredBytes(transfer) / transfer.filesize * 100)
+            : 100;
+
+        const focused = transfers.find(transfer => transfer.fileId === this.focusedTransferId) || transfers[0];
+        this.focusedTransferId = focused.fileId;
+        const percent = percentOf(focused);
+
+        const title = document.getElementById('progressTitle');
+        const fill = document.getElementById('progressFill');
+        const percentage = document.getElementById('progressPercentage');
+        const details = document.getElementById('progressDetails');
+        const pauseBtn = document.getElementById('pauseTransferBtn');
+        if (title) title.textContent = `${focused.direction === 'outgoing' ? 'Sending' : 'Receiving'} ${focused.filename}`;
+        if (fill) fill.style.width = `${percent}%`;
+        if (percentage) percentage.textContent = `${percent}%`;
+        if (details) details.textContent = this.describeTransfer(focused);
+        if (pauseBtn) {
+            pauseBtn.textContent = focused.pausedBy === 'me' ? 'Resume' : 'Pause';
+            pauseBtn.disabled = focused.status === 'offered' || focused.pausedBy === 'peer';
+        }
+
+        const list = document.getElementById('transferList');
+        if (list) {
+            list.innerHTML = '';
+            transfers.filter(transfer => transfer !== focused).forEach(transfer => {
+                const item = document.createElement('div');
+                item.className = 'transfer-item';
+                item.innerHTML = `
+                    <span>${transfer.direction === 'outgoing' ? '⬆️' : '⬇️'}</span>
+                    <span class="transfer-name">${this.escapeHtml(transfer.filename)}</span>
+                    <span class="transfer-state">${transfer.status === 'offered' || transfer.pausedBy ? this.escapeHtml(this.describeTransfer(transfer)) : `${percentOf(transfer)}%`}</span>
+                `;
+                item.addEventListener('click', () => {
+                    this.focusedTransferId = transfer.fileId;
+                    this.renderTransfers();
+                });
+                list.appendChild(item);
+            });
+        }
+
+        if (pill) {
+            const total = transfers.reduce((sum, transfer) => sum + transfer.filesize, 0);
+            const done = transfers.reduce((sum, transfer) => sum + this.getTransferredBytes(transfer), 0);
+            const overall = total ? Math.floor(done / total * 100) : 100;
+            pill.textContent = `⇅ ${transfers.length} transfer${transfers.length > 1 ? 's' : ''} • ${overall}%`;
+            pill.style.display = this.progressHidden ? 'block' : 'none';
+        }
+
+        if (this.sendQueue.length > 0) {
+            this.renderFilePreview();
+        }
+        this.updateFilePlaceholders();
+
+        // Keep speed and ETA ticking between acknowledgements
+        this.scheduleTransferRender(1000);
     }
 
-    // 18. Mobile Video Call Handler  
-    handleMobileVideoCall() {
-        console.log('📱 Mobile video call button clicked');
-        this.showMobileNotification('Video calling feature coming soon!', 'info');
-    }
-    //End Mobile Function
-    
+    toggleFocusedTransferPause() {
+        const transfer = this.findTransfer(this.focusedTransferId);
+        if (!transfer) return;
 
-    openChatInterface(peerId, username, avatar) {
-        if (this.isMobileDevice()) {
-            this.openMobileChatInterface(peerId, username, avatar);
+        if (transfer.pausedBy === 'me') {
+            this.resumeTransfer(transfer.fileId);
         } else {
-        this.activeChatUser = { peerId, username, avatar };
-        
-        // Update chat header
-        const chatAvatar = document.getElementById('chatAvatar');
-        const chatUserName = document.getElementById('chatUserName');
-        
-        if (chatAvatar) chatAvatar.textContent = avatar;
-        if (chatUserName) chatUserName.textContent = username;
+            this.pauseTransfer(transfer.fileId);
+        }
+    }
 
-        // Show chat interface
-        const welcomeState = document.getElementById('welcomeState');
-        const chatInterface = document.getElementById('chatInterface');
-        
-        if (welcomeState) welcomeState.style.display = 'none';
-        if (chatInterface) chatInterface.style.display = 'flex';
+    pauseTransfer(fileId) {
+        const transfer = this.findTransfer(fileId);
+        if (!transfer || transfer.pausedBy || transfer.status === 'offered') return;
 
-        // Clear previous messages
-        this.clearMessages();
-        
-        // Focus message input
-        const messageInput = document.getElementById('messageInput');
-        if (messageInput) {
-            setTimeout(() => messageInput.focus(), 100);
+        transfer.pausedBy = 'me';
+        transfer.samples = [];
+        if (transfer.direction === 'outgoing') {
+            transfer.status = 'paused';
+            this.wakeFileTransfer(transfer);
+        } else {
+            this.pauseIncomingFile(transfer, false);
         }
-    }
+
+        this.sendSecure(transfer.peerId, { type: 'file_pause', fileId })
+            .catch(error => console.error('Failed to send pause:', error));
+        this.renderTransfers();
     }
 
-    closeChatInterface() {
-        this.activeChatUser = null;
-        
-        const welcomeState = document.getElementById('welcomeState');
-        const chatInterface = document.getElementById('chatInterface');
-        
-        if (welcomeState) welcomeState.style.display = 'flex';
-        if (chatInterface) chatInterface.style.display = 'none';
+    // The sender re-offers and the receiver re-requests; either way the
+    // other side answers with the chunk position, exactly as after a reconnect
+    resumeTransfer(fileId) {
+        const transfer = this.findTransfer(fileId);
+        if (!transfer || transfer.pausedBy !== 'me') return;
+
+        transfer.pausedBy = null;
+        if (transfer.direction === 'outgoing') {
+            transfer.retries = 0;
+            this.announceFileTransfer(transfer).catch(() => {
+                transfer.status = 'paused';
+            });
+        } else {
+            this.startReceivingFile(transfer);
+        }
+        this.renderTransfers();
+    }
 
-        // Remove active state from user items
-        document.querySelectorAll('.user-item').forEach(item => {
-            item.classList.remove('active');
-        });
+    cancelTransfer(fileId) {
+        const transfer = this.findTransfer(fileId);
+        if (!transfer) return;
+
+        this.outgoingTransfers.delete(fileId);
+        this.fileTransfers.delete(fileId);
+        this.discardFileChunks(transfer);
+        this.removeFilePlaceholder(fileId);
+        clearTimeout(transfer.expiry);
+        transfer.status = 'cancelled';
+        this.wakeFileTransfer(transfer);
+
+        this.sendSecure(transfer.peerId, { type: 'file_cancel', fileId, reason: 'cancelled' })
+            .catch(error => console.error('Failed to send cancel:', error));
+        this.showNotification(`Cancelled ${transfer.filename}`, 'info');
+        this.settleQueuedFile(fileId, 'cancelled');
+        this.renderTransfers();
     }
 
-    sendMessage() {
-        const messageInput = document.getElementById('messageInput');
-        if (!messageInput || !this.activeChatUser) return;
-    
-        const message = messageInput.value.trim();
-        if (!message && !this.selectedFile) return;
-    
-        const connection = this.connections.get(this.activeChatUser.peerId);
-        if (!connection || !connection.open) {
-            this.showNotification('No active connection. Please reconnect.', 'error');
-            return;
-        }
-    
-        // Handle file sending
-        if (this.selectedFile) {
-            this.sendFileSimple(this.selectedFile, connection, message);
+    handleFilePause(peerId, data) {
+        const transfer = this.findTransfer(data.fileId);
+        if (!transfer || transfer.peerId !== peerId || transfer.pausedBy) return;
+
+        transfer.pausedBy = 'peer';
+        transfer.samples = [];
+        if (transfer.direction === 'outgoing') {
+            transfer.status = 'paused';
+            this.wakeFileTransfer(transfer);
         } else {
-            // Handle text message
-            const messageData = {
-                type: 'message',
-                content: message,
-                timestamp: Date.now(),
-                sender: this.currentUsername,
-                avatar: this.currentAvatar
-            };
-    
-            try {
-                connection.send(messageData);
-                this.displayMessage(messageData, 'outgoing');
-            } catch (error) {
-                this.showNotification('Failed to send message', 'error');
-            }
+            this.pauseIncomingFile(transfer);
         }
-    
-        // Clear input
-        messageInput.value = '';
-        messageInput.style.height = 'auto';
-        this.removeFilePreview();
+        this.renderTransfers();
     }
 
-        // Simple and reliable file sending
-    sendFileSimple(file, connection, message = '') {
-        console.log(`📤 Sending file: ${file.name}, size: ${file.size} bytes`);
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const arrayBuffer = e.target.result;
-            
-            // Convert to Base64 for reliable transmission
-            const uint8Array = new Uint8Array(arrayBuffer);
-            let binaryString = '';
-            for (let i = 0; i < uint8Array.length; i++) {
-                binaryString += String.fromCharCode(uint8Array[i]);
-            }
-            const base64Data = btoa(binaryString);
-            
-            const fileData = {
-                type: 'file_transfer',
-                filename: file.name,
-                filetype: file.type,
-                filesize: file.size,
-                filedata: base64Data,
-                message: message,
-                timestamp: Date.now(),
-                sender: this.currentUsername,
-                avatar: this.currentAvatar
-            };
-            
-            try {
-                connection.send(fileData);
-                console.log('✅ File sent successfully');
-                this.showNotification(`File sent: ${file.name}`, 'success');
-                
-                // Show in sender's chat
-                const displayData = {
-                    type: 'file',
-                    filename: file.name,
-                    filetype: file.type,
-                    filesize: file.size,
-                    content: message,
-                    timestamp: Date.now(),
-                    sender: this.currentUsername,
-                    avatar: this.currentAvatar
-                };
-                this.displayFileMessage(displayData, 'outgoing');
-                
-            } catch (error) {
-                console.error('Error sending file:', error);
-                this.showNotification('Failed to send file', 'error');
-            }
-        };
-        
-        reader.onerror = () => {
-            this.showNotification('Error reading file', 'error');
-        };
-        
-        reader.readAsArrayBuffer(file);
-    }
+    getFileChannel(peerId) {
+        if (!this.fileChannels.has(peerId)) {
+            const pending = new Promise((resolve, reject) => {
+                const channel = this.peer.connect(peerId, {
+                    reliable: true,
+                    serialization: 'raw',
+                    metadata: { fileChannel: true }
+                });
+                const timeout = setTimeout(() => {
+                    channel.close();
+                    reject(new Error('File channel timed out'));
+                }, 15000);
+
+                channel.on('open', () => {
+                    clearTimeout(timeout);
+                    this.setupFileChannel(channel);
+                    resolve(channel);
+                });
+                channel.on('error', (error) => {
+                    clearTimeout(timeout);
+                    reject(error);
+                });
+            });
 
-    
+            pending.catch(() => this.fileChannels.delete(peerId));
+            this.fileChannels.set(peerId, pending);
+        }
+        return this.fileChannels.get(peerId);
+    }
 
-        // New method to send files in chunks
-        // Enhanced sendFileInChunks method
-        // Fixed sendFileInChunks method
-        // FIXED - Base64 encoding for reliable transmission
-    sendFileInChunks(file, connection, message = '') {
-        const CHUNK_SIZE = 8192; // Smaller chunks for better reliability
-        let offset = 0;
-        let chunkIndex = 0;
-        const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+    setupFileChannel(channel) {
+        const peerId = channel.peer;
+        this.fileChannels.set(peerId, Promise.resolve(channel));
+        if (channel.dataChannel) {
+            channel.dataChannel.bufferedAmountLowThreshold = LetTalkyApp.FILE_BUFFER_LOW;
+        }
 
-        console.log(`📤 Starting file transfer: ${file.name}, size: ${file.size} bytes, chunks: ${totalChunks}`);
-        this.showNotification(`Sending file: ${file.name}...`, 'info');
+        // Decryption is async, so frames are processed strictly one at a time
+        let queue = Promise.resolve();
+        channel.on('data', (data) => {
+            queue = queue
+                .then(async () => this.handleFileFrame(peerId, data instanceof Blob ? await data.arrayBuffer() : data))
+                .catch(error => console.error('❌ File frame error:', error));
+        });
 
-        const sendNextChunk = () => {
-            if (offset >= file.size) {
-                console.log('✅ All chunks sent successfully');
-                this.showNotification(`File sent: ${file.name}`, 'success');
-                
-                // Display file message in sender's chat
-                const fileMessageData = {
-                    type: 'file',
-                    filename: file.name,
-                    filetype: file.type,
-                    filesize: file.size,
-                    content: message,
-                    timestamp: Date.now(),
-                    sender: this.currentUsername,
-                    avatar: this.currentAvatar
-                };
-                this.displayFileMessage(fileMessageData, 'outgoing');
-                return;
-            }
+        channel.on('close', () => {
+            this.fileChannels.get(peerId)?.then(current => {
+                if (current === channel) this.fileChannels.delete(peerId);
+            });
+        });
+    }
 
-            const chunk = file.slice(offset, offset + CHUNK_SIZE);
-            const reader = new FileReader();
+    closeFileChannel(peerId) {
+        const pending = this.fileChannels.get(peerId);
+        if (!pending) return;
+        this.fileChannels.delete(peerId);
+        pending.then(channel => channel.close()).catch(() => {});
+    }
 
-            reader.onload = (e) => {
-                // Convert ArrayBuffer to Base64 string
-                const arrayBuffer = e.target.result;
-                const bytes = new Uint8Array(arrayBuffer);
-                let binary = '';
-                for (let i = 0; i < bytes.length; i++) {
-                    binary += String.fromCharCode(bytes[i]);
-                }
-                const base64String = btoa(binary);
-                
-                const chunkData = {
-                    type: 'file_chunk',
-                    chunk: base64String, // Send as Base64 string
-                    chunkSize: arrayBuffer.byteLength, // Store original size
-                    chunkIndex: chunkIndex,
-                    totalChunks: totalChunks,
-                    filename: file.name,
-                    filetype: file.type,
-                    filesize: file.size,
-                    message: message,
-                    timestamp: Date.now(),
-                    sender: this.currentUsername,
-                    avatar: this.currentAvatar,
-                    isLast: (chunkIndex === totalChunks - 1)
-                };
+    fileChunkAad(from, to, fileId, index) {
+        return new TextEncoder().encode(`${from}>${to}:${fileId}:${index}`);
+    }
 
-                try {
-                    connection.send(chunkData);
-                    console.log(`📦 Sent chunk ${chunkIndex + 1}/${totalChunks} (${arrayBuffer.byteLength} bytes)`);
-
-                    chunkIndex++;
-                    offset += CHUNK_SIZE;
-                    
-                    // Small delay to prevent overwhelming
-                    setTimeout(sendNextChunk, 50);
-                } catch (error) {
-                    console.error('Error sending chunk:', error);
-                    this.showNotification('Failed to send file chunk', 'error');
-                }
-            };
+    async digestChunkHashes(hashes) {
+        const combined = new Uint8Array(hashes.length * 32);
+        hashes.forEach((hash, index) => combined.set(hash, index * 32));
+        return crypto.subtle.digest('SHA-256', combined);
+    }
 
-            reader.readAsArrayBuffer(chunk);
-        };
+    bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
 
-        sendNextChunk();
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
     }
 
+    bytesEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
 
-    handleIncomingData(peerId, data) {
+    handleIncomingData(peerId, data, secure = false) {
         if (this.debugMode) {
             console.log('🔍 DEBUG: Incoming data type:', data.type);
         }
         
         console.log('📨 Processing incoming data from:', peerId, data.type);
+
+        if (this.isBlocked(peerId)) {
+            console.warn('🚫 Dropping', data.type, 'from blocked peer', peerId);
+            this.connections.get(peerId)?.close();
+            return;
+        }
+
+        // Chat content is only accepted inside an encrypted envelope, so a
+        // relay in the middle cannot inject plaintext messages
+        if (!secure && LetTalkyApp.ENCRYPTED_TYPES.includes(data.type)) {
+            console.warn('🔐 Dropping unencrypted', data.type, 'from', peerId);
+            return;
+        }
+
+        // A room mesh link is no licence for a 1:1 chat, which starts with its own request
+        if (secure && this.e2eSessions.get(peerId)?.roomOnly && !LetTalkyApp.ROOM_TYPES.includes(data.type)) {
+            console.warn('🔐 Dropping', data.type, 'sent over a room link by', peerId);
+            return;
+        }
         
         switch (data.type) {
-            case 'file_transfer':
-                console.log('📎 Received file transfer:', data.filename);
-                this.handleFileTransfer(peerId, data);
+            case 'encrypted':
+                this.handleEncryptedData(peerId, data);
+                break;
+
+            case 'file_start':
+                this.handleFileStart(peerId, data);
+                break;
+
+            case 'file_resume':
+                this.handleFileResume(peerId, data);
+                break;
+
+            case 'file_ack':
+                this.handleFileAck(peerId, data);
+                break;
+
+            case 'file_pause':
+                this.handleFilePause(peerId, data);
+                break;
+
+            case 'file_cancel':
+                this.handleFileCancel(peerId, data);
                 break;
                 
             case 'message':
-                this.displayMessage(data, 'incoming');
-                this.playNotificationSound();
+                this.receiveChatMessage(peerId, data);
+                break;
+
+            case 'message_reply':
+                this.receiveChatMessage(peerId, data);
+                break;
+
+            case 'message_edit':
+            case 'message_delete':
+                this.handleMessageRevision(peerId, data);
+                break;
+
+            case 'reaction':
+                this.handleReaction(peerId, data);
+                break;
+
+            case 'message_ack':
+                this.handleMessageAck(peerId, data);
                 break;
                 
             case 'connection_request':
-                this.handleConnectionRequest(data);
+                this.handleConnectionRequest(peerId, data);
+                break;
+
+            case 'room_hello':
+                this.handleRoomHello(peerId, data);
+                break;
+
+            case 'room_welcome':
+                this.handleRoomWelcome(peerId, data);
+                break;
+
+            case 'room_message':
+                this.receiveRoomMessage(peerId, data);
+                break;
+
+            case 'room_leave':
+                this.handleRoomMemberLeft(data.roomId, peerId);
+                break;
+
+            case 'call_ring':
+                this.handleCallRing(peerId, data);
+                break;
+
+            case 'call_accept':
+                this.handleCallAccepted(peerId, data);
+                break;
+
+            case 'call_decline':
+                this.handleCallDeclined(peerId, data);
+                break;
+
+            case 'call_end':
+                this.handleCallEnded(peerId, data);
                 break;
                 
             case 'connection_accepted':
                 console.log('🎉 Connection request accepted!');
-                this.showNotification(`${data.accepter.username} accepted your connection request!`, 'success');
-                this.openChatInterface(data.accepter.peerId, data.accepter.username, data.accepter.avatar);
+                this.handleConnectionAccepted(peerId, data);
                 break;
                 
             case 'connection_declined':
@@ -1861,408 +5949,36 @@ class LetTalkyApp {
         }
     }
     
-        // Handle complete file transfer
-    handleFileTransfer(peerId, data) {
-        try {
-            console.log(`📥 Processing file: ${data.filename}, size: ${data.filesize} bytes`);
-            
-            // Convert Base64 back to ArrayBuffer
-            const binaryString = atob(data.filedata);
-            const arrayBuffer = new ArrayBuffer(binaryString.length);
-            const uint8Array = new Uint8Array(arrayBuffer);
-            
-            for (let i = 0; i < binaryString.length; i++) {
-                uint8Array[i] = binaryString.charCodeAt(i);
-            }
-            
-            // Create blob
-            const blob = new Blob([uint8Array], { type: data.filetype });
-            const fileUrl = URL.createObjectURL(blob);
-            
-            console.log(`✅ File reconstructed: ${blob.size} bytes`);
-            
-            // Create file data for display
-            const fileData = {
-                type: 'file',
-                filename: data.filename,
-                filetype: data.filetype,
-                filesize: blob.size,
-                fileUrl: fileUrl,
-                content: data.message,
-                timestamp: data.timestamp,
-                sender: data.sender,
-                avatar: data.avatar
-            };
-            
-            // Display file message
-            this.displayFileMessage(fileData, 'incoming');
-            this.showNotification(`File received: ${data.filename}`, 'success');
-            this.playNotificationSound();
-            
-        } catch (error) {
-            console.error('❌ Error processing file:', error);
-            this.showNotification('Error receiving file', 'error');
-        }
-    }
-
-    
-    // Enhanced file chunk handling method
-    // FIXED - Base64 decoding for file reconstruction
-    handleFileChunk(peerId, data) {
-        const transferId = `${peerId}_${data.filename}_${data.timestamp}`;
-        
-        // Initialize file transfer tracking if not exists
-        if (!this.fileTransfers.has(transferId)) {
-            this.fileTransfers.set(transferId, {
-                chunks: new Array(data.totalChunks),
-                receivedChunks: 0,
-                expectedChunks: data.totalChunks,
-                filename: data.filename,
-                filetype: data.filetype,
-                filesize: data.filesize,
-                message: data.message,
-                timestamp: data.timestamp,
-                sender: data.sender,
-                avatar: data.avatar
-            });
-            
-            console.log(`📥 Starting file transfer: ${data.filename} (${this.formatFileSize(data.filesize)})`);
-            this.showNotification(`Receiving file: ${data.filename}...`, 'info');
-        }
-
-        const transfer = this.fileTransfers.get(transferId);
-        
-        // Convert Base64 string back to ArrayBuffer
-        if (!transfer.chunks[data.chunkIndex]) {
-            try {
-                const base64String = data.chunk;
-                const binaryString = atob(base64String);
-                const arrayBuffer = new ArrayBuffer(binaryString.length);
-                const uint8Array = new Uint8Array(arrayBuffer);
-                
-                for (let i = 0; i < binaryString.length; i++) {
-                    uint8Array[i] = binaryString.charCodeAt(i);
-                }
-                
-                transfer.chunks[data.chunkIndex] = arrayBuffer;
-                transfer.receivedChunks++;
-                
-                console.log(`📦 Received chunk ${data.chunkIndex + 1}/${transfer.expectedChunks} - Size: ${arrayBuffer.byteLength} bytes`);
-                
-                // Show progress
-                const progress = Math.round((transfer.receivedChunks / transfer.expectedChunks) * 100);
-                console.log(`📊 Progress: ${transfer.receivedChunks}/${transfer.expectedChunks} chunks (${progress}%)`);
-            } catch (error) {
-                console.error('Error decoding chunk:', error);
-                return;
-            }
-        }
-
-        // Check if all chunks received
-        if (data.isLast || transfer.receivedChunks === transfer.expectedChunks) {
-            console.log('✅ All chunks received, reconstructing file...');
-            this.reconstructFile(transferId, transfer);
-        }
-    }
-
-        
-
-    // Enhanced file reconstruction method
-    // FIXED - Simple and reliable file reconstruction
-    reconstructFile(transferId, transfer) {
-        try {
-            console.log('🔧 Reconstructing file:', transfer.filename);
-            
-            // Check all chunks are present
-            for (let i = 0; i < transfer.expectedChunks; i++) {
-                if (!transfer.chunks[i]) {
-                    throw new Error(`Missing chunk ${i}`);
-                }
-            }
-
-            // Calculate total size and create combined buffer
-            let totalSize = 0;
-            for (let i = 0; i < transfer.chunks.length; i++) {
-                totalSize += transfer.chunks[i].byteLength;
-            }
-            
-            const combined = new Uint8Array(totalSize);
-            let offset = 0;
-            
-            for (let i = 0; i < transfer.chunks.length; i++) {
-                const chunk = new Uint8Array(transfer.chunks[i]);
-                combined.set(chunk, offset);
-                offset += chunk.length;
-            }
-
-            console.log(`📏 File reconstructed: ${combined.length} bytes (expected: ${transfer.filesize})`);
-
-            // Create blob
-            const blob = new Blob([combined], { type: transfer.filetype });
-            const fileUrl = URL.createObjectURL(blob);
-            
-            console.log(`✅ Blob created: ${blob.size} bytes`);
-
-            // Create file data for display
-            const fileData = {
-                type: 'file',
-                filename: transfer.filename,
-                filetype: transfer.filetype,
-                filesize: blob.size,
-                fileUrl: fileUrl,
-                content: transfer.message,
-                timestamp: transfer.timestamp,
-                sender: transfer.sender,
-                avatar: transfer.avatar
-            };
-
-            // Display file message
-            this.displayFileMessage(fileData, 'incoming');
-            this.showNotification(`File received: ${transfer.filename} (${this.formatFileSize(blob.size)})`, 'success');
-            this.playNotificationSound();
-
-            // Clean up
-            this.fileTransfers.delete(transferId);
-            
-        } catch (error) {
-            console.error('❌ Error reconstructing file:', error);
-            this.showNotification(`Error receiving file: ${transfer.filename}`, 'error');
-            this.fileTransfers.delete(transferId);
-        }
-    }
-
-
-        // Initialize file transfer when metadata is received
-    initializeFileTransfer(peerId, metadata) {
-        const transferId = `${peerId}_${metadata.fileId}`;
-        
-        console.log(`📥 Initializing file transfer: ${metadata.filename} (${this.formatFileSize(metadata.filesize)})`);
-        
-        this.fileTransfers.set(transferId, {
-            fileId: metadata.fileId,
-            chunks: new Array(metadata.totalChunks).fill(null),
-            receivedChunks: 0,
-            expectedChunks: metadata.totalChunks,
-            filename: metadata.filename,
-            filetype: metadata.filetype,
-            filesize: metadata.filesize,
-            message: metadata.message,
-            timestamp: metadata.timestamp,
-            sender: metadata.sender,
-            avatar: metadata.avatar
-        });
-        
-        this.showNotification(`Receiving file: ${metadata.filename}...`, 'info');
-    }
-
-    // Enhanced file chunk handling
-    handleFileChunk(peerId, data) {
-        const transferId = `${peerId}_${data.fileId}`;
-        const transfer = this.fileTransfers.get(transferId);
-        
-        if (!transfer) {
-            console.error('❌ No transfer found for:', transferId);
-            return;
-        }
-        
-        // Store chunk in correct position
-        if (transfer.chunks[data.chunkIndex] === null) {
-            transfer.chunks[data.chunkIndex] = data.chunk;
-            transfer.receivedChunks++;
-            
-            console.log(`📦 Stored chunk ${data.chunkIndex + 1}/${transfer.expectedChunks} - Size: ${data.chunk.byteLength} bytes`);
-            
-            // Show progress
-            const progress = Math.round((transfer.receivedChunks / transfer.expectedChunks) * 100);
-            console.log(`📊 Progress: ${transfer.receivedChunks}/${transfer.expectedChunks} chunks (${progress}%)`);
-        }
-
-        // Check if all chunks received
-        if (transfer.receivedChunks === transfer.expectedChunks) {
-            console.log('✅ All chunks received, reconstructing file...');
-            this.reconstructAndDisplayFile(transferId, transfer);
-        }
-    }
-
-    
+    async handleConnectionAccepted(peerId, data) {
+        const { accepter } = data;
+        if (accepter?.peerId !== peerId) return;
+        const nonce = this.handshakeNonces.get(peerId);
+        this.handshakeNonces.delete(peerId);
 
-        // Add this method for debugging
-    debugFileTransfer(transferId, transfer) {
-        console.group(`🔍 Debug File Transfer: ${transfer.filename}`);
-        console.log('Transfer ID:', transferId);
-        console.log('Expected chunks:', transfer.expectedChunks);
-        console.log('Received chunks:', transfer.receivedChunks);
-        console.log('Chunks array length:', transfer.chunks.length);
-        
-        // Check each chunk
-        for (let i = 0; i < transfer.chunks.length; i++) {
-            const chunk = transfer.chunks[i];
-            if (chunk) {
-                console.log(`Chunk ${i}:`, {
-                    type: chunk.constructor.name,
-                    size: chunk.byteLength || chunk.length,
-                    isArrayBuffer: chunk instanceof ArrayBuffer,
-                    isUint8Array: chunk instanceof Uint8Array
-                });
-            } else {
-                console.log(`Chunk ${i}: undefined`);
+        try {
+            await this.establishE2ESession(peerId, data.publicKey, data.identity, accepter, { nonce });
+        } catch (error) {
+            console.error('❌ Key exchange failed:', error);
+            this.showNotification(`Could not set up encryption with ${accepter.username}`, 'error');
+            const connection = this.connections.get(accepter.peerId);
+            if (connection) {
+                connection.close();
             }
+            return;
         }
-        console.groupEnd();
-    }
-
-    
-
-    // Method to display file messages in chat
-    displayFileMessage(fileData, direction) {
-        const messagesContainer = document.getElementById('messagesContainer');
-        if (!messagesContainer) return;
-    
-        const messageElement = document.createElement('div');
-        messageElement.classList.add('message', direction, 'file-message');
-        
-        const fileIcon = this.getFileIcon(fileData.filetype);
-        const formattedSize = this.formatFileSize(fileData.filesize);
-        
-        let content = `
-            <div class="file-message-container">
-                <div class="file-icon">${fileIcon}</div>
-                <div class="file-info">
-                    <div class="file-name" title="${fileData.filename}">${fileData.filename}</div>
-                    <div class="file-details">${formattedSize}</div>
-                </div>
-                <div class="file-actions">
-                    ${fileData.fileUrl ? `<a href="${fileData.fileUrl}" target="_blank" download="${fileData.filename}" class="file-open-btn">📂 Open</a>` : '<span class="file-open-btn">📂 Sent</span>'}
-                </div>
-            </div>
-            ${fileData.content ? `<div class="message-text">${this.escapeHtml(fileData.content)}</div>` : ''}
-            <div class="message-time">${this.formatTime(fileData.timestamp)}</div>
-        `;
-    
-        messageElement.innerHTML = content;
-        messagesContainer.appendChild(messageElement);
-        
-        // Scroll to bottom
-        requestAnimationFrame(() => {
-            messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        });
-    }
-    
 
-    // Method to open received files
-        // Enhanced method to open received files with better cross-browser support
-    openReceivedFile(fileUrl, filename, filetype) {
-        console.log('📂 Opening file:', filename, filetype);
-        
-        if (!fileUrl) {
-            this.showNotification('File not available', 'error');
+        if (data.resume) {
+            this.handleConnectionResumed(accepter.peerId, accepter);
             return;
         }
 
-        try {
-            // Create temporary link element
-            const downloadLink = document.createElement('a');
-            downloadLink.style.display = 'none';
-            downloadLink.href = fileUrl;
-            
-            // Set filename for download
-            downloadLink.download = filename;
-            
-            // Add to document
-            document.body.appendChild(downloadLink);
-            
-            // Handle different file types with multiple fallback methods
-            if (filetype.startsWith('image/') || 
-                filetype.startsWith('video/') || 
-                filetype.startsWith('audio/') ||
-                filetype === 'application/pdf' ||
-                filetype.startsWith('text/')) {
-                
-                // Method 1: Try opening in new tab with proper attributes
-                try {
-                    const newTab = window.open();
-                    if (newTab) {
-                        newTab.document.write(`
-                            <!DOCTYPE html>
-                            <html>
-                            <head>
-                                <title>${filename}</title>
-                                <style>
-                                    body { margin: 0; padding: 0; }
-                                    iframe { width: 100vw; height: 100vh; border: none; }
-                                </style>
-                            </head>
-                            <body>
-                                <iframe src="${fileUrl}"></iframe>
-                            </body>
-                            </html>
-                        `);
-                        newTab.document.close();
-                        
-                        this.showNotification(`Opening ${filename}`, 'success');
-                        
-                        // Clean up after 30 seconds
-                        setTimeout(() => {
-                            document.body.removeChild(downloadLink);
-                            URL.revokeObjectURL(fileUrl);
-                        }, 30000);
-                        
-                    } else {
-                        // Method 2: Fallback - direct navigation with target="_blank"
-                        downloadLink.target = '_blank';
-                        downloadLink.rel = 'noopener noreferrer';
-                        downloadLink.click();
-                        
-                        this.showNotification(`Opening ${filename}`, 'success');
-                        
-                        // Clean up
-                        setTimeout(() => {
-                            document.body.removeChild(downloadLink);
-                            URL.revokeObjectURL(fileUrl);
-                        }, 2000);
-                    }
-                    
-                } catch (error) {
-                    console.error('Failed to open in new tab, falling back to download:', error);
-                    // Method 3: Force download as fallback
-                    downloadLink.click();
-                    this.showNotification(`Downloaded ${filename}`, 'info');
-                    
-                    // Clean up
-                    setTimeout(() => {
-                        document.body.removeChild(downloadLink);
-                        URL.revokeObjectURL(fileUrl);
-                    }, 2000);
-                }
-                
-            } else {
-                // For other file types, always download
-                downloadLink.click();
-                this.showNotification(`Downloaded ${filename}`, 'success');
-                
-                // Clean up
-                setTimeout(() => {
-                    document.body.removeChild(downloadLink);
-                    URL.revokeObjectURL(fileUrl);
-                }, 2000);
-            }
-            
-        } catch (error) {
-            console.error('Error opening file:', error);
-            this.showNotification('Error opening file', 'error');
-            
-            // Try simple download as last resort
-            try {
-                const simpleLink = document.createElement('a');
-                simpleLink.href = fileUrl;
-                simpleLink.download = filename;
-                simpleLink.click();
-            } catch (fallbackError) {
-                console.error('All methods failed:', fallbackError);
-            }
-        }
-    }
+        this.showNotification(`${accepter.username} accepted your connection request!`, 'success');
+        this.openChatInterface(accepter.peerId, accepter.username, accepter.avatar);
 
+        // Both ends hold the session now, so interrupted files and queued messages can go
+        this.resumeFileTransfers(accepter.peerId);
+        this.flushOutbox(accepter.peerId);
+    }
 
     // Helper method to get file icon based on type
     getFileIcon(filetype) {
@@ -2290,13 +6006,45 @@ class LetTalkyApp {
         const messagesContainer = document.getElementById('messagesContainer');
         if (!messagesContainer) return;
 
+        messagesContainer.appendChild(this.createMessageElement(messageData, direction));
+        
+        // Scroll to bottom
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    createMessageElement(messageData, direction) {
         const messageElement = document.createElement('div');
         messageElement.classList.add('message', direction);
-        
+
+        const revision = this.getMessageRevision(messageData, direction);
+        const quote = messageData.replyTo && !revision?.deleted ? `
+            <div class="message-quote">
+                <div class="message-quote-sender">${this.escapeHtml(messageData.replyTo.sender)}</div>
+                <div class="message-quote-text">${this.escapeHtml(messageData.replyTo.excerpt)}</div>
+            </div>
+        ` : '';
+
         let content = `
-            <div class="message-content">${this.escapeHtml(messageData.content)}</div>
-            <div class="message-time">${this.formatTime(messageData.timestamp)}</div>
+            ${quote}
+            <div class="message-content">${this.formatMessageContent(revision?.content ?? messageData.content)}</div>
+            ${revision?.content === undefined && messageData.preview ? this.createLinkPreview(messageData.preview, messageData.content) : ''}
+            <div class="message-time">${this.formatTime(messageData.timestamp)}${revision?.content !== undefined ? ' • edited' : ''}</div>
         `;
+        if (revision?.deleted) {
+            messageElement.classList.add('deleted');
+            content = `
+                <div class="message-content">🚫 This message was deleted</div>
+                <div class="message-time">${this.formatTime(messageData.timestamp)}</div>
+            `;
+        }
+
+        // Room messages come from several people, so name the author
+        if (messageData.roomId && direction === 'incoming') {
+            content = `
+                <div class="message-sender">${this.escapeHtml(`${messageData.avatar || ''} ${messageData.sender || ''}`.trim())}</div>
+                ${content}
+            `;
+        }
 
         if (messageData.file) {
             content = `
@@ -2307,20 +6055,43 @@ class LetTalkyApp {
                         </svg>
                     </div>
                     <div class="file-details">
-                        <div class="file-name">${messageData.file.name}</div>
+                        <div class="file-name">${this.escapeHtml(messageData.file.name)}</div>
                         <div class="file-size">${this.formatFileSize(messageData.file.size)}</div>
                     </div>
                 </div>
-                ${messageData.content ? `<div class="message-content">${this.escapeHtml(messageData.content)}</div>` : ''}
+                ${messageData.content ? `<div class="message-content">${this.formatMessageContent(messageData.content)}</div>` : ''}
                 <div class="message-time">${this.formatTime(messageData.timestamp)}</div>
             `;
         }
 
         messageElement.innerHTML = content;
-        messagesContainer.appendChild(messageElement);
-        
-        // Scroll to bottom
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+        // Receipts and actions only exist for 1:1 messages that carry an ID
+        if (messageData.id && !messageData.roomId) {
+            messageElement.dataset.messageId = messageData.id;
+            messageElement.messageData = messageData;
+
+            messageElement.querySelector('.message-quote')?.addEventListener('click', () => {
+                this.scrollToMessage(messageData.replyTo.id);
+            });
+            const actions = this.createMessageActions(messageData, direction, !!revision?.deleted);
+            if (actions) messageElement.appendChild(actions);
+            if (!revision?.deleted) {
+                const reactions = this.createReactionSummary(messageData);
+                if (reactions) messageElement.appendChild(reactions);
+                this.addLongPress(messageElement);
+            }
+
+            if (direction === 'outgoing') {
+                const indicator = document.createElement('span');
+                indicator.className = 'message-status';
+                messageElement.querySelector('.message-time')?.appendChild(indicator);
+                this.renderMessageStatus(messageElement, this.messageStatuses.get(messageData.id));
+            } else if (this.unreadMessages.has(messageData.id)) {
+                this.observeReadReceipt(messageElement);
+            }
+        }
+        return messageElement;
     }
 
     handleTyping() {
@@ -2329,11 +6100,15 @@ class LetTalkyApp {
         const connection = this.connections.get(this.activeChatUser.peerId);
         if (!connection || !connection.open) return;
 
+        if (!this.hasChatSession(this.activeChatUser.peerId)) return;
+
+        const peerId = this.activeChatUser.peerId;
+
         // Send typing indicator
-        connection.send({
+        this.sendSecure(peerId, {
             type: 'typing',
             username: this.currentUsername
-        });
+        }).catch(error => console.error('Failed to send typing indicator:', error));
 
         // Clear previous timeout
         if (this.typingTimeout) {
@@ -2342,9 +6117,9 @@ class LetTalkyApp {
 
         // Set timeout to stop typing
         this.typingTimeout = setTimeout(() => {
-            connection.send({
+            this.sendSecure(peerId, {
                 type: 'stop-typing'
-            });
+            }).catch(error => console.error('Failed to send typing indicator:', error));
         }, 2000);
     }
 
@@ -2368,203 +6143,638 @@ class LetTalkyApp {
         }
     }
 
-    handleFileSelection(file) {
-        // Validate file size (max 50MB for better compatibility)
-        const maxSize = 50 * 1024 * 1024; // 50MB
-        if (file.size > maxSize) {
-            this.showNotification('File size must be less than 50MB', 'error');
+    // =============================================================================
+    // ATTACHMENTS & SEND QUEUE
+    // =============================================================================
+
+    // Picked or dropped files wait in `attachments` until the message is sent.
+    // They then join `sendQueue`, which offers them to each peer one at a time.
+    handleFileSelection(fileList) {
+        this.addAttachments(Array.from(fileList, file => ({
+            file,
+            path: file.webkitRelativePath || file.name
+        })));
+    }
+
+    async handleFileDrop(dataTransfer) {
+        // Entries have to be taken before the first await, while the drop event is live
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry?.());
+
+        if (entries.length === 0 || !entries.every(Boolean)) {
+            this.handleFileSelection(dataTransfer.files);
             return;
         }
-    
-        this.selectedFile = file;
-        this.showFilePreview(file);
+
+        const files = [];
+        try {
+            for (const entry of entries) {
+                await this.collectDroppedEntry(entry, files);
+            }
+        } catch (error) {
+            console.error('Error reading dropped files:', error);
+            this.showNotification('Some dropped files could not be read', 'error');
+        }
+        this.addAttachments(files);
+    }
+
+    async collectDroppedEntry(entry, files) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await this.collectDroppedEntry(child, files);
+                }
+            } while (batch.length > 0);
+        }
+    }
+
+    addAttachments(files) {
+        let skipped = 0;
+        files.forEach(({ file, path }) => {
+            if (file.size > LetTalkyApp.MAX_FILE_SIZE || this.attachments.length >= LetTalkyApp.MAX_ATTACHMENTS) {
+                skipped++;
+                return;
+            }
+            this.attachments.push({
+                id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                file,
+                path,
+                folder: path.includes('/') ? path.split('/')[0] : null
+            });
+        });
+
+        if (skipped > 0) {
+            this.showNotification(
+                `Skipped ${skipped} file${skipped > 1 ? 's' : ''}: up to ${LetTalkyApp.MAX_ATTACHMENTS} files of ${this.formatFileSize(LetTalkyApp.MAX_FILE_SIZE)} each`,
+                'error'
+            );
+        }
+        this.renderFilePreview();
+    }
+
+    removeAttachment(id) {
+        this.attachments = this.attachments.filter(attachment => attachment.id !== id);
+        this.renderFilePreview();
+    }
+
+    removeFilePreview() {
+        this.attachments = [];
+        this.sendQueue = this.sendQueue.filter(item => !LetTalkyApp.QUEUE_SETTLED.includes(item.status));
+
+        ['fileInput', 'folderInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        this.renderFilePreview();
+    }
+
+    renderFilePreview() {
+        const filePreview = document.getElementById('filePreview');
+        const strip = document.getElementById('filePreviewStrip');
+        if (!filePreview || !strip) return;
+
+        const peerId = this.activeChatUser?.peerId;
+        const queued = this.sendQueue.filter(item => item.peerId === peerId);
+
+        strip.innerHTML = '';
+        this.attachments.forEach(attachment => {
+            strip.appendChild(this.createFileChip(
+                attachment.path, attachment.file, 'Ready', null,
+                () => this.removeAttachment(attachment.id)
+            ));
+        });
+        queued.forEach(item => {
+            const settled = LetTalkyApp.QUEUE_SETTLED.includes(item.status);
+            strip.appendChild(this.createFileChip(
+                item.filename, item.file, this.describeQueuedFile(item), item.status,
+                settled ? () => this.dismissQueuedFile(item.id) : () => this.cancelQueuedFile(item.id)
+            ));
+        });
+
+        const zipOption = document.getElementById('zipFolderOption');
+        if (zipOption) {
+            zipOption.style.display = this.attachments.some(attachment => attachment.folder) ? 'flex' : 'none';
+        }
+        filePreview.style.display = this.attachments.length || queued.length ? 'flex' : 'none';
+    }
+
+    createFileChip(name, file, status, statusClass, onRemove) {
+        const chip = document.createElement('div');
+        chip.className = `file-chip${statusClass ? ` ${statusClass}` : ''}`;
+        chip.innerHTML = `
+            <div class="file-icon-container">${this.getFileIcon(file.type || '')}</div>
+            <div class="file-details">
+                <div class="file-name" title="${this.escapeAttribute(name)}">${this.escapeHtml(name)}</div>
+                <div class="file-size">${this.formatFileSize(file.size)} • ${this.escapeHtml(status)}</div>
+            </div>
+            <button class="file-chip-remove" title="Remove">×</button>
+        `;
+        chip.querySelector('.file-chip-remove').addEventListener('click', onRemove);
+        return chip;
+    }
+
+    describeQueuedFile(item) {
+        const transfer = this.outgoingTransfers.get(item.fileId);
+        switch (item.status) {
+            case 'queued': return 'Queued';
+            case 'preparing': return 'Preparing...';
+            case 'sent': return 'Sent';
+            case 'declined': return 'Declined';
+            case 'cancelled': return 'Cancelled';
+            case 'failed': return 'Failed';
+        }
+        if (!transfer || transfer.status === 'offered') return 'Waiting...';
+        if (transfer.status === 'paused') return 'Paused';
+        return `${transfer.filesize ? Math.floor(this.getTransferredBytes(transfer) / transfer.filesize * 100) : 100}%`;
+    }
+
+    // Folders are zipped per top-level folder when the option is ticked
+    async queueAttachments(peerId, message) {
+        const attachments = this.attachments;
+        const zipFolders = document.getElementById('zipFolders')?.checked;
+        this.attachments = [];
+
+        const files = [];
+        const folders = new Map();
+        attachments.forEach(attachment => {
+            if (zipFolders && attachment.folder) {
+                if (!folders.has(attachment.folder)) folders.set(attachment.folder, []);
+                folders.get(attachment.folder).push(attachment);
+            } else {
+                files.push({ file: attachment.file, filename: attachment.path });
+            }
+        });
+
+        for (const [folder, entries] of folders) {
+            try {
+                const file = await this.createZip(entries, folder);
+                files.push({ file, filename: file.name });
+            } catch (error) {
+                console.error('Error zipping folder:', error);
+                this.showNotification(`Could not zip ${folder}: ${error.message}`, 'error');
+            }
+        }
+
+        files.forEach(({ file, filename }, index) => {
+            this.sendQueue.push({
+                id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                peerId,
+                file,
+                filename,
+                message: index === 0 ? message : '',
+                status: 'queued',
+                fileId: null
+            });
+        });
+
+        this.renderFilePreview();
+        this.processSendQueue();
+    }
+
+    processSendQueue() {
+        const busy = new Set(this.sendQueue
+            .filter(item => item.status === 'preparing' || item.status === 'active')
+            .map(item => item.peerId));
+
+        this.sendQueue.forEach(item => {
+            if (item.status !== 'queued' || busy.has(item.peerId)) return;
+            busy.add(item.peerId);
+            this.startQueuedFile(item);
+        });
+    }
+
+    async startQueuedFile(item) {
+        item.status = 'preparing';
+        this.renderFilePreview();
+
+        const transfer = await this.sendFile(item.file, item.peerId, item.message, item.filename);
+        if (item.status !== 'preparing') return;
+
+        if (transfer) {
+            item.fileId = transfer.fileId;
+            item.status = 'active';
+        } else {
+            item.status = 'failed';
+            this.processSendQueue();
+        }
+        this.renderFilePreview();
+    }
+
+    // Called when an outgoing transfer ends, however it ended
+    settleQueuedFile(fileId, status) {
+        const item = this.sendQueue.find(queued => queued.fileId === fileId);
+        if (!item) return;
+
+        item.status = status;
+        if (status === 'sent') {
+            setTimeout(() => this.dismissQueuedFile(item.id), 2000);
+        }
+        this.processSendQueue();
+        this.renderFilePreview();
+    }
+
+    cancelQueuedFile(id) {
+        const item = this.sendQueue.find(queued => queued.id === id);
+        if (!item) return;
+
+        if (item.fileId && this.outgoingTransfers.has(item.fileId)) {
+            this.cancelTransfer(item.fileId);
+        } else {
+            item.status = 'cancelled';
+            this.processSendQueue();
+            this.renderFilePreview();
+        }
+    }
+
+    dismissQueuedFile(id) {
+        this.sendQueue = this.sendQueue.filter(item => item.id !== id);
+        this.renderFilePreview();
+    }
+
+    // Stored (uncompressed) zip. Most large files are compressed already, and
+    // the archive only references the original files instead of copying them.
+    async createZip(entries, name) {
+        const totalSize = entries.reduce((sum, entry) => sum + entry.file.size, 0);
+        if (totalSize > LetTalkyApp.MAX_FILE_SIZE) {
+            throw new Error(`folder is larger than ${this.formatFileSize(LetTalkyApp.MAX_FILE_SIZE)}`);
+        }
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const { file, path } of entries) {
+            const nameBytes = encoder.encode(path);
+            const crc = await this.crc32(file);
+            const { time, date } = this.toDosDateTime(new Date(file.lastModified || Date.now()));
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.size, true);
+            local.setUint32(22, file.size, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, nameBytes, file);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, file.size, true);
+            header.setUint32(24, file.size, true);
+            header.setUint16(28, nameBytes.length, true);
+            header.setUint32(42, offset, true);
+            central.push(header.buffer, nameBytes);
+
+            offset += 30 + nameBytes.length + file.size;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new File([...parts, ...central, end.buffer], `${name}.zip`, { type: 'application/zip' });
+    }
+
+    async crc32(blob) {
+        if (!this.crc32Table) {
+            this.crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crc32Table[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        const step = 1024 * 1024;
+        for (let start = 0; start < blob.size; start += step) {
+            const bytes = new Uint8Array(await blob.slice(start, start + step).arrayBuffer());
+            for (let i = 0; i < bytes.length; i++) {
+                crc = this.crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+            }
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
     }
 
-        // Alternative: Update displayFileMessage to use direct click approach
+    // A file still on its way already has a bubble; the finished file replaces it
     displayFileMessage(fileData, direction) {
         const messagesContainer = document.getElementById('messagesContainer');
         if (!messagesContainer) return;
 
+        const element = this.createFileMessageElement(fileData, direction);
+        const placeholder = fileData.fileId &&
+            messagesContainer.querySelector(`.file-message[data-file-id="${fileData.fileId}"]`);
+        if (placeholder) {
+            placeholder.replaceWith(element);
+            return;
+        }
+        messagesContainer.appendChild(element);
+        
+        // Scroll to bottom
+        requestAnimationFrame(() => {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        });
+    }
+
+    createFileMessageElement(fileData, direction) {
         const messageElement = document.createElement('div');
         messageElement.classList.add('message', direction, 'file-message');
+        if (fileData.fileId) {
+            messageElement.dataset.fileId = fileData.fileId;
+        }
         
         const fileIcon = this.getFileIcon(fileData.filetype);
         const formattedSize = this.formatFileSize(fileData.filesize);
+        // Peer-supplied and used inside attributes below
+        const filename = this.escapeAttribute(fileData.filename);
+
+        // Blob URLs die with the page, so files restored from history have none
+        let action = `<span class="file-open-btn">${direction === 'outgoing' ? '📂 Sent' : '📂 Expired'}</span>`;
+        if (fileData.pending) {
+            action = '<span class="file-open-btn file-progress">0%</span>';
+        } else if (fileData.fileUrl) {
+            action = `
+                <a href="${fileData.fileUrl}" 
+                target="_blank" 
+                download="${filename}"
+                class="file-open-btn"
+                title="Click to open/download file">
+                    📂 Open
+                </a>
+            `;
+        }
         
         let content = `
+            ${this.createFileMediaPreview(fileData)}
             <div class="file-message-container">
                 <div class="file-icon">${fileIcon}</div>
                 <div class="file-info">
-                    <div class="file-name" title="${fileData.filename}">${fileData.filename}</div>
-                    <div class="file-details">${formattedSize} • ${fileData.filetype}</div>
-                </div>
-                <div class="file-actions">
-                    <a href="${fileData.fileUrl}" 
-                    target="_blank" 
-                    download="${fileData.filename}"
-                    class="file-open-btn"
-                    onclick="app.trackFileOpen('${fileData.filename}')"
-                    title="Click to open/download file">
-                        📂 Open
-                    </a>
+                    <div class="file-name" title="${filename}">${filename}</div>
+                    <div class="file-details">${formattedSize} • ${this.escapeHtml(fileData.filetype || 'unknown')}</div>
                 </div>
+                <div class="file-actions">${action}</div>
             </div>
-            ${fileData.content ? `<div class="message-text">${this.escapeHtml(fileData.content)}</div>` : ''}
+            ${fileData.content ? `<div class="message-text">${this.formatMessageContent(fileData.content)}</div>` : ''}
             <div class="message-time">${this.formatTime(fileData.timestamp)}</div>
         `;
 
         messageElement.innerHTML = content;
-        messagesContainer.appendChild(messageElement);
-        
-        // Scroll to bottom
-        requestAnimationFrame(() => {
-            messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        });
-    }
 
-    // Add tracking method
-    trackFileOpen(filename) {
-        console.log('📂 User opened file:', filename);
-        this.showNotification(`Opening ${filename}`, 'info');
+        const openLink = messageElement.querySelector('a.file-open-btn');
+        if (openLink) {
+            openLink.addEventListener('click', () => this.trackFileOpen(fileData.filename));
+        }
+
+        const image = messageElement.querySelector('.file-media-image');
+        if (image) {
+            image.addEventListener('click', () => this.openLightbox(image.src, fileData.filename, fileData.fileUrl));
+        }
+        return messageElement;
     }
 
-    
+    // Received media plays inline. Without the file (still arriving, or
+    // restored from history) the sender's thumbnail stands in for it.
+    createFileMediaPreview(fileData) {
+        const filetype = fileData.filetype || '';
+        const url = fileData.fileUrl;
+        const thumbnail = this.isValidThumbnail(fileData.thumbnail) ? fileData.thumbnail : null;
+        const title = this.escapeAttribute(fileData.filename);
 
-    reconstructAndDisplayFile(transferId, transfer) {
-        try {
-            console.log('🔧 Reconstructing file:', transfer.filename);
-            
-            // Filter out any undefined chunks and convert to Uint8Array
-            const validChunks = transfer.chunks
-                .filter(chunk => chunk !== undefined)
-                .map(chunk => {
-                    if (chunk instanceof ArrayBuffer) {
-                        return new Uint8Array(chunk);
-                    } else if (chunk instanceof Uint8Array) {
-                        return chunk;
-                    } else {
-                        // Handle other formats if needed
-                        console.warn('Unexpected chunk format:', typeof chunk);
-                        return new Uint8Array();
-                    }
-                });
-    
-            // Calculate total size
-            const totalSize = validChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-            console.log(`📏 Total file size: ${totalSize} bytes`);
-    
-            // Combine all chunks
-            const combined = new Uint8Array(totalSize);
-            let offset = 0;
-            
-            for (const chunk of validChunks) {
-                combined.set(chunk, offset);
-                offset += chunk.length;
-            }
-    
-            // Create blob
-            const blob = new Blob([combined], { type: transfer.filetype });
-            const fileUrl = URL.createObjectURL(blob);
-    
-            console.log('✅ File reconstructed successfully:', transfer.filename);
-    
-            // Create file data for display
-            const fileData = {
-                type: 'file',
-                filename: transfer.filename,
-                filetype: transfer.filetype,
-                filesize: transfer.filesize,
-                fileUrl: fileUrl,
-                content: transfer.message,
-                timestamp: transfer.timestamp,
-                sender: transfer.sender,
-                avatar: transfer.avatar
-            };
-    
-            // Display file message in chat
-            this.displayFileMessage(fileData, 'incoming');
-            this.showNotification(`File received: ${transfer.filename}`, 'success');
-            this.playNotificationSound();
-    
-            // Clean up transfer data
-            this.fileTransfers.delete(transferId);
-            
-        } catch (error) {
-            console.error('❌ Error reconstructing file:', error);
-            this.showNotification(`Error receiving file: ${transfer.filename}`, 'error');
-            this.fileTransfers.delete(transferId);
+        if (url && filetype.startsWith('image/')) {
+            return `<img class="file-media-image" src="${url}" alt="${title}" loading="lazy">`;
+        }
+        if (url && filetype.startsWith('video/')) {
+            return `<video class="file-media-video" src="${url}" ${thumbnail ? `poster="${thumbnail}"` : ''} controls preload="metadata"></video>`;
+        }
+        if (url && filetype.startsWith('audio/')) {
+            return `<audio class="file-media-audio" src="${url}" controls preload="metadata"></audio>`;
         }
+        // PDFs show their first page, rendered into the thumbnail
+        if (thumbnail) {
+            const classes = ['file-media-image'];
+            if (filetype === 'application/pdf') classes.push('file-media-pdf');
+            if (fileData.pending) classes.push('pending');
+            return `<img class="${classes.join(' ')}" src="${thumbnail}" alt="${title}">`;
+        }
+        return '';
     }
-    
-    openReceivedFile(fileUrl, filename, filetype) {
-        console.log('📂 Opening file:', filename, filetype);
-        
-        if (!fileUrl) {
-            this.showNotification('File not available', 'error');
-            return;
+
+    openLightbox(src, filename, downloadUrl) {
+        const image = document.getElementById('lightboxImage');
+        const caption = document.getElementById('lightboxCaption');
+        const download = document.getElementById('lightboxDownload');
+        if (!image) return;
+
+        image.src = src;
+        image.alt = filename;
+        if (caption) caption.textContent = filename;
+        if (download) {
+            download.style.display = downloadUrl ? '' : 'none';
+            download.href = downloadUrl || '#';
+            download.download = filename;
         }
-    
+        document.getElementById('lightboxModal')?.classList.add('show');
+    }
+
+    showIncomingFilePlaceholder(transfer) {
+        if (this.activeChatUser?.peerId !== transfer.peerId) return;
+
+        this.displayFileMessage({
+            type: 'file',
+            fileId: transfer.fileId,
+            filename: transfer.filename,
+            filetype: transfer.filetype,
+            filesize: transfer.filesize,
+            thumbnail: transfer.thumbnail,
+            content: transfer.message,
+            timestamp: transfer.timestamp,
+            sender: transfer.sender,
+            avatar: transfer.avatar,
+            pending: true
+        }, 'incoming');
+        this.updateFilePlaceholders();
+    }
+
+    updateFilePlaceholders() {
+        const messagesContainer = document.getElementById('messagesContainer');
+        if (!messagesContainer) return;
+
+        this.fileTransfers.forEach(transfer => {
+            const progress = messagesContainer.querySelector(`.file-message[data-file-id="${transfer.fileId}"] .file-progress`);
+            if (!progress) return;
+
+            const percent = transfer.filesize
+                ? Math.floor(this.getTransferredBytes(transfer) / transfer.filesize * 100)
+                : 100;
+            progress.textContent = transfer.status === 'paused' ? 'Paused' : `${percent}%`;
+        });
+    }
+
+    removeFilePlaceholder(fileId) {
+        document.querySelector(`#messagesContainer .file-message[data-file-id="${fileId}"]`)?.remove();
+    }
+
+    // Small JPEG sent along with the offer so the receiver sees the picture
+    // before the file arrives. For PDFs it is the first page.
+    async createThumbnail(file) {
+        const kind = file.type === 'application/pdf' ? 'pdf' : (file.type || '').split('/')[0];
+        if (kind !== 'image' && kind !== 'video' && kind !== 'pdf') return null;
+        if (kind === 'pdf' && file.size > LetTalkyApp.MAX_PDF_PREVIEW_SIZE) return null;
+
+        const url = kind === 'pdf' ? null : URL.createObjectURL(file);
         try {
-            // For viewable files, open in new tab
-            if (filetype.startsWith('image/') || 
-                filetype.startsWith('video/') || 
-                filetype.startsWith('audio/') ||
-                filetype === 'application/pdf' ||
-                filetype.startsWith('text/')) {
-                
-                window.open(fileUrl, '_blank');
-                this.showNotification(`Opening ${filename}`, 'success');
-                
-            } else {
-                // For other files, trigger download
-                const downloadLink = document.createElement('a');
-                downloadLink.href = fileUrl;
-                downloadLink.download = filename;
-                downloadLink.style.display = 'none';
-                document.body.appendChild(downloadLink);
-                downloadLink.click();
-                document.body.removeChild(downloadLink);
-                
-                this.showNotification(`Downloading ${filename}`, 'success');
+            const source = kind === 'pdf'
+                ? await this.renderPdfFirstPage(file)
+                : await this.loadThumbnailSource(url, kind);
+            const width = source.naturalWidth || source.videoWidth || source.width;
+            const height = source.naturalHeight || source.videoHeight || source.height;
+            if (!width || !height) return null;
+
+            const scale = Math.min(1, LetTalkyApp.THUMBNAIL_SIZE / Math.max(width, height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+            canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+            for (const quality of [0.7, 0.4]) {
+                const thumbnail = canvas.toDataURL('image/jpeg', quality);
+                if (thumbnail.length <= LetTalkyApp.MAX_THUMBNAIL_LENGTH) return thumbnail;
             }
+            return null;
         } catch (error) {
-            console.error('Error opening file:', error);
-            this.showNotification('Error opening file', 'error');
+            console.warn('Could not create thumbnail:', error.message);
+            return null;
+        } finally {
+            if (url) URL.revokeObjectURL(url);
         }
     }
-    
 
-    // Method to open received files
-    openFile(fileUrl, filename, filetype) {
-        if (!fileUrl) {
-            this.showNotification('File not available', 'error');
-            return;
+    // pdf.js is only fetched the first time a PDF needs a preview
+    loadPdfRenderer() {
+        if (!this.pdfRendererLoading) {
+            this.pdfRendererLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = '/vendor/pdfjs/pdf.min.js';
+                script.onload = () => {
+                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = '/vendor/pdfjs/pdf.worker.min.js';
+                    resolve(window.pdfjsLib);
+                };
+                script.onerror = () => {
+                    this.pdfRendererLoading = null;
+                    reject(new Error('PDF renderer unavailable'));
+                };
+                document.head.appendChild(script);
+            });
         }
+        return this.pdfRendererLoading;
+    }
+
+    // First page on a white canvas about THUMBNAIL_SIZE across
+    async renderPdfFirstPage(file) {
+        const pdfjsLib = await this.loadPdfRenderer();
+        const pdf = await pdfjsLib.getDocument({
+            data: new Uint8Array(await file.arrayBuffer()),
+            isEvalSupported: false
+        }).promise;
 
         try {
-            // For images, videos, and PDFs, open in new tab
-            if (filetype.startsWith('image/') || 
-                filetype.startsWith('video/') || 
-                filetype === 'application/pdf') {
-                window.open(fileUrl, '_blank');
-            } else {
-                // For other files, trigger download
-                const downloadLink = document.createElement('a');
-                downloadLink.href = fileUrl;
-                downloadLink.download = filename;
-                downloadLink.style.display = 'none';
-                document.body.appendChild(downloadLink);
-                downloadLink.click();
-                document.body.removeChild(downloadLink);
-            }
-            
-            this.showNotification(`Opening ${filename}`, 'success');
-        } catch (error) {
-            console.error('Error opening file:', error);
-            this.showNotification('Error opening file', 'error');
+            const page = await pdf.getPage(1);
+            const size = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: LetTalkyApp.THUMBNAIL_SIZE / Math.max(size.width, size.height) });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(viewport.width));
+            canvas.height = Math.max(1, Math.round(viewport.height));
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport }).promise;
+            return canvas;
+        } finally {
+            pdf.destroy();
         }
     }
 
+    loadThumbnailSource(url, kind) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out')), LetTalkyApp.THUMBNAIL_TIMEOUT);
+            const done = (source) => {
+                clearTimeout(timer);
+                resolve(source);
+            };
+            const fail = () => {
+                clearTimeout(timer);
+                reject(new Error(`Unreadable ${kind}`));
+            };
+
+            if (kind === 'image') {
+                const image = new Image();
+                image.onload = () => done(image);
+                image.onerror = fail;
+                image.src = url;
+                return;
+            }
+
+            // A frame a little way in is more telling than a black first frame
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.onloadedmetadata = () => {
+                video.currentTime = Math.min(1, (video.duration || 0) / 2);
+            };
+            video.onseeked = () => done(video);
+            video.onerror = fail;
+            video.src = url;
+        });
+    }
+
+    // Thumbnails come from the peer and end up in src attributes
+    isValidThumbnail(thumbnail) {
+        return typeof thumbnail === 'string' &&
+            thumbnail.length <= LetTalkyApp.MAX_THUMBNAIL_LENGTH &&
+            /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/.test(thumbnail);
+    }
+
+    // Add tracking method
+    trackFileOpen(filename) {
+        console.log('📂 User opened file:', filename);
+        this.showNotification(`Opening ${filename}`, 'info');
+    }
+
     // Helper method to get file icon based on type
     getFileIcon(filetype) {
         if (filetype.startsWith('image/')) return '🖼️';
@@ -2586,31 +6796,6 @@ class LetTalkyApp {
     }
 
 
-    showFilePreview(file) {
-        const filePreview = document.getElementById('filePreview');
-        const fileName = document.getElementById('fileName');
-        const fileSize = document.getElementById('fileSize');
-
-        if (filePreview && fileName && fileSize) {
-            fileName.textContent = file.name;
-            fileSize.textContent = this.formatFileSize(file.size);
-            filePreview.style.display = 'flex';
-        }
-    }
-
-    removeFilePreview() {
-        this.selectedFile = null;
-        const filePreview = document.getElementById('filePreview');
-        if (filePreview) {
-            filePreview.style.display = 'none';
-        }
-        
-        const fileInput = document.getElementById('fileInput');
-        if (fileInput) {
-            fileInput.value = '';
-        }
-    }
-
     showMainApp() {
         const welcomeScreen = document.getElementById('welcomeScreen');
         const appContainer = document.getElementById('appContainer');
@@ -2635,26 +6820,92 @@ class LetTalkyApp {
         }, 30000);
     }
 
-    async sendHeartbeat() {
+    async sendHeartbeat(location = null) {
         if (!this.peer?.id) return;
 
+        // An open presence stream already keeps us alive on the server, so
+        // then we only check in when there is activity to report
+        if (!location && this.isPresenceStreamOpen() && !this.hasActivityToReport()) return;
+
         try {
-            await fetch('/heartbeat', {
+            const activity = this.collectActivity();
+            const payload = {
+                peerId: this.peer.id,
+                activity,
+                precision: this.settings.locationPrecision
+            };
+            if (location) {
+                payload.location = location;
+            }
+
+            const response = await fetch('/heartbeat', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    peerId: this.peer.id,
-                    activity: 'active'
-                })
+                body: JSON.stringify(payload)
             });
+
+            if (response.status === 404) {
+                // The server forgot us (restart or cleanup) - register again
+                await this.registerWithServer();
+            } else if (response.status === 403) {
+                const { error, kicked } = await response.json();
+                if (kicked) this.handleKicked(error);
+            } else if (response.ok) {
+                this.markActivityReported(activity);
+                const { locationThrottled, warnings, notice } = await response.json();
+                if (locationThrottled) {
+                    console.warn(`📍 Server is ignoring location updates for ${locationThrottled}s`);
+                }
+                this.showModerationWarnings(warnings);
+                this.showServerNotice(notice);
+            }
         } catch (error) {
             console.error('Heartbeat failed:', error);
         }
     }
 
+    // Open connections, plus what happened since the last report
+    collectActivity() {
+        return {
+            state: 'active',
+            connections: this.countOpenConnections(),
+            ...this.activityCounts
+        };
+    }
+
+    // Counting may have continued while the heartbeat was in flight
+    markActivityReported(activity) {
+        this.reportedConnections = activity.connections;
+        Object.keys(this.activityCounts).forEach(name => {
+            this.activityCounts[name] -= activity[name];
+        });
+    }
+
+    hasActivityToReport() {
+        return this.countOpenConnections() !== this.reportedConnections ||
+            Object.values(this.activityCounts).some(count => count > 0);
+    }
+
+    countOpenConnections() {
+        return Array.from(this.connections.values()).filter(conn => conn.open).length;
+    }
+
     startDiscovery() {
+        this.startLocationWatch();
+        this.startRoomDiscovery();
+
+        if (window.EventSource) {
+            this.startPresenceStream();
+        } else {
+            this.startDiscoveryPolling();
+        }
+    }
+
+    startDiscoveryPolling() {
+        if (this.discoveryInterval) return;
+
         // Discover users immediately
         this.discoverNearbyUsers();
         
@@ -2664,6 +6915,151 @@ class LetTalkyApp {
         }, 10000);
     }
 
+    stopDiscoveryPolling() {
+        if (this.discoveryInterval) {
+            clearInterval(this.discoveryInterval);
+            this.discoveryInterval = null;
+        }
+    }
+
+    startPresenceStream() {
+        if (!this.peer?.id) return;
+        this.stopPresenceStream();
+
+        const source = new EventSource(
+            `/presence?peerId=${encodeURIComponent(this.peer.id)}&range=${this.settings.discoveryRange}`
+        );
+        this.presenceSource = source;
+
+        source.addEventListener('open', () => {
+            console.log('📡 Presence stream connected');
+            this.stopDiscoveryPolling();
+        });
+
+        source.addEventListener('snapshot', (e) => {
+            const data = JSON.parse(e.data);
+            this.updateUsersList(data.peers);
+            console.log(`🕵️ Found ${data.peers.length} nearby users`);
+
+            // The server re-announces contacts on every new stream
+            const present = new Set(data.peers.map(peer => peer.peerId));
+            this.nearbyContacts.forEach(peerId => {
+                if (!present.has(peerId)) this.nearbyContacts.delete(peerId);
+            });
+        });
+
+        source.addEventListener('warning', (e) => {
+            this.showModerationWarnings(JSON.parse(e.data).warnings);
+        });
+
+        source.addEventListener('notice', (e) => {
+            this.showServerNotice(JSON.parse(e.data).notice);
+        });
+
+        source.addEventListener('kicked', (e) => {
+            this.handleKicked(JSON.parse(e.data).message);
+        });
+
+        source.addEventListener('contact-nearby', (e) => {
+            const { peer } = JSON.parse(e.data);
+            this.handleContactNearby(peer);
+        });
+
+        source.addEventListener('contact-left', (e) => {
+            const { peerId } = JSON.parse(e.data);
+            this.nearbyContacts.delete(peerId);
+            this.renderContacts();
+        });
+
+        source.addEventListener('join', (e) => {
+            const { peer } = JSON.parse(e.data);
+            this.upsertUserItem(peer);
+        });
+
+        source.addEventListener('move', (e) => {
+            const { peer } = JSON.parse(e.data);
+            this.upsertUserItem(peer);
+        });
+
+        source.addEventListener('status', (e) => {
+            const { peer } = JSON.parse(e.data);
+            this.upsertUserItem(peer);
+        });
+
+        source.addEventListener('leave', (e) => {
+            const { peerId } = JSON.parse(e.data);
+            this.removeUserItem(peerId);
+        });
+
+        source.addEventListener('expired', async () => {
+            console.log('📡 Registration expired, registering again...');
+            try {
+                await this.registerWithServer();
+                this.startPresenceStream();
+            } catch (error) {
+                console.error('❌ Re-registration failed:', error);
+            }
+        });
+
+        source.addEventListener('error', () => {
+            // EventSource retries on its own; poll in the meantime so the
+            // list doesn't go stale, and give up on streaming if it closed
+            if (source.readyState === EventSource.CLOSED) {
+                console.log('📡 Presence stream closed, falling back to polling');
+                this.presenceSource = null;
+            }
+            this.startDiscoveryPolling();
+        });
+    }
+
+    stopPresenceStream() {
+        if (this.presenceSource) {
+            this.presenceSource.close();
+            this.presenceSource = null;
+        }
+    }
+
+    isPresenceStreamOpen() {
+        return !!this.presenceSource && this.presenceSource.readyState === EventSource.OPEN;
+    }
+
+    startLocationWatch() {
+        if (!navigator.geolocation || this.locationWatchId !== null) return;
+
+        this.locationWatchId = navigator.geolocation.watchPosition((position) => {
+            const location = {
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            };
+
+            // Only report moves big enough to change what others see
+            if (this.currentLocation && this.distanceBetween(this.currentLocation, location) < 25) {
+                return;
+            }
+
+            this.currentLocation = location;
+            this.sendHeartbeat(location);
+        }, (error) => {
+            console.error('Location watch failed:', error);
+        }, {
+            enableHighAccuracy: true,
+            maximumAge: 30000
+        });
+    }
+
+    distanceBetween(loc1, loc2) {
+        const R = 6371000;
+        const phi1 = loc1.latitude * Math.PI / 180;
+        const phi2 = loc2.latitude * Math.PI / 180;
+        const deltaPhi = (loc2.latitude - loc1.latitude) * Math.PI / 180;
+        const deltaLambda = (loc2.longitude - loc1.longitude) * Math.PI / 180;
+        const a = Math.sin(deltaPhi / 2) * Math.sin(deltaPhi / 2) +
+                  Math.cos(phi1) * Math.cos(phi2) *
+                  Math.sin(deltaLambda / 2) * Math.sin(deltaLambda / 2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
     refreshUsers() {
         const refreshBtn = document.getElementById('refreshUsers');
         if (refreshBtn) {
@@ -2710,10 +7106,20 @@ class LetTalkyApp {
             const rangeSelect = document.getElementById('rangeSelect');
             const soundNotifications = document.getElementById('soundNotifications');
             const autoAcceptFiles = document.getElementById('autoAcceptFiles');
+            const autoAcceptLimit = document.getElementById('autoAcceptLimit');
+            const historyRetention = document.getElementById('historyRetention');
+            const linkPreviews = document.getElementById('linkPreviews');
+            const locationPrecision = document.getElementById('locationPrecision');
             
             if (rangeSelect) rangeSelect.value = this.settings.discoveryRange;
             if (soundNotifications) soundNotifications.checked = this.settings.soundNotifications;
             if (autoAcceptFiles) autoAcceptFiles.checked = this.settings.autoAcceptFiles;
+            if (autoAcceptLimit) autoAcceptLimit.value = this.settings.autoAcceptMaxSize;
+            if (historyRetention) historyRetention.value = this.settings.historyRetentionDays;
+            if (linkPreviews) linkPreviews.checked = this.settings.linkPreviews;
+            if (locationPrecision) locationPrecision.value = this.settings.locationPrecision;
+            this.renderAutoAcceptContacts();
+            this.renderBlockedUsers();
         }
     }
 
@@ -2727,7 +7133,11 @@ class LetTalkyApp {
     updateDiscoveryRange(range) {
         this.settings.discoveryRange = range;
         this.saveSettings();
-        this.discoverNearbyUsers();
+        if (this.presenceSource) {
+            this.startPresenceStream();
+        } else {
+            this.discoverNearbyUsers();
+        }
         this.showNotification(`Discovery range updated to ${this.formatDistance(range)}`, 'info');
     }
 
@@ -2756,7 +7166,7 @@ class LetTalkyApp {
         if (this.isMobileDevice()) {
             this.handleMobileVoiceCall();
         } else {
-            this.showNotification('Voice calling feature coming soon!', 'info');
+            this.startCall('voice');
         }
     }
 
@@ -2766,7 +7176,7 @@ class LetTalkyApp {
         if (this.isMobileDevice()) {
             this.handleMobileVideoCall();
         } else {
-            this.showNotification('Video calling feature coming soon!', 'info');
+            this.startCall('video');
         }
     }
 
@@ -2937,8 +7347,17 @@ class LetTalkyApp {
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
         }
-        if (this.discoveryInterval) {
-            clearInterval(this.discoveryInterval);
+        this.stopDiscoveryPolling();
+        this.stopPresenceStream();
+        if (this.roomDiscoveryInterval) {
+            clearInterval(this.roomDiscoveryInterval);
+        }
+        if (this.activeCall) {
+            this.hangUp();
+        }
+        this.dismissIncomingCall();
+        if (this.locationWatchId !== null) {
+            navigator.geolocation.clearWatch(this.locationWatchId);
         }
         if (this.typingTimeout) {
             clearTimeout(this.typingTimeout);
@@ -2950,6 +7369,9 @@ class LetTalkyApp {
                 conn.close();
             }
         });
+        this.fileChannels.forEach((channel, peerId) => this.closeFileChannel(peerId));
+        this.fileTransfers.forEach(transfer => clearTimeout(transfer.expiry));
+        clearTimeout(this.transferRenderTimer);
 
         // Close peer
         if (this.peer) {
@@ -2967,6 +7389,11 @@ class LetTalkyApp {
         return `${(meters / 1000).toFixed(1)}km`;
     }
 
+    // The server only hands out distance buckets such as "~200 m"
+    describeDistance(peer) {
+        return peer.distanceLabel || this.formatDistance(peer.distance);
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -2982,13 +7409,424 @@ class LetTalkyApp {
         });
     }
 
+    // =============================================================================
+    // MESSAGE FORMATTING & LINK PREVIEWS
+    // =============================================================================
+
+    // The formatters live in message-format.js, where they are unit tested
+    formatMessageContent(text) {
+        return MessageFormat.formatMessageContent(text);
+    }
+
+    findFirstLink(text) {
+        return MessageFormat.findFirstLink(text);
+    }
+
+    // Asks the server for the Open Graph card of the first link in an outgoing
+    // message. The image is shrunk to a thumbnail here, so what travels to
+    // the peer is plain text plus a small data URL. Gives up quietly; a
+    // message is never held back for long because of its preview.
+    async fetchLinkPreview(text) {
+        const link = this.findFirstLink(text);
+        if (!link || !this.settings.linkPreviews || !this.peer?.id) return null;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), LetTalkyApp.LINK_PREVIEW_TIMEOUT);
+        try {
+            const response = await fetch(
+                `/link-preview?peerId=${encodeURIComponent(this.peer.id)}&url=${encodeURIComponent(link)}`,
+                { signal: controller.signal }
+            );
+            if (!response.ok) return null;
+
+            const { preview } = await response.json();
+            if (!preview) return null;
+
+            // Decoded by hand: the CSP does not let fetch() read data: URLs
+            let image = null;
+            const source = /^data:(image\/[\w+.-]+);base64,([A-Za-z0-9+/]+=*)$/.exec(preview.image || '');
+            if (source) {
+                const bytes = Uint8Array.from(atob(source[2]), char => char.charCodeAt(0));
+                image = await this.createThumbnail(new Blob([bytes], { type: source[1] }));
+            }
+            return this.sanitizeLinkPreview({ ...preview, url: link, image }, text);
+        } catch (error) {
+            console.warn('Link preview unavailable:', error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    sanitizeLinkPreview(preview, content) {
+        return MessageFormat.sanitizeLinkPreview(preview, content, image => this.isValidThumbnail(image));
+    }
+
+    createLinkPreview(preview, content) {
+        const card = this.sanitizeLinkPreview(preview, content);
+        if (!card) return '';
+
+        return `
+            <a class="link-preview" href="${this.escapeAttribute(card.url)}" target="_blank" rel="noopener noreferrer nofollow">
+                ${card.image ? `<img class="link-preview-image" src="${card.image}" alt="">` : ''}
+                <span class="link-preview-body">
+                    ${card.siteName ? `<span class="link-preview-site">${this.escapeHtml(card.siteName)}</span>` : ''}
+                    <span class="link-preview-title">${this.escapeHtml(card.title)}</span>
+                    ${card.description ? `<span class="link-preview-description">${this.escapeHtml(card.description)}</span>` : ''}
+                </span>
+            </a>
+        `;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
+
+    // escapeHtml leaves quotes alone, which is only safe outside attributes
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+// Data types that must arrive inside an 'encrypted' envelope
+LetTalkyApp.ENCRYPTED_TYPES = [
+    'message', 'message_reply', 'message_edit', 'message_delete', 'reaction', 'message_ack', 'typing', 'stop-typing',
+    'file_start', 'file_resume', 'file_ack', 'file_pause', 'file_cancel',
+    'room_message', 'room_leave',
+    'call_ring', 'call_accept', 'call_decline', 'call_end'
+];
+// The encrypted types a room mesh link may carry
+LetTalkyApp.ROOM_TYPES = ['room_message', 'room_leave'];
+
+// Peer ID blocks kept across reloads
+LetTalkyApp.MAX_BLOCKED_PEER_IDS = 200;
+
+// Binary file transfer tuning
+LetTalkyApp.MAX_FILE_SIZE = 1024 * 1024 * 1024;
+LetTalkyApp.FILE_CHUNK_SIZE = 64 * 1024;
+LetTalkyApp.MAX_FILE_CHUNK_SIZE = 256 * 1024;
+// fileId (16) + chunk index (4) + AES-GCM IV (12)
+LetTalkyApp.FILE_FRAME_HEADER = 32;
+LetTalkyApp.FILE_BUFFER_HIGH = 1024 * 1024;
+LetTalkyApp.FILE_BUFFER_LOW = 256 * 1024;
+LetTalkyApp.FILE_ACK_INTERVAL = 16;
+LetTalkyApp.FILE_WINDOW = 64;
+LetTalkyApp.FILE_ACK_TIMEOUT = 30000;
+LetTalkyApp.FILE_MAX_RETRIES = 3;
+// How long a half-received file waits for its sender to come back
+LetTalkyApp.FILE_RESUME_TTL = 30 * 60 * 1000;
+// Transfer speed is averaged over this window
+LetTalkyApp.TRANSFER_SPEED_WINDOW = 5000;
+// Files picked or dropped in one go (folders included)
+LetTalkyApp.MAX_ATTACHMENTS = 500;
+// Minimum gap between automatic reconnects for a queued conversation
+LetTalkyApp.OUTBOX_RETRY_INTERVAL = 15000;
+// Received message IDs remembered per conversation to drop resends
+LetTalkyApp.SEEN_MESSAGE_IDS = 500;
+// Message receipts
+LetTalkyApp.MESSAGE_SEND_TIMEOUT = 30000;
+LetTalkyApp.READ_ACK_DELAY = 500;
+LetTalkyApp.MAX_ACK_IDS = 100;
+LetTalkyApp.MAX_TRACKED_STATUSES = 2000;
+// Replies, edits and deletes
+LetTalkyApp.EDIT_WINDOW = 15 * 60 * 1000;
+LetTalkyApp.REPLY_EXCERPT_LENGTH = 120;
+LetTalkyApp.REVISION_TYPES = ['message_edit', 'message_delete'];
+// Reactions are limited to this set so nothing else can be injected
+LetTalkyApp.REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+LetTalkyApp.LONG_PRESS_DELAY = 500;
+LetTalkyApp.MESSAGE_STATUSES = ['sending', 'sent', 'delivered', 'read', 'failed'];
+LetTalkyApp.MESSAGE_STATUS_ICONS = {
+    sending: '🕓',
+    sent: '✓',
+    delivered: '✓✓',
+    read: '✓✓',
+    failed: '⚠️'
+};
+// Previews sent with file offers: longest edge in pixels, and data URL cap
+LetTalkyApp.THUMBNAIL_SIZE = 320;
+LetTalkyApp.MAX_THUMBNAIL_LENGTH = 48 * 1024;
+LetTalkyApp.THUMBNAIL_TIMEOUT = 5000;
+LetTalkyApp.MAX_PDF_PREVIEW_SIZE = 50 * 1024 * 1024;
+LetTalkyApp.QUEUE_SETTLED = ['sent', 'declined', 'cancelled', 'failed'];
+
+// How long an unanswered call keeps ringing
+LetTalkyApp.CALL_RING_TIMEOUT = 45000;
+// An outgoing message waits at most this long for its link preview
+LetTalkyApp.LINK_PREVIEW_TIMEOUT = 4000;
+// Recent messages a report may attach (the server's limit too)
+LetTalkyApp.MAX_REPORT_MESSAGES = 20;
+
+// Chat history kept in IndexedDB. Every record is encrypted with an AES-GCM
+// key that is generated on first use and stored non-extractable next to the
+// data, so the plaintext never sits on disk and the key cannot be read out.
+class MessageHistoryStore {
+    constructor() {
+        this.dbPromise = null;
+        this.keyPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(MessageHistoryStore.DB_NAME, MessageHistoryStore.DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const messages = db.createObjectStore('messages', { keyPath: 'id' });
+                    messages.createIndex('conversation', ['conversationId', 'timestamp', 'id']);
+                    messages.createIndex('timestamp', 'timestamp');
+                    db.createObjectStore('keys');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('outbox', { keyPath: 'conversationId' });
+                }
+                if (event.oldVersion < 3) {
+                    db.createObjectStore('fileChunks');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    getKey() {
+        if (this.keyPromise) return this.keyPromise;
+
+        this.keyPromise = this.getStoredKey('history', () => crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        ));
+
+        // Allow a retry if the first attempt failed
+        this.keyPromise.catch(() => { this.keyPromise = null; });
+        return this.keyPromise;
+    }
+
+    // Loads a CryptoKey (or key pair) kept in the 'keys' store, creating it
+    // on first use. Keys are stored as CryptoKey objects, never exported.
+    async getStoredKey(name, create) {
+        const db = await this.open();
+        const existing = await this.request(db.transaction('keys').objectStore('keys').get(name));
+        if (existing) return existing;
+
+        const key = await create();
+        await this.request(db.transaction('keys', 'readwrite').objectStore('keys').put(key, name));
+        return key;
+    }
+
+    async save(conversationId, data, direction) {
+        const key = await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify({ direction, data }));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        const timestamp = Date.now();
+        const record = {
+            id: `${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+            conversationId,
+            timestamp,
+            iv,
+            ciphertext
+        };
+
+        const db = await this.open();
+        await this.request(db.transaction('messages', 'readwrite').objectStore('messages').add(record));
+        return record.id;
+    }
+
+    // Newest-first page of messages saved before `before` ([timestamp, id])
+    async loadPage(conversationId, before, limit = MessageHistoryStore.PAGE_SIZE) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound(
+            [conversationId, 0, ''],
+            [conversationId, before[0], before[1]],
+            false,
+            true
+        );
+
+        const records = await new Promise((resolve, reject) => {
+            const results = [];
+            const request = db.transaction('messages').objectStore('messages')
+                .index('conversation')
+                .openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || results.length >= limit) {
+                    resolve(results);
+                    return;
+                }
+                results.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        const key = await this.getKey();
+        const page = [];
+        for (const record of records) {
+            try {
+                const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.ciphertext);
+                const { direction, data } = JSON.parse(new TextDecoder().decode(plaintext));
+                page.push({ id: record.id, timestamp: record.timestamp, direction, data });
+            } catch (error) {
+                // Written under a key that no longer exists; skip rather than fail the page
+                console.warn('⚠️ Skipping unreadable history record:', record.id);
+                page.push({ id: record.id, timestamp: record.timestamp, direction: null, data: null });
+            }
+        }
+        return page;
+    }
+
+    // One encrypted record per conversation holding its queued messages
+    async saveOutbox(conversationId, messages) {
+        const db = await this.open();
+        if (messages.length === 0) {
+            await this.request(db.transaction('outbox', 'readwrite').objectStore('outbox').delete(conversationId));
+            return;
+        }
+
+        const key = await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(messages));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        await this.request(db.transaction('outbox', 'readwrite').objectStore('outbox').put({ conversationId, iv, ciphertext }));
+    }
+
+    async loadOutboxes() {
+        const db = await this.open();
+        const records = await this.request(db.transaction('outbox').objectStore('outbox').getAll());
+        const key = await this.getKey();
+
+        const outboxes = [];
+        for (const record of records) {
+            try {
+                const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.ciphertext);
+                outboxes.push({ conversationId: record.conversationId, messages: JSON.parse(new TextDecoder().decode(plaintext)) });
+            } catch (error) {
+                console.warn('⚠️ Skipping unreadable outbox for:', record.conversationId);
+            }
+        }
+        return outboxes;
+    }
+
+    async prune(maxAgeMs) {
+        const db = await this.open();
+        const range = IDBKeyRange.upperBound(Date.now() - maxAgeMs);
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('messages', 'readwrite');
+            const request = transaction.objectStore('messages').index('timestamp').openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Everything but the keys, in one transaction
+    async clear() {
+        const db = await this.open();
+        const stores = ['messages', 'outbox', 'fileChunks'];
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(stores, 'readwrite');
+            stores.forEach(name => transaction.objectStore(name).clear());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Chunks of incoming files, keyed [fileId, index], encrypted like messages
+    async saveFileChunk(fileId, index, data) {
+        const key = await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+
+        const db = await this.open();
+        const record = { iv, ciphertext, savedAt: Date.now() };
+        await this.request(db.transaction('fileChunks', 'readwrite').objectStore('fileChunks').put(record, [fileId, index]));
+    }
+
+    // Chunks are decrypted one at a time into their own Blobs, which the
+    // browser can move out of memory before the next one is read
+    async loadFileChunks(fileId, totalChunks, type) {
+        const db = await this.open();
+        const keys = await this.request(db.transaction('fileChunks').objectStore('fileChunks')
+            .getAllKeys(MessageHistoryStore.fileChunkRange(fileId)));
+        if (keys.length !== totalChunks) {
+            throw new Error(`Expected ${totalChunks} chunks, found ${keys.length}`);
+        }
+
+        const key = await this.getKey();
+        const parts = [];
+        for (const chunkKey of keys) {
+            const record = await this.request(db.transaction('fileChunks').objectStore('fileChunks').get(chunkKey));
+            if (!record) throw new Error(`Chunk ${chunkKey[1]} is gone`);
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.ciphertext);
+            parts.push(new Blob([plaintext]));
+        }
+        return new Blob(parts, { type });
+    }
+
+    async deleteFileChunks(fileId) {
+        const db = await this.open();
+        await this.request(db.transaction('fileChunks', 'readwrite').objectStore('fileChunks')
+            .delete(MessageHistoryStore.fileChunkRange(fileId)));
+    }
+
+    // Transfers do not outlive the page, so older chunks are left over from one that was cut short
+    async pruneFileChunks(maxAgeMs) {
+        const db = await this.open();
+        const cutoff = Date.now() - maxAgeMs;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('fileChunks', 'readwrite');
+            const request = transaction.objectStore('fileChunks').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.savedAt < cutoff) cursor.delete();
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    static fileChunkRange(fileId) {
+        return IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 }
 
+MessageHistoryStore.DB_NAME = 'lettalky-history';
+MessageHistoryStore.DB_VERSION = 3;
+MessageHistoryStore.PAGE_SIZE = 30;
+
 // Initialize the application
 const app = new LetTalkyApp();
 
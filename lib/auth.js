@@ -0,0 +1,29 @@
+// Bearer-token guard for the operator APIs (moderation, admin). The token
+// comes from the environment; when none is configured the API answers 503
+// instead of being left open.
+
+const crypto = require('crypto');
+
+function tokensMatch(given, expected) {
+  // Hash both sides so the comparison is constant-time whatever the lengths
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireToken(token, realm) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(503).json({ error: `The ${realm} API is not configured on this server` });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (!match || !tokensMatch(match[1].trim(), token)) {
+      res.set('WWW-Authenticate', `Bearer realm="${realm}"`);
+      return res.status(401).json({ error: 'Invalid or missing token' });
+    }
+    next();
+  };
+}
+
+module.exports = { requireToken };
@@ -0,0 +1,94 @@
+// Stable user identities. A client keeps an ECDSA P-256 key pair across
+// sessions; its identity id is derived from the public key, and /register
+// proves ownership by signing a short-lived server challenge together with
+// the current (ephemeral) peer ID.
+//
+// Challenges are stateless: they carry their own issue time and an HMAC, so
+// any server instance sharing IDENTITY_SECRET can check them.
+
+const crypto = require('crypto');
+
+const CHALLENGE_TTL = 2 * 60 * 1000;
+const MAX_PUBLIC_KEY_LENGTH = 200;
+
+class IdentityError extends Error {}
+
+// First 128 bits of SHA-256(SPKI), base64url; clients derive the same value
+function identityIdFromKey(publicKeyDer) {
+  return crypto.createHash('sha256').update(publicKeyDer).digest().subarray(0, 16).toString('base64url');
+}
+
+class IdentityVerifier {
+  constructor({ secret, challengeTtl = CHALLENGE_TTL } = {}) {
+    this.secret = secret || crypto.randomBytes(32);
+    this.challengeTtl = challengeTtl;
+  }
+
+  issueChallenge(now = Date.now()) {
+    const payload = `${now}.${crypto.randomBytes(16).toString('base64url')}`;
+    return {
+      challenge: `${payload}.${this.sign(payload)}`,
+      expiresAt: now + this.challengeTtl
+    };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  checkChallenge(challenge, now = Date.now()) {
+    const parts = typeof challenge === 'string' ? challenge.split('.') : [];
+    if (parts.length !== 3) throw new IdentityError('Malformed identity challenge');
+
+    const [issuedAt, nonce, mac] = parts;
+    const expected = Buffer.from(this.sign(`${issuedAt}.${nonce}`));
+    const actual = Buffer.from(mac);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new IdentityError('Invalid identity challenge');
+    }
+
+    const age = now - parseInt(issuedAt);
+    if (!(age >= 0 && age <= this.challengeTtl)) {
+      throw new IdentityError('Identity challenge expired');
+    }
+  }
+
+  // Returns the identity id proven by `identity` for `peerId`, or throws
+  verifyRegistration(peerId, identity) {
+    if (!identity || typeof identity !== 'object') {
+      throw new IdentityError('Identity proof is required');
+    }
+
+    const { publicKey, challenge, signature } = identity;
+    if (typeof publicKey !== 'string' || publicKey.length > MAX_PUBLIC_KEY_LENGTH ||
+        typeof signature !== 'string') {
+      throw new IdentityError('Malformed identity proof');
+    }
+
+    this.checkChallenge(challenge);
+
+    const der = Buffer.from(publicKey, 'base64');
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    } catch (error) {
+      throw new IdentityError('Invalid identity public key');
+    }
+    if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+      throw new IdentityError('Identity keys must be ECDSA P-256');
+    }
+
+    // WebCrypto produces raw r||s signatures rather than DER
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`lettalky-register:${challenge}:${peerId}`),
+      { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64')
+    );
+    if (!valid) throw new IdentityError('Identity signature does not match');
+
+    return identityIdFromKey(der);
+  }
+}
+
+module.exports = { IdentityVerifier, IdentityError, identityIdFromKey };
@@ -0,0 +1,255 @@
+// Open Graph previews for links. The sender's client asks for a preview
+// before sending and embeds it in the message, so the receiver never
+// contacts the URL. Since this server does the fetching it must not become
+// a way into the private network: only http(s) on the default ports, every
+// hop of a redirect is re-checked, and hostnames are resolved through a
+// lookup that refuses private, loopback and link-local addresses (the
+// connection uses the checked address, so DNS rebinding cannot swap it).
+// Each fetch, redirects included, has to finish within one overall deadline,
+// so a host that trickles bytes cannot hold the request open.
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const FETCH_TIMEOUT = 5000;
+const MAX_REDIRECTS = 3;
+// The tags we want live in <head>; anything past this is ignored
+const MAX_HTML_BYTES = 256 * 1024;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const CACHE_TTL = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+const MAX_URL_LENGTH = 2048;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+class LinkPreviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 rules
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !blocked.check(address, 'ipv4');
+  if (family === 6) return !blocked.check(address, 'ipv6');
+  return false;
+}
+
+// Drop-in for dns.lookup that fails when any resolved address is private
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { all: true, family: options.family || 0 }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new LinkPreviewError('Link points to a private address', 403));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    throw new LinkPreviewError('Invalid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new LinkPreviewError('Only http and https links can be previewed');
+  }
+  if (url.port && url.port !== '80' && url.port !== '443') {
+    throw new LinkPreviewError('Links on non-standard ports are not previewed');
+  }
+  if (url.username || url.password) {
+    throw new LinkPreviewError('Links with credentials are not previewed');
+  }
+
+  // IP literals never reach the lookup, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new LinkPreviewError('Link points to a private address', 403);
+  }
+  return url;
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+function cleanText(value, maxLength) {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+// Pulls og:* (falling back to twitter:* and plain <title>/description) out
+// of the page head with plain pattern matching; no markup is ever rendered
+function parseMetadata(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-zA-Z:_-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  const title = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || title?.[1], 200),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, 300),
+    siteName: cleanText(meta['og:site_name'], 100),
+    image: meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || null
+  };
+}
+
+class LinkPreviewer {
+  constructor({ timeout = FETCH_TIMEOUT, cacheTtl = CACHE_TTL, lookup = guardedLookup } = {}) {
+    this.timeout = timeout;
+    this.cacheTtl = cacheTtl;
+    this.lookup = lookup;
+    this.cache = new Map();
+  }
+
+  // Resolves to { url, title, description, siteName, image } or null when
+  // the page has nothing worth showing. `image` is a data URL so the client
+  // can shrink it without touching the image host either.
+  async preview(link) {
+    if (typeof link !== 'string' || link.length > MAX_URL_LENGTH) {
+      throw new LinkPreviewError('Invalid URL');
+    }
+    const url = parseLink(link);
+
+    const cached = this.cache.get(url.href);
+    if (cached && cached.expires > Date.now()) return cached.preview;
+
+    const page = await this.fetch(url, { maxBytes: MAX_HTML_BYTES, truncate: true });
+    if (!/^text\/html|^application\/xhtml\+xml/.test(page.type)) {
+      throw new LinkPreviewError('Link is not a web page', 415);
+    }
+
+    const metadata = parseMetadata(page.body.toString('utf8'));
+    let preview = null;
+    if (metadata.title) {
+      preview = {
+        url: url.href,
+        title: metadata.title,
+        description: metadata.description,
+        siteName: metadata.siteName || page.url.hostname,
+        image: metadata.image ? await this.fetchImage(metadata.image, page.url) : null
+      };
+    }
+
+    this.remember(url.href, preview);
+    return preview;
+  }
+
+  async fetchImage(source, base) {
+    try {
+      const image = await this.fetch(parseLink(new URL(source, base).href), { maxBytes: MAX_IMAGE_BYTES });
+      if (!IMAGE_TYPES.includes(image.type)) return null;
+      return `data:${image.type};base64,${image.body.toString('base64')}`;
+    } catch (error) {
+      // A page without its picture is still worth previewing
+      return null;
+    }
+  }
+
+  async fetch(url, options, redirects = 0) {
+    const deadline = options.deadline ?? Date.now() + this.timeout;
+    const response = await this.request(url, { ...options, deadline });
+    if (!response.location) return response;
+
+    if (redirects >= MAX_REDIRECTS) {
+      throw new LinkPreviewError('Too many redirects', 502);
+    }
+    return this.fetch(parseLink(new URL(response.location, url).href), { ...options, deadline }, redirects + 1);
+  }
+
+  request(url, { maxBytes, truncate = false, deadline }) {
+    const client = url.protocol === 'https:' ? https : http;
+    const tooSlow = () => new LinkPreviewError('Link took too long to respond', 504);
+    let timer = null;
+
+    return new Promise((resolve, reject) => {
+      const req = client.get(url, {
+        lookup: this.lookup,
+        headers: {
+          'User-Agent': 'LetTalkyLinkPreview/1.0',
+          'Accept': 'text/html,application/xhtml+xml,image/*;q=0.8'
+        }
+      }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          return resolve({ location: res.headers.location });
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          return reject(new LinkPreviewError(`Link responded with ${res.statusCode}`, 502));
+        }
+
+        const type = (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const chunks = [];
+        let size = 0;
+        const finish = () => resolve({ url, type, body: Buffer.concat(chunks) });
+
+        res.on('data', (chunk) => {
+          size += chunk.length;
+          if (size <= maxBytes) {
+            chunks.push(chunk);
+            return;
+          }
+          req.destroy();
+          if (truncate) {
+            finish();
+          } else {
+            reject(new LinkPreviewError('Linked content is too large', 413));
+          }
+        });
+        res.on('end', finish);
+        res.on('error', (error) => {
+          reject(error instanceof LinkPreviewError ? error : new LinkPreviewError('Could not reach link', 502));
+        });
+      });
+
+      timer = setTimeout(() => req.destroy(tooSlow()), Math.max(0, deadline - Date.now()));
+      req.setTimeout(this.timeout, () => req.destroy(tooSlow()));
+      req.on('error', (error) => {
+        reject(error instanceof LinkPreviewError ? error : new LinkPreviewError('Could not reach link', 502));
+      });
+    }).finally(() => clearTimeout(timer));
+  }
+
+  remember(href, preview) {
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(href, { preview, expires: Date.now() + this.cacheTtl });
+  }
+}
+
+module.exports = { LinkPreviewer, LinkPreviewError };
@@ -0,0 +1,175 @@
+// Keeps discovery from revealing where people are. Other users only ever
+// see a distance bucket ("<50 m", "~200 m"), measured to a displaced copy of
+// the peer's position rather than the position itself. The displacement is
+// derived from a server secret and the peer's identity, so it stays the same
+// across queries and averaging many answers does not cancel it out.
+//
+// On top of that, location updates that jump around faster than anyone can
+// travel are counted; a peer (or identity) that keeps doing it has its
+// position frozen for a while, which stops range queries from a ring of
+// spoofed positions from narrowing anyone down. Moves are not tracked per
+// IP: people behind one carrier NAT are in different places, so their
+// positions look like jumps and one of them would freeze the rest. Fresh
+// peer IDs are bounded by the registration rate limit instead.
+//
+// A sweep slower than MAX_PLAUSIBLE_SPEED is not caught. It gets the same
+// answers a real traveller would, which pin down the displaced position at
+// best, never the real one.
+
+const crypto = require('crypto');
+const { calculateDistance } = require('../storage/spatial-index');
+
+// How far the displaced position may sit from the real one, and the
+// smallest bucket shown, for each level a user can pick in settings
+const PRECISION_LEVELS = {
+  precise: { jitter: 50, minBucket: 50 },
+  approximate: { jitter: 250, minBucket: 200 },
+  coarse: { jitter: 1000, minBucket: 1000 }
+};
+const DEFAULT_PRECISION = 'approximate';
+const MAX_JITTER = Math.max(...Object.values(PRECISION_LEVELS).map(level => level.jitter));
+const DISTANCE_BUCKETS = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 25000, 50000];
+// Nearest-bucket rounding can shrink a distance by up to this factor
+const MAX_ROUNDING = Math.sqrt(2.5);
+
+const MOVE_WINDOW = 10 * 60 * 1000;
+// Metres per second; anything slower could be a car or a train
+const MAX_PLAUSIBLE_SPEED = 70;
+// Shorter hops are GPS settling, not travel
+const MIN_JUMP = 150;
+const MAX_JUMPS = 3;
+const FREEZE_DURATION = 10 * 60 * 1000;
+const MAX_TRACKED = 10000;
+
+class LocationThrottledError extends Error {
+  constructor(retryAfter) {
+    super('Location changing too quickly; position updates are paused');
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class LocationPrivacy {
+  constructor({ secret }) {
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.movements = new Map();
+  }
+
+  static normalizePrecision(precision) {
+    return Object.prototype.hasOwnProperty.call(PRECISION_LEVELS, precision) ? precision : DEFAULT_PRECISION;
+  }
+
+  // Candidates for a query of `range` have to be fetched from a little
+  // further out, since their displaced positions may fall inside it
+  searchRadius(range) {
+    return range * MAX_ROUNDING + MAX_JITTER;
+  }
+
+  // What `requester` is told about how far away `peer` is
+  describeDistance(requester, peer) {
+    const level = PRECISION_LEVELS[LocationPrivacy.normalizePrecision(peer.precision)];
+    const displaced = this.displace(peer.location, peer.identityId || peer.peerId, level.jitter);
+    return this.bucket(calculateDistance(requester.location, displaced), level.minBucket);
+  }
+
+  // Where a new room is pinned: a point within half its radius of the
+  // creator, so they start inside it without sitting at its centre
+  roomAnchor(location, roomId, radius) {
+    return this.displace(location, `room:${roomId}`, radius / 2);
+  }
+
+  // What `requester` is told about how far away a room's centre is
+  describeRoomDistance(requester, room) {
+    return this.bucket(calculateDistance(requester.location, room.location), DISTANCE_BUCKETS[0]);
+  }
+
+  // `location` moved by a fixed offset of up to `jitter` metres, derived from
+  // the secret and `seed`
+  displace(location, seed, jitter) {
+    const digest = crypto.createHmac('sha256', this.secret)
+      .update(seed)
+      .digest();
+
+    // Uniform over a disc of radius `jitter`
+    const angle = (digest.readUInt32BE(0) / 0x100000000) * 2 * Math.PI;
+    const radius = jitter * Math.sqrt(digest.readUInt32BE(4) / 0x100000000);
+    const latitude = location.latitude + (radius * Math.cos(angle)) / 111320;
+    const longitude = location.longitude +
+      (radius * Math.sin(angle)) / (111320 * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+
+    return { latitude, longitude };
+  }
+
+  bucket(distance, minBucket) {
+    const buckets = DISTANCE_BUCKETS.filter(bucket => bucket >= minBucket);
+    if (distance < buckets[0]) {
+      return { distance: buckets[0], distanceLabel: `<${formatBucket(buckets[0])}` };
+    }
+
+    const nearest = buckets.reduce((best, bucket) =>
+      Math.abs(Math.log(distance / bucket)) < Math.abs(Math.log(distance / best)) ? bucket : best
+    );
+    return { distance: nearest, distanceLabel: `~${formatBucket(nearest)}` };
+  }
+
+  // Call before storing a new position. The update counts against the peer
+  // ID and its identity (which survives a new peer ID). Throws while either
+  // is frozen.
+  recordMove({ peerId, identityId }, location, now = Date.now()) {
+    const keys = [`peer:${peerId}`, identityId && `identity:${identityId}`].filter(Boolean);
+
+    for (const key of keys) {
+      const frozenUntil = this.movements.get(key)?.frozenUntil || 0;
+      if (frozenUntil > now) {
+        throw new LocationThrottledError(Math.ceil((frozenUntil - now) / 1000));
+      }
+    }
+
+    let frozen = null;
+    for (const key of keys) {
+      const entry = this.movements.get(key) || { last: null, jumps: [], frozenUntil: 0 };
+      entry.jumps = entry.jumps.filter(time => now - time < MOVE_WINDOW);
+
+      if (entry.last) {
+        const moved = calculateDistance(entry.last.location, location);
+        const elapsed = Math.max(1, (now - entry.last.time) / 1000);
+        if (moved > MIN_JUMP && moved / elapsed > MAX_PLAUSIBLE_SPEED) {
+          entry.jumps.push(now);
+        }
+      }
+
+      if (entry.jumps.length >= MAX_JUMPS) {
+        entry.jumps = [];
+        entry.frozenUntil = now + FREEZE_DURATION;
+        frozen = entry;
+      } else {
+        entry.last = { location, time: now };
+      }
+
+      this.movements.delete(key);
+      this.movements.set(key, entry);
+    }
+
+    this.trim(now);
+    if (frozen) {
+      console.warn(`🛑 Location updates frozen for ${keys.join(', ')}`);
+      throw new LocationThrottledError(Math.ceil(FREEZE_DURATION / 1000));
+    }
+  }
+
+  // Movement history is only useful for MOVE_WINDOW; the map is kept in
+  // insertion order so the oldest entries go first
+  trim(now = Date.now()) {
+    for (const [key, entry] of this.movements) {
+      const stale = (!entry.last || now - entry.last.time > MOVE_WINDOW) && entry.frozenUntil <= now;
+      if (!stale && this.movements.size <= MAX_TRACKED) break;
+      this.movements.delete(key);
+    }
+  }
+}
+
+function formatBucket(meters) {
+  return meters < 1000 ? `${meters} m` : `${meters / 1000} km`;
+}
+
+module.exports = { LocationPrivacy, LocationThrottledError };
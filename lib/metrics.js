@@ -0,0 +1,145 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in
+// the text exposition format (version 0.0.4) for GET /metrics. Gauges that
+// describe current state (users online and the like) are computed by a
+// collect callback at scrape time instead of being kept up to date.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const pairs = entries.map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series are keyed by their label set, serialised in a fixed order
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (!(amount >= 0)) return;
+    const key = seriesKey(labels);
+    const entry = this.series.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.series.set(key, entry);
+  }
+
+  samples() {
+    return Array.from(this.series.values()).map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Gauge {
+  // `collect` resolves to a number or to [{ labels, value }]
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  async samples() {
+    const result = await this.collect();
+    const values = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+    return values.map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(labels);
+    const entry = this.series.get(key) ||
+      { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index]++;
+    entry.sum += value;
+    entry.count++;
+    this.series.set(key, entry);
+  }
+
+  // Returns a function that records the seconds elapsed since this call
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  samples() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: bound }, value: cumulative });
+      });
+      samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: Infinity }, value: count });
+      samples.push({ name: `${this.name}_sum`, labels, value: sum });
+      samples.push({ name: `${this.name}_count`, labels, value: count });
+    }
+    return samples;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { name, labels, value } of await metric.samples()) {
+        const label = name.endsWith('_bucket') ? formatLabels({ ...labels, le: formatValue(labels.le) }) : formatLabels(labels);
+        lines.push(`${name}${label} ${formatValue(value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = { MetricsRegistry, CONTENT_TYPE };
@@ -0,0 +1,308 @@
+// Abuse reports and the bans that come out of reviewing them. Users file
+// reports against the peer they are talking to, optionally with recent
+// messages attached (chats are end-to-end encrypted, so that is the only
+// way a moderator ever sees content). Moderators work through the queue and
+// dismiss, warn, or ban by identity or IP, for a while or for good.
+//
+// Everything lives in memory and is written to a JSON file shortly after
+// each change, like the file peer store. Instances behind a load balancer
+// each keep their own queue.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SAVE_DELAY = 1000;
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'impersonation', 'other'];
+const REVIEW_ACTIONS = ['dismiss', 'warn', 'temp_ban', 'perm_ban'];
+const BAN_SCOPES = ['identity', 'ip', 'both'];
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_REPORT_MESSAGES = 20;
+const MAX_MESSAGE_LENGTH = 1000;
+// Closed reports beyond this are dropped oldest-first
+const MAX_STORED_REPORTS = 5000;
+// One report per reporter and target in this window
+const DUPLICATE_WINDOW = 60 * 60 * 1000;
+const DEFAULT_BAN_HOURS = 24;
+const MAX_BAN_HOURS = 24 * 365;
+const MAX_PENDING_WARNINGS = 5;
+
+class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class ModerationQueue {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.reports = new Map();
+    this.bans = new Map();
+    // Warnings not yet shown, keyed by identity or peer ID
+    this.warnings = new Map();
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const snapshot = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      (snapshot.reports || []).forEach(report => this.reports.set(report.reportId, report));
+      (snapshot.bans || []).forEach(ban => this.bans.set(ban.banId, ban));
+      Object.entries(snapshot.warnings || {}).forEach(([key, list]) => this.warnings.set(key, list));
+      console.log(`🛡️ Loaded ${this.reports.size} reports and ${this.bans.size} bans from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load moderation file, starting empty:', error.message);
+      }
+    }
+  }
+
+  // `reporter` and `target` are registry entries; the target's IP is kept
+  // for IP bans but never shown back to the reporter
+  createReport({ reporter, target, reason, details, messages }) {
+    if (!REPORT_REASONS.includes(reason)) {
+      throw new ModerationError(`reason must be one of: ${REPORT_REASONS.join(', ')}`);
+    }
+    if (details !== undefined && (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH)) {
+      throw new ModerationError(`details must be at most ${MAX_DETAILS_LENGTH} characters`);
+    }
+    if (messages !== undefined && (!Array.isArray(messages) || messages.length > MAX_REPORT_MESSAGES)) {
+      throw new ModerationError(`At most ${MAX_REPORT_MESSAGES} messages can be attached`);
+    }
+
+    const now = Date.now();
+    const duplicate = Array.from(this.reports.values()).some(report =>
+      report.reporter.peerId === reporter.peerId &&
+      sameSubject(report.target, target) &&
+      now - report.createdAt < DUPLICATE_WINDOW
+    );
+    if (duplicate) {
+      throw new ModerationError('You have already reported this user recently', 429);
+    }
+
+    const report = {
+      reportId: crypto.randomBytes(8).toString('hex'),
+      status: 'open',
+      reason,
+      details: details ? details.trim() : '',
+      createdAt: now,
+      reporter: describePeer(reporter),
+      target: { ...describePeer(target), ip: target.ip || null },
+      messages: (messages || []).map(sanitizeMessage).filter(Boolean),
+      review: null
+    };
+
+    this.reports.set(report.reportId, report);
+    this.trimReports();
+    this.scheduleSave();
+    return report;
+  }
+
+  listReports({ status } = {}) {
+    return Array.from(this.reports.values())
+      .filter(report => !status || report.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(({ messages, ...report }) => ({ ...report, messageCount: messages.length }));
+  }
+
+  getReport(reportId) {
+    return this.reports.get(reportId) || null;
+  }
+
+  // Closes an open report with `action`. `scope` picks what a ban covers:
+  // the target's identity, their IP, or both. An IP can be shared by a
+  // whole carrier NAT or office, so it is only banned when asked for.
+  // Returns what was applied so the caller can enforce it.
+  review(reportId, { action, scope = 'identity', hours, note, message }) {
+    const report = this.reports.get(reportId);
+    if (!report) throw new ModerationError('Report not found', 404);
+    if (report.status !== 'open') {
+      throw new ModerationError(`This report was already ${report.status}`, 409);
+    }
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw new ModerationError(`action must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+    }
+    if (!BAN_SCOPES.includes(scope)) {
+      throw new ModerationError(`scope must be one of: ${BAN_SCOPES.join(', ')}`);
+    }
+
+    let ban = null;
+    let warning = null;
+    const { target } = report;
+
+    if (action === 'warn') {
+      warning = this.warn(target, message || `You were reported for ${report.reason}. Please follow the community rules.`);
+    } else if (action === 'temp_ban' || action === 'perm_ban') {
+      const identityId = scope === 'ip' ? null : target.identityId || null;
+      const ip = scope === 'identity' ? null : target.ip || null;
+      if (scope !== 'ip' && !identityId) {
+        throw new ModerationError('The reported user has no identity to ban; ban by IP instead', 409);
+      }
+      if (scope !== 'identity' && !ip) {
+        throw new ModerationError('The reported user has no known IP to ban', 409);
+      }
+      ban = this.ban({
+        identityId,
+        ip,
+        hours: action === 'temp_ban' ? (hours ?? DEFAULT_BAN_HOURS) : null,
+        reason: note || report.reason,
+        reportId
+      });
+    }
+
+    report.status = action === 'dismiss' ? 'dismissed' : 'actioned';
+    report.review = {
+      action,
+      note: typeof note === 'string' ? note.slice(0, MAX_DETAILS_LENGTH) : '',
+      banId: ban?.banId || null,
+      reviewedAt: Date.now()
+    };
+    this.scheduleSave();
+    return { report, ban, warning };
+  }
+
+  // `hours` null means permanent
+  ban({ identityId = null, ip = null, hours = null, reason = '', reportId = null }) {
+    if (!identityId && !ip) {
+      throw new ModerationError('A ban needs an identityId or an ip');
+    }
+    if (hours !== null && (!Number.isFinite(Number(hours)) || hours <= 0 || hours > MAX_BAN_HOURS)) {
+      throw new ModerationError(`hours must be between 0 and ${MAX_BAN_HOURS}`);
+    }
+
+    const now = Date.now();
+    const ban = {
+      banId: crypto.randomBytes(8).toString('hex'),
+      identityId,
+      ip,
+      reason: String(reason).slice(0, MAX_DETAILS_LENGTH),
+      reportId,
+      createdAt: now,
+      expiresAt: hours === null ? null : now + Number(hours) * 60 * 60 * 1000
+    };
+    this.bans.set(ban.banId, ban);
+    this.scheduleSave();
+    return ban;
+  }
+
+  liftBan(banId) {
+    const lifted = this.bans.delete(banId);
+    if (lifted) this.scheduleSave();
+    return lifted;
+  }
+
+  listBans(now = Date.now()) {
+    this.pruneBans(now);
+    return Array.from(this.bans.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  findBan({ identityId, ip }, now = Date.now()) {
+    for (const ban of this.bans.values()) {
+      if (ban.expiresAt !== null && ban.expiresAt <= now) continue;
+      if ((identityId && ban.identityId === identityId) || (ip && ban.ip === ip)) return ban;
+    }
+    return null;
+  }
+
+  matchesBan(ban, peer) {
+    return (!!ban.identityId && ban.identityId === peer.identityId) || (!!ban.ip && ban.ip === peer.ip);
+  }
+
+  warn(target, message) {
+    const key = target.identityId || target.peerId;
+    const warning = { message: String(message).slice(0, MAX_DETAILS_LENGTH), issuedAt: Date.now() };
+    const pending = (this.warnings.get(key) || []).concat(warning).slice(-MAX_PENDING_WARNINGS);
+    this.warnings.set(key, pending);
+    this.scheduleSave();
+    return warning;
+  }
+
+  // Pending warnings for a peer, removed once handed out
+  takeWarnings({ peerId, identityId }) {
+    const taken = [];
+    for (const key of [identityId, peerId]) {
+      if (!key || !this.warnings.has(key)) continue;
+      taken.push(...this.warnings.get(key));
+      this.warnings.delete(key);
+    }
+    if (taken.length > 0) this.scheduleSave();
+    return taken;
+  }
+
+  pruneBans(now = Date.now()) {
+    for (const [banId, ban] of this.bans) {
+      if (ban.expiresAt !== null && ban.expiresAt <= now) this.bans.delete(banId);
+    }
+  }
+
+  trimReports() {
+    if (this.reports.size <= MAX_STORED_REPORTS) return;
+    const closed = Array.from(this.reports.values())
+      .filter(report => report.status !== 'open')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const report of closed.slice(0, this.reports.size - MAX_STORED_REPORTS)) {
+      this.reports.delete(report.reportId);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save());
+    }, SAVE_DELAY);
+  }
+
+  async save() {
+    this.pruneBans();
+    const snapshot = JSON.stringify({
+      savedAt: Date.now(),
+      reports: Array.from(this.reports.values()),
+      bans: Array.from(this.bans.values()),
+      warnings: Object.fromEntries(this.warnings)
+    });
+    const tmpPath = `${this.filePath}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      console.error('❌ Failed to save moderation file:', error.message);
+    }
+  }
+
+  async close() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save());
+    }
+    await this.saving;
+  }
+}
+
+function describePeer(peer) {
+  return {
+    peerId: peer.peerId,
+    identityId: peer.identityId || null,
+    username: peer.username
+  };
+}
+
+function sameSubject(a, b) {
+  return a.peerId === b.peerId || (!!a.identityId && a.identityId === b.identityId);
+}
+
+function sanitizeMessage(message) {
+  if (!message || typeof message.content !== 'string') return null;
+  return {
+    direction: message.direction === 'outgoing' ? 'outgoing' : 'incoming',
+    content: message.content.slice(0, MAX_MESSAGE_LENGTH),
+    timestamp: Number.isFinite(message.timestamp) ? message.timestamp : null
+  };
+}
+
+module.exports = { ModerationQueue, ModerationError, REPORT_REASONS };
@@ -0,0 +1,52 @@
+// Rolling event counters for the admin dashboard: registrations, discovery
+// queries, rate-limit rejections and the like. Each counter keeps one bucket
+// per minute for the last hour, which is enough to show rates without
+// holding on to individual events. Counts are per instance.
+
+const BUCKET_SIZE = 60 * 1000;
+const WINDOW_BUCKETS = 60;
+
+class OpsStats {
+  constructor() {
+    this.counters = new Map();
+    this.startedAt = Date.now();
+  }
+
+  record(name, now = Date.now()) {
+    const counter = this.counters.get(name) || { total: 0, buckets: [] };
+    const minute = Math.floor(now / BUCKET_SIZE);
+    const latest = counter.buckets[counter.buckets.length - 1];
+
+    if (latest && latest.minute === minute) {
+      latest.count++;
+    } else {
+      counter.buckets.push({ minute, count: 1 });
+      // One extra for the minute still in progress
+      if (counter.buckets.length > WINDOW_BUCKETS + 1) counter.buckets.shift();
+    }
+    counter.total++;
+    this.counters.set(name, counter);
+  }
+
+  // { name: { lastMinute, last5Minutes, lastHour, total } }; the current
+  // minute is still filling up, so "last minute" means the one before it
+  rates(now = Date.now()) {
+    const minute = Math.floor(now / BUCKET_SIZE);
+    const sumSince = (buckets, minutes) => buckets
+      .filter(bucket => bucket.minute < minute && bucket.minute >= minute - minutes)
+      .reduce((sum, bucket) => sum + bucket.count, 0);
+
+    const rates = {};
+    for (const [name, { total, buckets }] of this.counters) {
+      rates[name] = {
+        lastMinute: sumSince(buckets, 1),
+        last5Minutes: sumSince(buckets, 5),
+        lastHour: sumSince(buckets, WINDOW_BUCKETS),
+        total
+      };
+    }
+    return rates;
+  }
+}
+
+module.exports = { OpsStats };
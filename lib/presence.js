@@ -0,0 +1,308 @@
+// Server-Sent Events presence channel. Each subscriber keeps a snapshot of
+// the peers it has been told about; changes in the registry are diffed
+// against that snapshot and pushed as join / leave / move / status events.
+// Peers whose identity is on the subscriber's watchlist additionally produce
+// contact-nearby / contact-left events.
+//
+// Subscribers are kept in their own spatial index, each with a copy of its
+// registry entry that the sweep refreshes, so a change only reaches the
+// subscribers near it (and those already showing the peer) without a store
+// read per subscriber.
+
+const { SpatialIndex } = require('../storage/spatial-index');
+
+const SWEEP_INTERVAL = 15 * 1000;
+
+class PresenceHub {
+  constructor({
+    store, summarize, searchRadius = range => range, canSee = () => true,
+    peerTimeout, maxPeers, sweepInterval = SWEEP_INTERVAL
+  }) {
+    this.store = store;
+    this.summarize = summarize;
+    this.searchRadius = searchRadius;
+    this.canSee = canSee;
+    this.peerTimeout = peerTimeout;
+    this.maxPeers = maxPeers;
+    this.subscribers = new Map();
+    this.index = new SpatialIndex();
+    // peerId -> subscribers that currently list it (in `known` or as a contact)
+    this.audiences = new Map();
+    // Largest range any subscriber has asked for; bounds the index query
+    this.maxRange = 0;
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Presence sweep error:', error));
+    }, sweepInterval);
+  }
+
+  get size() {
+    return this.subscribers.size;
+  }
+
+  async subscribe(req, res, requester, range) {
+    const previous = this.subscribers.get(requester.peerId);
+    if (previous) {
+      this.unsubscribe(previous);
+      previous.res.end();
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const subscriber = {
+      peerId: requester.peerId,
+      requester,
+      range,
+      res,
+      known: new Map(),
+      watchlist: new Set(requester.watchlist || []),
+      nearbyContacts: new Set()
+    };
+    this.subscribers.set(requester.peerId, subscriber);
+    this.index.update(requester.peerId, requester.location);
+    this.maxRange = Math.max(this.maxRange, range);
+
+    res.on('close', () => {
+      if (this.subscribers.get(requester.peerId) === subscriber) {
+        this.unsubscribe(subscriber);
+      }
+    });
+
+    const peers = await this.nearbySummaries(requester, range);
+    peers.forEach(peer => {
+      subscriber.known.set(peer.peerId, peer);
+      this.track(subscriber, peer.peerId);
+    });
+    this.send(subscriber, 'snapshot', { peers, searchRange: range, timestamp: Date.now() });
+    peers.forEach(peer => this.applyWatch(subscriber, peer.peerId, peer));
+  }
+
+  setWatchlist(peerId, identities) {
+    const subscriber = this.subscribers.get(peerId);
+    if (!subscriber) return;
+
+    subscriber.watchlist = new Set(identities);
+    for (const contactId of Array.from(subscriber.nearbyContacts)) {
+      this.applyWatch(subscriber, contactId, subscriber.known.get(contactId) || null);
+      this.track(subscriber, contactId);
+    }
+    for (const [knownId, summary] of subscriber.known) {
+      this.applyWatch(subscriber, knownId, summary);
+    }
+  }
+
+  unsubscribe(subscriber) {
+    this.subscribers.delete(subscriber.peerId);
+    this.index.remove(subscriber.peerId);
+    for (const peerId of new Set([...subscriber.known.keys(), ...subscriber.nearbyContacts])) {
+      this.audiences.get(peerId)?.delete(subscriber);
+      if (this.audiences.get(peerId)?.size === 0) this.audiences.delete(peerId);
+    }
+  }
+
+  // Keeps `audiences` in step with what the subscriber is showing
+  track(subscriber, peerId) {
+    const audience = this.audiences.get(peerId) || new Set();
+    if (subscriber.known.has(peerId) || subscriber.nearbyContacts.has(peerId)) {
+      audience.add(subscriber);
+      this.audiences.set(peerId, audience);
+    } else {
+      audience.delete(subscriber);
+      if (audience.size === 0) this.audiences.delete(peerId);
+    }
+  }
+
+  // Subscribers that may need to hear about `peer`: those close enough to
+  // see it now, plus those that were showing it before
+  audienceFor(peer) {
+    const nearby = this.index.query(peer.location, this.searchRadius(this.maxRange));
+    const candidates = new Set(this.audiences.get(peer.peerId));
+    if (!nearby) return new Set(this.subscribers.values());
+
+    for (const id of nearby) {
+      const subscriber = this.subscribers.get(id);
+      if (subscriber) candidates.add(subscriber);
+    }
+    return candidates;
+  }
+
+  async nearbySummaries(requester, range) {
+    const now = Date.now();
+    // Summaries may report a different distance than the raw positions
+    // (see searchRadius), so over-fetch and filter on what is reported
+    const candidates = await this.store.nearby(requester.location, this.searchRadius(range));
+    const summaries = [];
+
+    for (const peer of candidates) {
+      if (peer.peerId === requester.peerId) continue;
+      if (now - peer.lastSeen > this.peerTimeout) continue;
+      if (!this.canSee(requester, peer)) continue;
+      const summary = this.summarize(requester, peer, now);
+      if (summary.distance <= range) summaries.push(summary);
+    }
+
+    summaries.sort((a, b) => a.distance - b.distance);
+    return summaries.slice(0, this.maxPeers);
+  }
+
+  // Push the latest state of one peer to every subscriber that can see it
+  async notify(peerId) {
+    if (this.subscribers.size === 0) return;
+
+    const peer = await this.store.get(peerId);
+    if (!peer) return this.notifyRemoved(peerId);
+
+    const own = this.subscribers.get(peerId);
+    if (own) this.refresh(own, peer);
+
+    const now = Date.now();
+    for (const subscriber of this.audienceFor(peer)) {
+      if (subscriber.peerId === peerId) continue;
+
+      const requester = subscriber.requester;
+      const summary = this.summarize(requester, peer, now);
+      const visible = summary.distance <= subscriber.range && now - peer.lastSeen <= this.peerTimeout &&
+        this.canSee(requester, peer);
+      this.applyChange(subscriber, peerId, visible ? summary : null);
+    }
+  }
+
+  notifyRemoved(peerId) {
+    for (const subscriber of Array.from(this.audiences.get(peerId) || [])) {
+      this.applyChange(subscriber, peerId, null);
+    }
+
+    const own = this.subscribers.get(peerId);
+    if (own) {
+      this.send(own, 'expired', { peerId, timestamp: Date.now() });
+    }
+  }
+
+  applyChange(subscriber, peerId, summary) {
+    this.updateKnown(subscriber, peerId, summary);
+    this.track(subscriber, peerId);
+  }
+
+  updateKnown(subscriber, peerId, summary) {
+    this.applyWatch(subscriber, peerId, summary);
+    const previous = subscriber.known.get(peerId);
+
+    if (!summary) {
+      if (previous) {
+        subscriber.known.delete(peerId);
+        this.send(subscriber, 'leave', { peerId });
+      }
+      return;
+    }
+
+    if (!previous) {
+      if (subscriber.known.size >= this.maxPeers) return;
+      subscriber.known.set(peerId, summary);
+      this.send(subscriber, 'join', { peer: summary });
+      return;
+    }
+
+    subscriber.known.set(peerId, summary);
+    if (previous.status !== summary.status || previous.isActive !== summary.isActive) {
+      this.send(subscriber, 'status', { peer: summary });
+    }
+    if (previous.distance !== summary.distance) {
+      this.send(subscriber, 'move', { peer: summary });
+    }
+  }
+
+  // Tracked apart from `known` so the maxPeers cap never hides a contact
+  applyWatch(subscriber, peerId, summary) {
+    const watched = !!summary?.identityId && subscriber.watchlist.has(summary.identityId);
+
+    if (watched && !subscriber.nearbyContacts.has(peerId)) {
+      subscriber.nearbyContacts.add(peerId);
+      this.send(subscriber, 'contact-nearby', { peer: summary });
+    } else if (!watched && subscriber.nearbyContacts.has(peerId)) {
+      subscriber.nearbyContacts.delete(peerId);
+      this.send(subscriber, 'contact-left', { peerId });
+    }
+  }
+
+  // Keeps subscribers alive in the registry (an open stream counts as a
+  // heartbeat), re-syncs each snapshot and picks up online/away transitions
+  // and changes made by other server instances.
+  async sweep() {
+    const now = Date.now();
+
+    for (const subscriber of Array.from(this.subscribers.values())) {
+      // Only lastSeen and status change, so a concurrent update to the
+      // rest of the entry (here or on another instance) is not lost
+      const requester = await this.store.touch(subscriber.peerId, { lastSeen: now, status: 'online' });
+      if (!requester) {
+        this.disconnect(subscriber.peerId, 'expired', { peerId: subscriber.peerId, timestamp: now });
+        continue;
+      }
+      this.refresh(subscriber, requester);
+
+      const current = await this.nearbySummaries(requester, subscriber.range);
+      const currentIds = new Set(current.map(peer => peer.peerId));
+
+      for (const peerId of Array.from(subscriber.known.keys())) {
+        if (!currentIds.has(peerId)) this.applyChange(subscriber, peerId, null);
+      }
+      current.forEach(peer => this.applyChange(subscriber, peer.peerId, peer));
+
+      subscriber.res.write(': ping\n\n');
+    }
+  }
+
+  // Latest registry entry for the subscriber itself
+  refresh(subscriber, requester) {
+    subscriber.requester = requester;
+    subscriber.watchlist = new Set(requester.watchlist || []);
+    this.index.update(subscriber.peerId, requester.location);
+  }
+
+  isSubscribed(peerId) {
+    return this.subscribers.has(peerId);
+  }
+
+  // Event for one peer only (moderation notices and the like)
+  sendTo(peerId, event, data) {
+    const subscriber = this.subscribers.get(peerId);
+    if (subscriber) this.send(subscriber, event, data);
+  }
+
+  // Event for everyone with an open stream
+  broadcast(event, data) {
+    for (const subscriber of this.subscribers.values()) {
+      this.send(subscriber, event, data);
+    }
+  }
+
+  // Tells a peer why its stream is going away, then ends it
+  disconnect(peerId, event, data) {
+    const subscriber = this.subscribers.get(peerId);
+    if (!subscriber) return;
+    this.unsubscribe(subscriber);
+    this.send(subscriber, event, data);
+    subscriber.res.end();
+  }
+
+  send(subscriber, event, data) {
+    subscriber.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    for (const subscriber of this.subscribers.values()) {
+      subscriber.res.end();
+    }
+    this.subscribers.clear();
+    this.index = new SpatialIndex();
+    this.audiences.clear();
+  }
+}
+
+module.exports = { PresenceHub };
@@ -0,0 +1,163 @@
+// Location-anchored group rooms. A room is pinned to the spot where it was
+// created and covers a small radius; only peers inside that circle can find
+// and join it. Members talk over a full mesh of DataConnections, so the
+// server only tracks who is in which room and never sees messages. The room
+// is pinned near the creator rather than on them, and others only see a
+// distance bucket, so a room does not give away where its creator stood.
+//
+// Rooms are short-lived and kept in memory: an empty room is dropped after
+// ROOM_IDLE_TTL, and a member who walks well outside the radius or expires
+// from the peer registry is removed on the next prune.
+
+const crypto = require('crypto');
+const { SpatialIndex, calculateDistance } = require('../storage/spatial-index');
+
+const ROOM_IDLE_TTL = 10 * 60 * 1000;
+const MAX_ROOM_MEMBERS = 20;
+const MIN_ROOM_RADIUS = 50;
+const MAX_ROOM_RADIUS = 1000;
+const DEFAULT_ROOM_RADIUS = 200;
+const MAX_ROOMS_PER_CREATOR = 3;
+// Members may drift a little past the edge before they are dropped
+const LEAVE_MARGIN = 1.5;
+
+class RoomError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class RoomRegistry {
+  // `privacy` is the LocationPrivacy used for discovery
+  constructor({ privacy }) {
+    this.privacy = privacy;
+    this.rooms = new Map();
+    this.index = new SpatialIndex();
+  }
+
+  get size() {
+    return this.rooms.size;
+  }
+
+  create(creator, { name, radius }) {
+    const owned = Array.from(this.rooms.values()).filter(room => room.createdBy === creator.peerId);
+    if (owned.length >= MAX_ROOMS_PER_CREATOR) {
+      throw new RoomError(`You can have at most ${MAX_ROOMS_PER_CREATOR} open rooms`, 429);
+    }
+
+    const now = Date.now();
+    const roomId = crypto.randomBytes(8).toString('hex');
+    radius = Math.min(MAX_ROOM_RADIUS, Math.max(MIN_ROOM_RADIUS, parseInt(radius) || DEFAULT_ROOM_RADIUS));
+    const room = {
+      roomId,
+      name,
+      location: this.privacy.roomAnchor(creator.location, roomId, radius),
+      radius,
+      createdBy: creator.peerId,
+      createdAt: now,
+      lastActive: now,
+      members: new Map()
+    };
+
+    this.rooms.set(room.roomId, room);
+    this.index.update(room.roomId, room.location);
+    this.join(room.roomId, creator);
+    return room;
+  }
+
+  get(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  // Rooms whose circle contains `location`, plus any the peer already belongs to
+  nearby(peer) {
+    const ids = this.index.query(peer.location, MAX_ROOM_RADIUS) || Array.from(this.rooms.keys());
+    const results = [];
+    for (const roomId of ids) {
+      const room = this.rooms.get(roomId);
+      if (!room) continue;
+      if (room.members.has(peer.peerId) || calculateDistance(peer.location, room.location) <= room.radius) {
+        results.push(room);
+      }
+    }
+    return results;
+  }
+
+  join(roomId, peer) {
+    const room = this.rooms.get(roomId);
+    if (!room) throw new RoomError('Room not found', 404);
+
+    if (!room.members.has(peer.peerId)) {
+      if (calculateDistance(peer.location, room.location) > room.radius) {
+        throw new RoomError('You need to be inside the room area to join', 403);
+      }
+      if (room.members.size >= MAX_ROOM_MEMBERS) {
+        throw new RoomError('Room is full', 409);
+      }
+    }
+
+    const now = Date.now();
+    room.members.set(peer.peerId, {
+      peerId: peer.peerId,
+      identityId: peer.identityId || null,
+      username: peer.username,
+      avatar: peer.avatar,
+      joinedAt: room.members.get(peer.peerId)?.joinedAt || now
+    });
+    room.lastActive = now;
+    return room;
+  }
+
+  leave(roomId, peerId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.members.delete(peerId)) return false;
+    room.lastActive = Date.now();
+    return true;
+  }
+
+  removePeer(peerId) {
+    for (const room of this.rooms.values()) {
+      this.leave(room.roomId, peerId);
+    }
+  }
+
+  // Drops members who left the area or the registry, then idle empty rooms.
+  // `lookup` resolves a peerId to its current registry entry (or null).
+  async prune(lookup, now = Date.now()) {
+    let removed = 0;
+    for (const room of Array.from(this.rooms.values())) {
+      for (const peerId of Array.from(room.members.keys())) {
+        const peer = await lookup(peerId);
+        if (!peer || calculateDistance(peer.location, room.location) > room.radius * LEAVE_MARGIN) {
+          this.leave(room.roomId, peerId);
+        }
+      }
+
+      if (room.members.size === 0 && now - room.lastActive > ROOM_IDLE_TTL) {
+        this.rooms.delete(room.roomId);
+        this.index.remove(room.roomId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Public view of a room as seen from `peer`; coordinates stay server-side
+  summarize(room, peer) {
+    const joined = room.members.has(peer.peerId);
+    return {
+      roomId: room.roomId,
+      name: room.name,
+      radius: room.radius,
+      ...this.privacy.describeRoomDistance(peer, room),
+      memberCount: room.members.size,
+      maxMembers: MAX_ROOM_MEMBERS,
+      createdAt: room.createdAt,
+      joined,
+      members: joined ? Array.from(room.members.values()) : undefined
+    };
+  }
+}
+
+module.exports = { RoomRegistry, RoomError, MAX_ROOM_MEMBERS };
@@ -0,0 +1,31 @@
+// Static files for the browser client. Only the files the pages load (and
+// the assets/ directory) are served; the rest of the repository, including
+// the data/ snapshots with exact positions, IPs and reports, is never
+// reachable however the path is spelled.
+
+const path = require('path');
+const express = require('express');
+
+const CLIENT_FILES = new Set([
+  'index.html',
+  'admin.html',
+  'app.js',
+  'admin.js',
+  'message-format.js',
+  'style.css'
+]);
+
+function serveClientFiles(root, options = {}) {
+  const router = express.Router();
+  const files = express.static(root, { ...options, index: false });
+
+  // req.path is still percent-encoded here, so only the exact names match
+  router.use((req, res, next) => {
+    if (!CLIENT_FILES.has(req.path.slice(1))) return next();
+    files(req, res, next);
+  });
+  router.use('/assets', express.static(path.join(root, 'assets'), options));
+  return router;
+}
+
+module.exports = { serveClientFiles, CLIENT_FILES };
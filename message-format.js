@@ -0,0 +1,104 @@
+// LetTalky - Message formatting
+// Markdown-lite rendering and link-preview checks for chat messages. Both
+// handle text from peers, so they live here on their own where the unit
+// tests in test/ can load them without a browser.
+
+class MessageFormat {
+    // Characters that matter in text and in quoted attribute values
+    static escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => MessageFormat.HTML_ESCAPES[char]);
+    }
+
+    // Markdown-lite: ```fenced``` blocks, `code`, *bold*, _italic_ and bare
+    // http(s) links. The text is split into pieces first and every piece is
+    // escaped before any tag is added, so the only markup in the output is
+    // what these methods write themselves.
+    static formatMessageContent(text) {
+        return String(text ?? '')
+            .split(/```(?:[\w+-]*\n)?([\s\S]*?)```/)
+            .map((part, index) => index % 2 === 1
+                ? `<pre class="message-code-block"><code>${this.escapeHtml(part.replace(/^\n+|\n+$/g, ''))}</code></pre>`
+                : this.formatInline(part))
+            .join('');
+    }
+
+    static formatInline(text) {
+        return text
+            .split(/`([^`\n]+)`/)
+            .map((part, index) => index % 2 === 1
+                ? `<code class="message-code">${this.escapeHtml(part)}</code>`
+                : this.formatLinks(part))
+            .join('');
+    }
+
+    static formatLinks(text) {
+        return text
+            .split(MessageFormat.URL_PATTERN)
+            .map((part, index) => {
+                if (index % 2 === 0) return this.formatEmphasis(part);
+
+                const [link, trailing] = this.trimLink(part);
+                const href = this.toSafeUrl(link);
+                if (!href) return this.formatEmphasis(part);
+                return `<a href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${this.escapeHtml(link)}</a>${this.formatEmphasis(trailing)}`;
+            })
+            .join('');
+    }
+
+    static formatEmphasis(text) {
+        return this.escapeHtml(text)
+            .replace(/\*(?=\S)([^*\n]*?\S)\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    // Trailing punctuation (and emphasis markers) belong to the sentence
+    static trimLink(candidate) {
+        return /^(.*?)([.,!?;:'")\]*_]*)$/.exec(candidate).slice(1);
+    }
+
+    // Normalised href for an http(s) link, or null for anything else
+    static toSafeUrl(link) {
+        try {
+            const url = new URL(link);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static findFirstLink(text) {
+        for (const [, candidate] of String(text ?? '').matchAll(new RegExp(MessageFormat.URL_PATTERN, 'g'))) {
+            const href = this.toSafeUrl(this.trimLink(candidate)[0]);
+            if (href) return href;
+        }
+        return null;
+    }
+
+    // Previews arrive from the peer, so only known fields of the expected
+    // shape are kept, and the link must be one that is in the message itself.
+    // `isValidImage` decides whether the image data URL may be shown.
+    static sanitizeLinkPreview(preview, content, isValidImage = () => false) {
+        if (!preview || typeof preview !== 'object') return null;
+
+        const url = typeof preview.url === 'string' ? this.toSafeUrl(preview.url) : null;
+        const title = typeof preview.title === 'string' ? preview.title.trim().slice(0, 200) : '';
+        if (!url || !title || this.findFirstLink(content) !== url) return null;
+
+        const text = (value, length) => typeof value === 'string' ? value.trim().slice(0, length) : '';
+        return {
+            url,
+            title,
+            description: text(preview.description, 300),
+            siteName: text(preview.siteName, 100),
+            image: isValidImage(preview.image) ? preview.image : null
+        };
+    }
+}
+
+MessageFormat.HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+// Bare http(s) links; trimLink drops the punctuation around them
+MessageFormat.URL_PATTERN = /(https?:\/\/[^\s<>"'`]+)/i;
+
+if (typeof module !== 'undefined') {
+    module.exports = MessageFormat;
+}
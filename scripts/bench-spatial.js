@@ -0,0 +1,74 @@
+// Compares the old full-Map scan used by /peers against the grid index in
+// the memory store. Usage: node scripts/bench-spatial.js [peers] [queries]
+
+const { MemoryPeerStore } = require('../storage/memory');
+const { calculateDistance } = require('../storage/spatial-index');
+
+const PEER_COUNT = parseInt(process.argv[2]) || 20000;
+const QUERY_COUNT = parseInt(process.argv[3]) || 2000;
+const RADII = [1000, 5000, 25000];
+
+// Most users packed into a stadium, the rest spread over a metro area and a
+// handful of other cities
+const STADIUM = { latitude: 51.5560, longitude: -0.2796 };
+const CITIES = [
+  { latitude: 51.5074, longitude: -0.1278 },
+  { latitude: 48.8566, longitude: 2.3522 },
+  { latitude: 40.7128, longitude: -74.0060 },
+  { latitude: 35.6762, longitude: 139.6503 }
+];
+
+function jitter(center, meters) {
+  const dLat = (Math.random() - 0.5) * 2 * meters / 111320;
+  const dLon = (Math.random() - 0.5) * 2 * meters / (111320 * Math.cos(center.latitude * Math.PI / 180));
+  return { latitude: center.latitude + dLat, longitude: center.longitude + dLon, accuracy: 20 };
+}
+
+function randomLocation(i) {
+  if (i % 10 < 4) return jitter(STADIUM, 300);
+  return jitter(CITIES[i % CITIES.length], 30000);
+}
+
+function fullScan(peers, location, radius) {
+  const results = [];
+  for (const peer of peers.values()) {
+    if (calculateDistance(location, peer.location) <= radius) results.push(peer);
+  }
+  return results;
+}
+
+async function main() {
+  const store = new MemoryPeerStore();
+  for (let i = 0; i < PEER_COUNT; i++) {
+    const peerId = `bench_${i}`;
+    await store.set(peerId, { peerId, location: randomLocation(i) });
+  }
+  const queries = Array.from({ length: QUERY_COUNT }, (_, i) => randomLocation(i * 7));
+
+  console.log(`📊 ${PEER_COUNT} peers, ${QUERY_COUNT} queries per radius\n`);
+
+  for (const radius of RADII) {
+    let start = process.hrtime.bigint();
+    let scanMatches = 0;
+    for (const location of queries) scanMatches += fullScan(store.peers, location, radius).length;
+    const scanMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    start = process.hrtime.bigint();
+    let indexMatches = 0;
+    for (const location of queries) indexMatches += (await store.nearby(location, radius)).length;
+    const indexMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    if (scanMatches !== indexMatches) {
+      console.error(`❌ Result mismatch at ${radius}m: scan=${scanMatches} index=${indexMatches}`);
+      process.exitCode = 1;
+    }
+
+    console.log(`${String(radius).padStart(6)}m  scan ${scanMs.toFixed(1).padStart(9)}ms  ` +
+      `index ${indexMs.toFixed(1).padStart(9)}ms  speedup ${(scanMs / indexMs).toFixed(1)}x`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,10 +1,30 @@
 const express = require('express');
+const http = require('http');
 const path = require('path');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { ExpressPeerServer } = require('peer');
+const { createPeerStore } = require('./storage');
+const { PresenceHub } = require('./lib/presence');
+const { IdentityVerifier, IdentityError } = require('./lib/identity');
+const { RoomRegistry, RoomError } = require('./lib/rooms');
+const { LinkPreviewer, LinkPreviewError } = require('./lib/link-preview');
+const { LocationPrivacy, LocationThrottledError } = require('./lib/location-privacy');
+const { ModerationQueue, ModerationError } = require('./lib/moderation');
+const { requireToken } = require('./lib/auth');
+const { serveClientFiles } = require('./lib/static-files');
+const { OpsStats } = require('./lib/ops-stats');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
 
 const app = express();
+const server = http.createServer(app);
+
+// Behind a reverse proxy every request arrives from the proxy's address, so
+// req.ip (used by the rate limiters and IP bans) must come from
+// X-Forwarded-For instead. See parseTrustProxy for the accepted values.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+app.set('trust proxy', TRUST_PROXY);
 
 // Security middleware
 app.use(helmet({
@@ -16,10 +36,37 @@ app.use(helmet({
       scriptSrc: ["'self'", "https://unpkg.com"],
       connectSrc: ["'self'", "wss:", "ws:", "*"],
       imgSrc: ["'self'", "data:", "blob:"],
+      // Received audio and video play from blob: URLs
+      mediaSrc: ["'self'", "blob:"],
     },
   },
 }));
 
+// Event rates for the admin dashboard
+const opsStats = new OpsStats();
+
+// Prometheus metrics, served at /metrics. Gauges are read at scrape time.
+const metrics = new MetricsRegistry();
+const meters = {
+  registrations: metrics.counter('lettalky_registrations_total', 'Successful registrations'),
+  users: metrics.gauge('lettalky_users', 'Registered users by state (active means seen in the last minute)',
+    () => countUsers()),
+  presenceStreams: metrics.gauge('lettalky_presence_streams', 'Open presence streams', () => presence.size),
+  discoveryDuration: metrics.histogram('lettalky_discovery_duration_seconds',
+    'Time to answer discovery (poll: GET /peers, stream: first presence snapshot)'),
+  cleanupEvictions: metrics.counter('lettalky_cleanup_evictions_total', 'Entries removed by cleanup, by kind'),
+  rateLimited: metrics.counter('lettalky_rate_limit_rejections_total', 'Requests rejected by a rate limiter'),
+  clientConnections: metrics.gauge('lettalky_client_connections',
+    'Open peer connections, as last reported by each client', () => countClientConnections()),
+  clientConnectionsOpened: metrics.counter('lettalky_client_connections_opened_total',
+    'Peer connections opened, as reported by clients (each end counts its own)'),
+  clientMessages: metrics.counter('lettalky_client_messages_total', 'Chat messages reported by clients, by direction'),
+  memory: metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes',
+    () => process.memoryUsage().rss),
+  startTime: metrics.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch',
+    () => Math.round(opsStats.startedAt / 1000))
+};
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -27,21 +74,77 @@ const limiter = rateLimit({
   message: { error: 'Too many requests from this IP, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: countRejections('api')
 });
 
 const strictLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,
   max: 10,
-  message: { error: 'Too many registration attempts, please wait a minute.' }
+  message: { error: 'Too many registration attempts, please wait a minute.' },
+  handler: countRejections('registration')
+});
+
+const reportLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many reports, please wait a few minutes.' },
+  handler: countRejections('reports')
+});
+
+const roomLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many rooms created, please wait a few minutes.' },
+  handler: countRejections('rooms')
+});
+
+const previewLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 20,
+  message: { error: 'Too many link previews, please wait a minute.' },
+  handler: countRejections('linkPreview')
+});
+
+// Answers the way the limiter does by default, after counting the hit
+function countRejections(name) {
+  return (req, res, next, options) => {
+    opsStats.record(`rateLimited.${name}`);
+    meters.rateLimited.inc({ limiter: name });
+    res.status(options.statusCode).send(options.message);
+  };
+}
+
+// Self-hosted PeerJS signaling, mounted ahead of the API rate limiter so that
+// the broker's own id/heartbeat traffic does not eat into the REST quota
+const PEER_PATH = process.env.PEER_PATH || '/peerjs';
+const peerServer = ExpressPeerServer(server, {
+  path: '/',
+  key: process.env.PEER_KEY || 'peerjs',
+  proxied: TRUST_PROXY !== false,
+  allow_discovery: false
+});
+
+peerServer.on('connection', (client) => {
+  console.log(`📡 Signaling client connected: ${client.getId().substr(0, 8)}...`);
+});
+
+peerServer.on('disconnect', (client) => {
+  console.log(`📴 Signaling client disconnected: ${client.getId().substr(0, 8)}...`);
 });
 
+app.use(PEER_PATH, peerServer);
+
 app.use(limiter);
 app.use(cors({ origin: true, credentials: true }));
 app.use(express.json({ limit: '2mb' }));
 
-// In-memory store for peers
-const peers = new Map();
-const connectionStats = { totalConnections: 0, activeUsers: 0, messagesExchanged: 0 };
+// Peer registry (memory, file or redis - see storage/)
+const peers = createPeerStore({
+  type: process.env.PEER_STORE,
+  filePath: process.env.PEER_STORE_FILE,
+  redisUrl: process.env.REDIS_URL,
+  redisPrefix: process.env.REDIS_PREFIX
+});
 
 // Constants
 const PEER_TIMEOUT = 8 * 60 * 1000;
@@ -49,17 +152,106 @@ const MAX_PEERS_PER_USER = 100;
 const DEFAULT_RANGE = 5000;
 const MAX_USERNAME_LENGTH = 20;
 const MIN_USERNAME_LENGTH = 3;
+const USERNAME_CLASH_RADIUS = 1000;
+const CLEANUP_THROTTLE = 30 * 1000;
+const SERVER_STATS_TTL = 10 * 1000;
+const MAX_WATCHLIST = 200;
+const MAX_BLOCKLIST = 500;
+const MAX_ROOM_NAME_LENGTH = 40;
+// Kicked peer IDs are refused for this long, so the client cannot simply
+// re-register the session an operator just ended
+const KICK_MEMORY = 10 * 60 * 1000;
+const AREA_CELL_DEGREES = 1;
+const MAX_NOTICE_LENGTH = 280;
+const MAX_NOTICE_HOURS = 7 * 24;
+// Upper bound on any count a client reports in one heartbeat
+const MAX_REPORTED_COUNT = 1000;
+
+// Stable identities. Instances behind a load balancer must share
+// IDENTITY_SECRET so a challenge issued by one is accepted by another.
+const REQUIRE_IDENTITY = process.env.REQUIRE_IDENTITY === 'true';
+const identities = new IdentityVerifier({ secret: process.env.IDENTITY_SECRET });
 
-// Serve static files
-app.use(express.static(path.join(__dirname), {
+// Distance buckets and per-user position jitter. Instances must share
+// LOCATION_SECRET too, or each one would displace users differently and
+// comparing their answers would undo the jitter.
+const locationPrivacy = new LocationPrivacy({ secret: process.env.LOCATION_SECRET });
+
+// ICE servers handed to clients. Defaults to a single public STUN server;
+// set ICE_SERVERS to a JSON array (or "[]" on an offline LAN) to override.
+const ICE_SERVERS = parseIceServers(process.env.ICE_SERVERS);
+
+// Serve the PeerJS client bundle locally so the app works without a CDN
+app.use('/vendor/peerjs', express.static(path.join(__dirname, 'node_modules', 'peerjs', 'dist'), {
+  maxAge: process.env.NODE_ENV === 'production' ? '1d' : '0'
+}));
+
+// pdf.js, loaded on demand to render the first page of shared PDFs
+app.use('/vendor/pdfjs', express.static(path.join(__dirname, 'node_modules', 'pdfjs-dist', 'build'), {
+  maxAge: process.env.NODE_ENV === 'production' ? '1d' : '0'
+}));
+
+// Real-time presence stream, replacing /peers polling for capable clients
+const presence = new PresenceHub({
+  store: peers,
+  summarize: toPeerSummary,
+  searchRadius: range => locationPrivacy.searchRadius(range),
+  canSee: (requester, peer) => !isBlockedPair(requester, peer),
+  peerTimeout: PEER_TIMEOUT,
+  maxPeers: MAX_PEERS_PER_USER
+});
+
+// Location-anchored group rooms (membership only; messages go peer to peer)
+const rooms = new RoomRegistry({ privacy: locationPrivacy });
+
+// Reports, bans and warnings. The moderator API is off unless
+// MODERATOR_TOKEN is set. The file holds message excerpts and IPs; it lives
+// under data/, which serveClientFiles never exposes.
+const moderation = new ModerationQueue({
+  filePath: process.env.MODERATION_FILE || path.join(__dirname, 'data', 'moderation.json')
+});
+const requireModerator = requireToken(process.env.MODERATOR_TOKEN, 'moderation');
+
+// Operator dashboard and API (admin.html). Off unless ADMIN_TOKEN is set.
+const requireAdmin = requireToken(process.env.ADMIN_TOKEN, 'admin');
+// Scrapers can be given their own token; otherwise they use the admin one
+const requireMetrics = requireToken(process.env.METRICS_TOKEN || process.env.ADMIN_TOKEN, 'metrics');
+const kickedPeers = new Map();
+let maintenanceNotice = null;
+let shuttingDown = false;
+
+// Open Graph previews, fetched on behalf of the sender
+const linkPreviews = new LinkPreviewer();
+
+// Serve the client's static files (and nothing else from the repository)
+app.use(serveClientFiles(__dirname, {
   maxAge: process.env.NODE_ENV === 'production' ? '1d' : '0',
   etag: true
 }));
 
+// Signaling configuration for the browser client
+app.get('/config', (req, res) => {
+  res.json({
+    peer: {
+      host: process.env.PEER_PUBLIC_HOST || null,
+      port: process.env.PEER_PUBLIC_PORT ? parseInt(process.env.PEER_PUBLIC_PORT) : null,
+      path: PEER_PATH,
+      key: process.env.PEER_KEY || 'peerjs',
+      secure: process.env.PEER_PUBLIC_SECURE ? process.env.PEER_PUBLIC_SECURE === 'true' : null
+    },
+    iceServers: ICE_SERVERS
+  });
+});
+
+// Challenge the client signs with its identity key before /register
+app.get('/challenge', (req, res) => {
+  res.json(identities.issueChallenge());
+});
+
 // All your existing API endpoints (register, peers, heartbeat, status) - keep them exactly as they are
 app.post('/register', strictLimiter, async (req, res) => {
   try {
-    const { peerId, username, avatar, location } = req.body;
+    const { peerId, username, avatar, location, identity, precision } = req.body;
 
     // All your existing validation code here...
     if (!peerId || typeof peerId !== 'string' || peerId.length < 10) {
@@ -81,22 +273,61 @@ app.post('/register', strictLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Username contains invalid characters' });
     }
 
-    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
-      return res.status(400).json({ error: 'Valid location coordinates are required' });
-    }
-
-    if (Math.abs(location.latitude) > 90 || Math.abs(location.longitude) > 180) {
-      return res.status(400).json({ error: 'Invalid coordinate values' });
+    const locationError = validateLocation(location);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
     }
 
     if (!avatar || typeof avatar !== 'string' || avatar.length > 10) {
       return res.status(400).json({ error: 'Invalid avatar format' });
     }
 
-    const existingPeer = Array.from(peers.values()).find(p =>
+    let identityId = null;
+    if (identity || REQUIRE_IDENTITY) {
+      try {
+        identityId = identities.verifyRegistration(peerId, identity);
+      } catch (error) {
+        if (error instanceof IdentityError) {
+          return res.status(401).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    const kick = findKick(peerId);
+    if (kick) {
+      return res.status(403).json({ error: kick.message, kicked: true });
+    }
+
+    const ban = moderation.findBan({ identityId, ip: req.ip });
+    if (ban) {
+      return res.status(403).json({
+        error: ban.expiresAt
+          ? `You are banned from LetTalky until ${new Date(ban.expiresAt).toUTCString()}`
+          : 'You are banned from LetTalky',
+        bannedUntil: ban.expiresAt
+      });
+    }
+
+    const existingPeerData = await peers.get(peerId);
+    if (existingPeerData?.identityId && existingPeerData.identityId !== identityId) {
+      return res.status(409).json({ error: 'Peer ID is registered to a different identity' });
+    }
+
+    try {
+      locationPrivacy.recordMove({ peerId, identityId }, location);
+    } catch (error) {
+      if (error instanceof LocationThrottledError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+      }
+      throw error;
+    }
+
+    const existingPeer = (await peers.nearby(location, USERNAME_CLASH_RADIUS)).find(p =>
       p.username.toLowerCase() === trimmedUsername.toLowerCase() &&
       p.peerId !== peerId &&
-      calculateDistance(p.location, location) < 1000
+      !(identityId && p.identityId === identityId)
     );
 
     if (existingPeer) {
@@ -106,39 +337,60 @@ app.post('/register', strictLimiter, async (req, res) => {
     }
 
     const now = Date.now();
-    const existingPeerData = peers.get(peerId);
+
+    // Same identity on a new peer ID: retire the old entry so friends
+    // looking the identity up are pointed at the current one
+    let previousSession = null;
+    if (identityId) {
+      const linked = await peers.findByIdentity(identityId);
+      if (linked && linked.peerId !== peerId) {
+        previousSession = linked;
+        await peers.delete(linked.peerId);
+        rooms.removePeer(linked.peerId);
+        presence.notifyRemoved(linked.peerId);
+      }
+    }
+    const carried = existingPeerData || previousSession;
 
     const peerData = {
       peerId,
+      identityId,
       username: trimmedUsername,
       avatar,
-      location: {
-        latitude: parseFloat(location.latitude.toFixed(6)),
-        longitude: parseFloat(location.longitude.toFixed(6)),
-        accuracy: location.accuracy || 1000
-      },
+      location: normalizeLocation(location),
+      precision: LocationPrivacy.normalizePrecision(precision ?? carried?.precision),
       lastSeen: now,
-      joinedAt: existingPeerData?.joinedAt || now,
-      messageCount: existingPeerData?.messageCount || 0,
-      connectionsCount: existingPeerData?.connectionsCount || 0,
+      joinedAt: carried?.joinedAt || now,
+      messageCount: carried?.messageCount || 0,
+      connectionsCount: carried?.connectionsCount || 0,
+      watchlist: carried?.watchlist || [],
+      blocklist: carried?.blocklist || [],
       ip: req.ip,
       userAgent: req.get('User-Agent') || 'Unknown',
       status: 'online'
     };
 
-    peers.set(peerId, peerData);
+    await peers.set(peerId, peerData);
 
     if (!existingPeerData) {
-      connectionStats.totalConnections++;
+      await peers.incrementStat('totalConnections');
     }
 
-    cleanupOldPeers();
+    if (now - lastCleanupAt > CLEANUP_THROTTLE) {
+      await cleanupOldPeers();
+    }
+    await presence.notify(peerId);
+    opsStats.record('registrations');
+    meters.registrations.inc();
     console.log(`✅ User registered: ${trimmedUsername} (${peerId.substr(0, 8)}...)`);
 
     res.json({
       success: true,
-      peersCount: peers.size,
+      identityId,
+      peersCount: await peers.size(),
       message: 'Successfully registered with LetTalky',
+      warnings: moderation.takeWarnings(peerData),
+      notice: currentNotice(),
       serverTime: now
     });
 
@@ -157,7 +409,7 @@ app.get('/peers', async (req, res) => {
       return res.status(400).json({ error: 'peerId query parameter is required' });
     }
 
-    const requester = peers.get(peerId);
+    const requester = await peers.get(peerId);
     if (!requester) {
       return res.status(404).json({ error: 'Peer not found. Please register first.' });
     }
@@ -165,25 +417,18 @@ app.get('/peers', async (req, res) => {
     const searchRange = Math.min(parseInt(range) || DEFAULT_RANGE, 50000);
     const now = Date.now();
     const nearbyPeers = [];
+    const observeDuration = meters.discoveryDuration.startTimer({ method: 'poll' });
+    opsStats.record('discoveryQueries');
+    const candidates = await peers.nearby(requester.location, locationPrivacy.searchRadius(searchRange));
 
-    for (const [id, peer] of peers.entries()) {
-      if (id === peerId) continue;
+    for (const peer of candidates) {
+      if (peer.peerId === peerId) continue;
       if (now - peer.lastSeen > PEER_TIMEOUT) continue;
+      if (isBlockedPair(requester, peer)) continue;
 
-      const distance = calculateDistance(requester.location, peer.location);
-      if (distance <= searchRange) {
-        const timeSinceLastSeen = now - peer.lastSeen;
-        nearbyPeers.push({
-          peerId: peer.peerId,
-          username: peer.username,
-          avatar: peer.avatar,
-          location: peer.location,
-          distance: Math.round(distance),
-          lastSeen: peer.lastSeen,
-          isActive: timeSinceLastSeen < 60000,
-          status: timeSinceLastSeen < 30000 ? 'online' : 'away',
-          joinedAt: peer.joinedAt
-        });
+      const summary = toPeerSummary(requester, peer, now);
+      if (summary.distance <= searchRange) {
+        nearbyPeers.push(summary);
       }
     }
 
@@ -194,16 +439,16 @@ app.get('/peers', async (req, res) => {
     });
 
     const limitedPeers = nearbyPeers.slice(0, MAX_PEERS_PER_USER);
+    const watched = new Set(requester.watchlist || []);
+    observeDuration();
 
     res.json({
       peers: limitedPeers,
+      contacts: limitedPeers.filter(p => p.identityId && watched.has(p.identityId)).map(p => p.peerId),
       total: nearbyPeers.length,
       searchRange,
       timestamp: now,
-      serverStats: {
-        totalUsers: peers.size,
-        activeUsers: Array.from(peers.values()).filter(p => now - p.lastSeen < 60000).length
-      }
+      serverStats: await getServerStats()
     });
 
   } catch (error) {
@@ -212,24 +457,580 @@ app.get('/peers', async (req, res) => {
   }
 });
 
+// Identities the requester wants to hear about when they come within range.
+// Streaming clients get contact-nearby / contact-left events; polling clients
+// read the matches from the `contacts` field of /peers.
+app.put('/watchlist', async (req, res) => {
+  try {
+    // Named apart from `identities`, the IdentityVerifier
+    const { peerId, identities: watched } = req.body;
+
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId is required' });
+    }
+
+    if (!Array.isArray(watched) || watched.length > MAX_WATCHLIST ||
+        watched.some(id => typeof id !== 'string' || id.length === 0 || id.length > 64)) {
+      return res.status(400).json({ error: `identities must be a list of at most ${MAX_WATCHLIST} identity IDs` });
+    }
+
+    const peer = await peers.get(peerId);
+    if (!peer) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    peer.watchlist = Array.from(new Set(watched));
+    await peers.set(peerId, peer);
+    presence.setWatchlist(peerId, peer.watchlist);
+
+    res.json({ success: true, watching: peer.watchlist.length });
+  } catch (error) {
+    console.error('❌ Watchlist update error:', error);
+    res.status(500).json({ error: 'Failed to update watchlist' });
+  }
+});
+
+// Identities (or, for peers without one, peer IDs) the requester has
+// blocked. Either side of a blocked pair is left out of the other's
+// discovery, watchlist and identity lookups.
+app.put('/blocklist', async (req, res) => {
+  try {
+    const { peerId, blocked } = req.body;
+
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId is required' });
+    }
+
+    if (!Array.isArray(blocked) || blocked.length > MAX_BLOCKLIST ||
+        blocked.some(id => typeof id !== 'string' || id.length === 0 || id.length > 64)) {
+      return res.status(400).json({ error: `blocked must be a list of at most ${MAX_BLOCKLIST} IDs` });
+    }
+
+    const peer = await peers.get(peerId);
+    if (!peer) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    peer.blocklist = Array.from(new Set(blocked));
+    await peers.set(peerId, peer);
+    // Drops us from the streams of anyone we just blocked; our own stream
+    // catches up on the next sweep
+    await presence.notify(peerId);
+
+    res.json({ success: true, blocked: peer.blocklist.length });
+  } catch (error) {
+    console.error('❌ Blocklist update error:', error);
+    res.status(500).json({ error: 'Failed to update blocklist' });
+  }
+});
+
+// Abuse reports. The reporter names the peer they are talking to; the
+// registry supplies the target's identity and IP for any later ban.
+app.post('/reports', reportLimiter, async (req, res) => {
+  try {
+    const { peerId, targetPeerId, targetIdentityId, reason, details, messages } = req.body;
+    if (!peerId || !targetPeerId || typeof targetPeerId !== 'string') {
+      return res.status(400).json({ error: 'peerId and targetPeerId are required' });
+    }
+
+    const reporter = await peers.get(peerId);
+    if (!reporter) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    // The target may have gone offline or moved to a new peer ID since
+    const target = await peers.get(targetPeerId) ||
+      (typeof targetIdentityId === 'string' && await peers.findByIdentity(targetIdentityId)) ||
+      { peerId: targetPeerId.slice(0, 64), identityId: typeof targetIdentityId === 'string' ? targetIdentityId.slice(0, 64) : null, username: 'unknown' };
+    if (target.peerId === reporter.peerId) {
+      return res.status(400).json({ error: 'You cannot report yourself' });
+    }
+
+    const report = moderation.createReport({ reporter, target, reason, details, messages });
+    console.log(`🚩 Report ${report.reportId}: ${reporter.username} reported ${target.username} (${reason})`);
+    res.json({ success: true, reportId: report.reportId });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Report error:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+// Moderator API, authenticated with MODERATOR_TOKEN as a bearer token
+app.get('/moderation/reports', requireModerator, (req, res) => {
+  const { status } = req.query;
+  res.json({ reports: moderation.listReports({ status }), timestamp: Date.now() });
+});
+
+app.get('/moderation/reports/:reportId', requireModerator, (req, res) => {
+  const report = moderation.getReport(req.params.reportId);
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  res.json({ report });
+});
+
+app.post('/moderation/reports/:reportId/review', requireModerator, async (req, res) => {
+  try {
+    const { action, scope, hours, note, message } = req.body;
+    const { report, ban, warning } = moderation.review(req.params.reportId, { action, scope, hours, note, message });
+
+    if (ban) await enforceBan(ban);
+    if (warning) await pushWarnings(report.target);
+    console.log(`🛡️ Report ${report.reportId} reviewed: ${action}`);
+    res.json({ report, ban });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Report review error:', error);
+    res.status(500).json({ error: 'Failed to review report' });
+  }
+});
+
+app.get('/moderation/bans', requireModerator, (req, res) => {
+  res.json({ bans: moderation.listBans(), timestamp: Date.now() });
+});
+
+// Ban without a report, e.g. for an IP seen in several
+app.post('/moderation/bans', requireModerator, async (req, res) => {
+  try {
+    const { identityId, ip, hours, reason } = req.body;
+    const ban = moderation.ban({
+      identityId: typeof identityId === 'string' ? identityId : null,
+      ip: typeof ip === 'string' ? ip : null,
+      hours: hours ?? null,
+      reason: reason || ''
+    });
+    await enforceBan(ban);
+    res.json({ ban });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Ban error:', error);
+    res.status(500).json({ error: 'Failed to create ban' });
+  }
+});
+
+app.delete('/moderation/bans/:banId', requireModerator, (req, res) => {
+  if (!moderation.liftBan(req.params.banId)) {
+    return res.status(404).json({ error: 'Ban not found' });
+  }
+  res.json({ success: true });
+});
+
+// Admin API, used by the dashboard at /admin
+app.get('/admin/stats', requireAdmin, async (req, res) => {
+  try {
+    const now = Date.now();
+    const allPeers = await peers.values();
+    const stats = await peers.getStats();
+    const activeUsers = allPeers.filter(p => now - p.lastSeen < 60000).length;
+
+    res.json({
+      timestamp: now,
+      server: {
+        startedAt: opsStats.startedAt,
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        version: process.version,
+        peerStore: process.env.PEER_STORE || 'memory'
+      },
+      users: {
+        total: allPeers.length,
+        active: activeUsers,
+        away: allPeers.length - activeUsers,
+        streaming: presence.size,
+        totalConnections: stats.totalConnections
+      },
+      messagesExchanged: stats.messagesExchanged || 0,
+      areas: countByArea(allPeers, now),
+      rooms: rooms.size,
+      rates: opsStats.rates(now),
+      moderation: {
+        openReports: moderation.listReports({ status: 'open' }).length,
+        activeBans: moderation.listBans(now).length
+      },
+      notice: currentNotice()
+    });
+  } catch (error) {
+    console.error('❌ Admin stats error:', error);
+    res.status(500).json({ error: 'Failed to collect stats' });
+  }
+});
+
+app.get('/admin/peers', requireAdmin, async (req, res) => {
+  try {
+    const { q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = typeof q === 'string' ? q.trim().toLowerCase() : '';
+    const now = Date.now();
+
+    const matches = (await peers.values())
+      .filter(peer => !query || peer.username.toLowerCase().includes(query) ||
+        peer.peerId.startsWith(query) || peer.identityId?.startsWith(query))
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+
+    res.json({
+      peers: matches.slice(0, limit).map(peer => ({
+        peerId: peer.peerId,
+        identityId: peer.identityId || null,
+        username: peer.username,
+        avatar: peer.avatar,
+        status: now - peer.lastSeen < 30000 ? 'online' : 'away',
+        lastSeen: peer.lastSeen,
+        joinedAt: peer.joinedAt,
+        area: areaOf(peer.location).label,
+        ip: peer.ip,
+        userAgent: peer.userAgent
+      })),
+      total: matches.length
+    });
+  } catch (error) {
+    console.error('❌ Admin peer list error:', error);
+    res.status(500).json({ error: 'Failed to list peers' });
+  }
+});
+
+// Ends a session. With `banHours` the identity (or IP) is also banned for
+// that long; otherwise only this peer ID is refused for a while.
+app.post('/admin/peers/:peerId/kick', requireAdmin, async (req, res) => {
+  try {
+    const { reason, banHours } = req.body;
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_NOTICE_LENGTH)) {
+      return res.status(400).json({ error: `reason must be at most ${MAX_NOTICE_LENGTH} characters` });
+    }
+
+    const peer = await peers.get(req.params.peerId);
+    if (!peer) {
+      return res.status(404).json({ error: 'Peer not found' });
+    }
+
+    const ban = banHours ? moderation.ban({
+      identityId: peer.identityId || null,
+      ip: peer.identityId ? null : peer.ip,
+      hours: banHours,
+      reason: reason || 'Kicked by an operator'
+    }) : null;
+
+    const message = reason ? `You were removed by an operator: ${reason}` : 'You were removed by an operator';
+    kickedPeers.set(peer.peerId, { message, expiresAt: Date.now() + KICK_MEMORY });
+    presence.disconnect(peer.peerId, 'kicked', { message });
+    await peers.delete(peer.peerId);
+    rooms.removePeer(peer.peerId);
+    presence.notifyRemoved(peer.peerId);
+    if (ban) await enforceBan(ban);
+
+    opsStats.record('kicks');
+    console.log(`👢 Operator kicked ${peer.username} (${peer.peerId.substr(0, 8)}...)`);
+    res.json({ success: true, ban });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Kick error:', error);
+    res.status(500).json({ error: 'Failed to kick peer' });
+  }
+});
+
+// Runs the periodic cleanup now instead of waiting for the next pass
+app.post('/admin/cleanup', requireAdmin, async (req, res) => {
+  try {
+    const { removedPeers, closedRooms } = await cleanupOldPeers();
+    moderation.pruneBans();
+    locationPrivacy.trim();
+    res.json({ success: true, removedPeers, closedRooms, totalUsers: await peers.size() });
+  } catch (error) {
+    console.error('❌ Admin cleanup error:', error);
+    res.status(500).json({ error: 'Cleanup failed' });
+  }
+});
+
+// Maintenance notice shown to every client until cleared or expired
+app.put('/admin/notice', requireAdmin, (req, res) => {
+  const { message, hours } = req.body;
+  if (typeof message !== 'string' || !message.trim() || message.length > MAX_NOTICE_LENGTH) {
+    return res.status(400).json({ error: `message must be 1-${MAX_NOTICE_LENGTH} characters` });
+  }
+  if (hours !== undefined && hours !== null &&
+      (!Number.isFinite(Number(hours)) || hours <= 0 || hours > MAX_NOTICE_HOURS)) {
+    return res.status(400).json({ error: `hours must be between 0 and ${MAX_NOTICE_HOURS}` });
+  }
+
+  const now = Date.now();
+  maintenanceNotice = {
+    message: message.trim(),
+    issuedAt: now,
+    expiresAt: hours ? now + Number(hours) * 60 * 60 * 1000 : null
+  };
+  presence.broadcast('notice', { notice: maintenanceNotice });
+  console.log(`📢 Maintenance notice set: ${maintenanceNotice.message}`);
+  res.json({ success: true, notice: maintenanceNotice });
+});
+
+app.delete('/admin/notice', requireAdmin, (req, res) => {
+  maintenanceNotice = null;
+  presence.broadcast('notice', { notice: null });
+  res.json({ success: true });
+});
+
+// Group rooms. Every route identifies the caller by peerId like the rest of
+// the API; the room's anchor is the creator's position at creation time.
+app.get('/rooms', async (req, res) => {
+  try {
+    const { peerId } = req.query;
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId query parameter is required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    const nearbyRooms = (await Promise.all(rooms.nearby(requester).map(room => summarizeRoom(room, requester))))
+      .sort((a, b) => (b.joined - a.joined) || (a.distance - b.distance));
+
+    res.json({ rooms: nearbyRooms, timestamp: Date.now() });
+  } catch (error) {
+    console.error('❌ Room discovery error:', error);
+    res.status(500).json({ error: 'Failed to discover rooms' });
+  }
+});
+
+app.post('/rooms', roomLimiter, async (req, res) => {
+  try {
+    const { peerId, name, radius } = req.body;
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId is required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (trimmedName.length < MIN_USERNAME_LENGTH || trimmedName.length > MAX_ROOM_NAME_LENGTH) {
+      return res.status(400).json({
+        error: `Room name must be between ${MIN_USERNAME_LENGTH}-${MAX_ROOM_NAME_LENGTH} characters`
+      });
+    }
+
+    if (!/^[\p{L}\p{N}\s\-_.,&'#@()]+$/u.test(trimmedName)) {
+      return res.status(400).json({ error: 'Room name contains invalid characters' });
+    }
+
+    const room = rooms.create(requester, { name: trimmedName, radius });
+    console.log(`🏠 Room created: ${room.name} (${room.radius}m) by ${requester.username}`);
+    res.json({ room: await summarizeRoom(room, requester) });
+  } catch (error) {
+    if (error instanceof RoomError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Room creation error:', error);
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
+
+app.post('/rooms/:roomId/join', async (req, res) => {
+  try {
+    const { peerId } = req.body;
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId is required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    const room = rooms.join(req.params.roomId, requester);
+    res.json({ room: await summarizeRoom(room, requester) });
+  } catch (error) {
+    if (error instanceof RoomError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Room join error:', error);
+    res.status(500).json({ error: 'Failed to join room' });
+  }
+});
+
+app.post('/rooms/:roomId/leave', (req, res) => {
+  const { peerId } = req.body;
+  if (!peerId) {
+    return res.status(400).json({ error: 'peerId is required' });
+  }
+
+  res.json({ success: rooms.leave(req.params.roomId, peerId) });
+});
+
+app.get('/rooms/:roomId', async (req, res) => {
+  try {
+    const { peerId } = req.query;
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId query parameter is required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    const room = rooms.get(req.params.roomId);
+    if (!room || !room.members.has(requester.peerId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json({ room: await summarizeRoom(room, requester) });
+  } catch (error) {
+    console.error('❌ Room lookup error:', error);
+    res.status(500).json({ error: 'Failed to load room' });
+  }
+});
+
+// Preview of a link the caller is about to send. The server fetches it so
+// neither the sender's browser (blocked by CORS anyway) nor the receiver
+// has to contact the site.
+app.get('/link-preview', previewLimiter, async (req, res) => {
+  try {
+    const { peerId, url } = req.query;
+    if (!peerId || !url) {
+      return res.status(400).json({ error: 'peerId and url query parameters are required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    res.json({ preview: await linkPreviews.preview(url) });
+  } catch (error) {
+    if (error instanceof LinkPreviewError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Link preview error:', error);
+    res.status(500).json({ error: 'Failed to preview link' });
+  }
+});
+
+// Current peer ID of a stable identity, so a friend can be found again after
+// their peer ID rotates. Only registered peers may look identities up.
+app.get('/identity/:identityId', async (req, res) => {
+  try {
+    const { peerId } = req.query;
+
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId query parameter is required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    const now = Date.now();
+    const peer = await peers.findByIdentity(req.params.identityId);
+    if (!peer || now - peer.lastSeen > PEER_TIMEOUT || isBlockedPair(requester, peer)) {
+      return res.status(404).json({ error: 'Identity is not online' });
+    }
+
+    const { distance, distanceLabel, ...summary } = toPeerSummary(requester, peer, now);
+    res.json(summary);
+  } catch (error) {
+    console.error('❌ Identity lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up identity' });
+  }
+});
+
+// Server-Sent Events stream of presence deltas for peers within range
+app.get('/presence', async (req, res) => {
+  try {
+    const { peerId, range = DEFAULT_RANGE } = req.query;
+
+    if (!peerId) {
+      return res.status(400).json({ error: 'peerId query parameter is required' });
+    }
+
+    const requester = await peers.get(peerId);
+    if (!requester) {
+      return res.status(404).json({ error: 'Peer not found. Please register first.' });
+    }
+
+    const searchRange = Math.min(parseInt(range) || DEFAULT_RANGE, 50000);
+    opsStats.record('presenceStreams');
+    const observeDuration = meters.discoveryDuration.startTimer({ method: 'stream' });
+    await presence.subscribe(req, res, requester, searchRange);
+    observeDuration();
+  } catch (error) {
+    console.error('❌ Presence stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open presence stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
 app.post('/heartbeat', async (req, res) => {
   try {
-    const { peerId, activity } = req.body;
+    const { peerId, activity, location, precision } = req.body;
     if (!peerId) {
       return res.status(400).json({ error: 'peerId is required' });
     }
-    const peer = peers.get(peerId);
+    if (location !== undefined) {
+      const locationError = validateLocation(location);
+      if (locationError) {
+        return res.status(400).json({ error: locationError });
+      }
+    }
+    const peer = await peers.get(peerId);
     if (peer) {
       const now = Date.now();
       peer.lastSeen = now;
       peer.status = 'online';
-      if (activity) {
-        peer.lastActivity = activity;
+      const reported = parseActivity(activity);
+      if (reported) {
+        peer.lastActivity = reported.state;
         peer.lastActivityTime = now;
+        await recordClientActivity(peer, reported);
+      }
+      if (precision !== undefined) {
+        peer.precision = LocationPrivacy.normalizePrecision(precision);
       }
-      res.json({ success: true, serverTime: now, status: 'heartbeat_received' });
+
+      // A throttled peer stays online but keeps its last position
+      let locationThrottled;
+      if (location) {
+        try {
+          locationPrivacy.recordMove({ peerId, identityId: peer.identityId }, location, now);
+          peer.location = normalizeLocation(location);
+        } catch (error) {
+          if (!(error instanceof LocationThrottledError)) throw error;
+          locationThrottled = error.retryAfter;
+        }
+      }
+      await peers.set(peerId, peer);
+      await presence.notify(peerId);
+      res.json({
+        success: true,
+        serverTime: now,
+        status: 'heartbeat_received',
+        locationThrottled,
+        warnings: moderation.takeWarnings(peer),
+        notice: currentNotice()
+      });
     } else {
-      res.status(404).json({ error: 'Peer not found' });
+      // A kicked client must not take the 404 as a cue to register again
+      const kick = findKick(peerId);
+      if (kick) {
+        res.status(403).json({ error: kick.message, kicked: true });
+      } else {
+        res.status(404).json({ error: 'Peer not found' });
+      }
     }
   } catch (error) {
     console.error('❌ Heartbeat error:', error);
@@ -237,58 +1038,263 @@ app.post('/heartbeat', async (req, res) => {
   }
 });
 
-// Distance calculation
-function calculateDistance(loc1, loc2) {
+// `activity` is either a bare state string (older clients) or
+// { state, connections, connectionsOpened, messagesSent, messagesReceived },
+// where all but `connections` count what happened since the last report
+function parseActivity(activity) {
+  if (typeof activity === 'string') return { state: activity.slice(0, 20) };
+  if (!activity || typeof activity !== 'object') return null;
+
+  const count = value => Number.isInteger(value) && value > 0 ? Math.min(value, MAX_REPORTED_COUNT) : 0;
+  return {
+    state: typeof activity.state === 'string' ? activity.state.slice(0, 20) : 'active',
+    connections: Number.isInteger(activity.connections) && activity.connections >= 0
+      ? Math.min(activity.connections, MAX_REPORTED_COUNT)
+      : undefined,
+    connectionsOpened: count(activity.connectionsOpened),
+    messagesSent: count(activity.messagesSent),
+    messagesReceived: count(activity.messagesReceived)
+  };
+}
+
+async function recordClientActivity(peer, reported) {
+  // A bare state string carries no counts
+  if (reported.connectionsOpened === undefined) return;
+
+  if (reported.connections !== undefined) peer.openConnections = reported.connections;
+  peer.connectionsCount = (peer.connectionsCount || 0) + reported.connectionsOpened;
+  peer.messageCount = (peer.messageCount || 0) + reported.messagesSent + reported.messagesReceived;
+
+  meters.clientConnectionsOpened.inc({}, reported.connectionsOpened);
+  meters.clientMessages.inc({ direction: 'sent' }, reported.messagesSent);
+  meters.clientMessages.inc({ direction: 'received' }, reported.messagesReceived);
+  // Counted once per message, by whoever sent it
+  if (reported.messagesSent > 0) {
+    await peers.incrementStat('messagesExchanged', reported.messagesSent);
+  }
+}
+
+function validateLocation(location) {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return 'Valid location coordinates are required';
+  }
+  if (Math.abs(location.latitude) > 90 || Math.abs(location.longitude) > 180) {
+    return 'Invalid coordinate values';
+  }
+  return null;
+}
+
+function normalizeLocation(location) {
+  return {
+    latitude: parseFloat(location.latitude.toFixed(6)),
+    longitude: parseFloat(location.longitude.toFixed(6)),
+    accuracy: location.accuracy || 1000
+  };
+}
+
+// Public view of a peer as seen from `requester`. Coordinates never leave
+// the server; the distance is a bucket (see lib/location-privacy.js).
+function toPeerSummary(requester, peer, now) {
+  const timeSinceLastSeen = now - peer.lastSeen;
+  return {
+    peerId: peer.peerId,
+    identityId: peer.identityId || null,
+    username: peer.username,
+    avatar: peer.avatar,
+    ...locationPrivacy.describeDistance(requester, peer),
+    lastSeen: peer.lastSeen,
+    isActive: timeSinceLastSeen < 60000,
+    status: timeSinceLastSeen < 30000 ? 'online' : 'away',
+    joinedAt: peer.joinedAt
+  };
+}
+
+// Ends every live session a new ban covers; their next /register is refused
+async function enforceBan(ban) {
+  for (const peer of await peers.values()) {
+    if (!moderation.matchesBan(ban, peer)) continue;
+    await peers.delete(peer.peerId);
+    rooms.removePeer(peer.peerId);
+    presence.notifyRemoved(peer.peerId);
+    console.log(`⛔ Removed banned peer ${peer.username} (${peer.peerId.substr(0, 8)}...)`);
+  }
+}
+
+// Streaming clients get warnings straight away; the rest pick them up with
+// their next heartbeat or registration
+async function pushWarnings(target) {
+  const peer = target.identityId ? await peers.findByIdentity(target.identityId) : await peers.get(target.peerId);
+  if (!peer || !presence.isSubscribed(peer.peerId)) return;
+  presence.sendTo(peer.peerId, 'warning', { warnings: moderation.takeWarnings(peer) });
+}
+
+function findKick(peerId) {
+  const kick = kickedPeers.get(peerId);
+  return kick && kick.expiresAt > Date.now() ? kick : null;
+}
+
+function currentNotice() {
+  if (maintenanceNotice?.expiresAt && maintenanceNotice.expiresAt <= Date.now()) {
+    maintenanceNotice = null;
+  }
+  return maintenanceNotice;
+}
+
+// Coarse grid cell for the dashboard's per-area counts
+function areaOf(location) {
+  const latitude = Math.floor(location.latitude / AREA_CELL_DEGREES) * AREA_CELL_DEGREES;
+  const longitude = Math.floor(location.longitude / AREA_CELL_DEGREES) * AREA_CELL_DEGREES;
+  const label = `${Math.abs(latitude)}°${latitude < 0 ? 'S' : 'N'} ${Math.abs(longitude)}°${longitude < 0 ? 'W' : 'E'}`;
+  return { latitude, longitude, label };
+}
+
+function countByArea(allPeers, now) {
+  const areas = new Map();
+  for (const peer of allPeers) {
+    const area = areaOf(peer.location);
+    const entry = areas.get(area.label) || { ...area, total: 0, active: 0 };
+    entry.total++;
+    if (now - peer.lastSeen < 60000) entry.active++;
+    areas.set(area.label, entry);
+  }
+  return Array.from(areas.values()).sort((a, b) => b.total - a.total);
+}
+
+// Members on either side of a block are left out of the list, and clients
+// only open mesh links to members they are shown
+async function summarizeRoom(room, requester) {
+  const summary = rooms.summarize(room, requester);
+  if (summary.members) {
+    const records = await Promise.all(summary.members.map(member => peers.get(member.peerId)));
+    summary.members = summary.members.filter((member, i) => !isBlockedPair(requester, records[i] || member));
+  }
+  return summary;
+}
+
+function isBlockedPair(a, b) {
+  const blocks = (blocker, target) => (blocker.blocklist || []).some(id =>
+    id === target.peerId || (target.identityId && id === target.identityId)
+  );
+  return blocks(a, b) || blocks(b, a);
+}
+
+// 'true' trusts the one proxy directly in front; a number trusts that many
+// hops, and anything else is passed on as express's list of trusted
+// addresses or subnets ("loopback, 10.0.0.0/8"). Trusting every hop would
+// let clients pick their own IP with a forged header.
+function parseTrustProxy(raw) {
+  if (!raw || raw === 'false') return false;
+  if (raw === 'true') return 1;
+  if (/^\d+$/.test(raw)) return parseInt(raw, 10);
+  return raw;
+}
+
+function parseIceServers(raw) {
+  const fallback = [{ urls: 'stun:stun.l.google.com:19302' }];
+  if (!raw) return fallback;
   try {
-    if (!loc1 || !loc2 ||
-        typeof loc1.latitude !== 'number' || typeof loc1.longitude !== 'number' ||
-        typeof loc2.latitude !== 'number' || typeof loc2.longitude !== 'number') {
-      return Infinity;
-    }
-    if (Math.abs(loc1.latitude) > 90 || Math.abs(loc2.latitude) > 90 ||
-        Math.abs(loc1.longitude) > 180 || Math.abs(loc2.longitude) > 180) {
-      return Infinity;
-    }
-    const R = 6371000;
-    const phi1 = loc1.latitude * Math.PI / 180;
-    const phi2 = loc2.latitude * Math.PI / 180;
-    const deltaPhi = (loc2.latitude - loc1.latitude) * Math.PI / 180;
-    const deltaLambda = (loc2.longitude - loc1.longitude) * Math.PI / 180;
-    const a = Math.sin(deltaPhi / 2) * Math.sin(deltaPhi / 2) +
-              Math.cos(phi1) * Math.cos(phi2) *
-              Math.sin(deltaLambda / 2) * Math.sin(deltaLambda / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return Math.max(0, R * c);
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('ICE_SERVERS must be a JSON array');
+    return parsed;
   } catch (error) {
-    console.error('❌ Distance calculation error:', error);
-    return Infinity;
+    console.error('❌ Invalid ICE_SERVERS, using default STUN:', error.message);
+    return fallback;
+  }
+}
+
+// Totals shown in /peers responses. Counting active users means reading the
+// whole registry, so the result is cached instead of recomputed per poll.
+let serverStatsCache = null;
+
+async function getServerStats() {
+  const now = Date.now();
+  if (serverStatsCache && now - serverStatsCache.computedAt < SERVER_STATS_TTL) {
+    return serverStatsCache.stats;
   }
+  const allPeers = await peers.values();
+  const stats = {
+    totalUsers: allPeers.length,
+    activeUsers: allPeers.filter(p => now - p.lastSeen < 60000).length
+  };
+  serverStatsCache = { stats, computedAt: now };
+  return stats;
+}
+
+async function countUsers() {
+  const now = Date.now();
+  const allPeers = await peers.values();
+  const active = allPeers.filter(p => now - p.lastSeen < 60000).length;
+  return [
+    { labels: { state: 'active' }, value: active },
+    { labels: { state: 'away' }, value: allPeers.length - active }
+  ];
+}
+
+async function countClientConnections() {
+  return (await peers.values()).reduce((sum, peer) => sum + (peer.openConnections || 0), 0);
 }
 
-function cleanupOldPeers() {
+let lastCleanupAt = 0;
+
+async function cleanupOldPeers() {
   const now = Date.now();
+  lastCleanupAt = now;
   let cleanedCount = 0;
-  for (const [id, peer] of peers.entries()) {
+  for (const peer of await peers.values()) {
     if (now - peer.lastSeen > PEER_TIMEOUT) {
-      peers.delete(id);
+      await peers.delete(peer.peerId);
+      presence.notifyRemoved(peer.peerId);
       cleanedCount++;
     }
   }
+  for (const [peerId, kick] of kickedPeers) {
+    if (kick.expiresAt <= now) kickedPeers.delete(peerId);
+  }
+  const closedRooms = await rooms.prune(peerId => peers.get(peerId), now);
+  if (closedRooms > 0) {
+    console.log(`🏠 Closed ${closedRooms} idle rooms. Open rooms: ${rooms.size}`);
+  }
+  meters.cleanupEvictions.inc({ kind: 'peer' }, cleanedCount);
+  meters.cleanupEvictions.inc({ kind: 'room' }, closedRooms);
   if (cleanedCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedCount} inactive peers. Active users: ${peers.size}`);
+    console.log(`🧹 Cleaned up ${cleanedCount} inactive peers. Active users: ${await peers.size()}`);
   }
-  connectionStats.activeUsers = peers.size;
+  return { removedPeers: cleanedCount, closedRooms };
 }
 
-app.get('/health', (req, res) => {
-  const now = Date.now();
-  const activeUsers = Array.from(peers.values()).filter(p => now - p.lastSeen < 60000).length;
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    server: { uptime: process.uptime(), memory: process.memoryUsage(), version: process.version },
-    users: { total: peers.size, active: activeUsers, totalConnections: connectionStats.totalConnections }
-  });
+// Liveness: the process is up and answering. Server details and user
+// counts are on the admin API.
+app.get(['/health', '/health/live'], (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness: the peer store answers and the server is not shutting down
+app.get('/health/ready', async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ status: 'shutting_down' });
+  }
+  try {
+    await peers.size();
+    res.json({ status: 'ready' });
+  } catch (error) {
+    console.error('❌ Readiness check error:', error);
+    res.status(503).json({ status: 'unavailable', error: 'Peer store unavailable' });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireMetrics, async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await metrics.render());
+  } catch (error) {
+    console.error('❌ Metrics error:', error);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
 });
 
 app.get('*', (req, res) => {
@@ -300,18 +1306,35 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-setInterval(cleanupOldPeers, 3 * 60 * 1000);
+setInterval(() => {
+  cleanupOldPeers().catch(error => console.error('❌ Cleanup error:', error));
+}, 3 * 60 * 1000);
 
 const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 LetTalky Server Started Successfully!`);
-  console.log(`📍 Express Server: http://localhost:${PORT}`);
-  console.log(`🌐 Using public PeerJS server for signaling`);
+Promise.all([peers.init(), moderation.init()]).then(() => {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 LetTalky Server Started Successfully!`);
+    console.log(`📍 Express Server: http://localhost:${PORT}`);
+    console.log(`🌐 PeerJS signaling server: http://localhost:${PORT}${PEER_PATH}`);
+    console.log(`💾 Peer store: ${process.env.PEER_STORE || 'memory'}`);
+  });
+}).catch(error => {
+  console.error('❌ Failed to initialise peer store:', error);
+  process.exit(1);
 });
 
-const gracefulShutdown = () => {
+const gracefulShutdown = async () => {
   console.log('👋 Server shutting down gracefully...');
-  console.log(`📊 Final Stats: ${peers.size} users, ${connectionStats.totalConnections} total connections`);
+  shuttingDown = true;
+  try {
+    const stats = await peers.getStats();
+    console.log(`📊 Final Stats: ${await peers.size()} users, ${stats.totalConnections} total connections`);
+    presence.close();
+    await moderation.close();
+    await peers.close();
+  } catch (error) {
+    console.error('❌ Error closing peer store:', error);
+  }
   process.exit(0);
 };
 
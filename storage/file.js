@@ -0,0 +1,95 @@
+// File-backed peer registry. Keeps the working set in memory and writes a
+// JSON snapshot to disk shortly after every change, so a restart picks up
+// where the previous process left off.
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryPeerStore, DEFAULT_STATS } = require('./memory');
+
+const SAVE_DELAY = 1000;
+
+class FilePeerStore extends MemoryPeerStore {
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const snapshot = JSON.parse(raw);
+      for (const peer of snapshot.peers || []) {
+        this.peers.set(peer.peerId, peer);
+        this.index.update(peer.peerId, peer.location);
+        if (peer.identityId) this.identities.set(peer.identityId, peer.peerId);
+      }
+      this.stats = { ...DEFAULT_STATS, ...(snapshot.stats || {}) };
+      console.log(`💾 Loaded ${this.peers.size} peers from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load peer store file, starting empty:', error.message);
+      }
+    }
+  }
+
+  async set(peerId, peerData) {
+    await super.set(peerId, peerData);
+    this.scheduleSave();
+  }
+
+  async touch(peerId, seen) {
+    const peer = await super.touch(peerId, seen);
+    if (peer) this.scheduleSave();
+    return peer;
+  }
+
+  async delete(peerId) {
+    const deleted = await super.delete(peerId);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  async incrementStat(name, amount = 1) {
+    const value = await super.incrementStat(name, amount);
+    this.scheduleSave();
+    return value;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save());
+    }, SAVE_DELAY);
+  }
+
+  async save() {
+    const snapshot = JSON.stringify({
+      savedAt: Date.now(),
+      stats: this.stats,
+      peers: Array.from(this.peers.values())
+    });
+    const tmpPath = `${this.filePath}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      console.error('❌ Failed to save peer store file:', error.message);
+    }
+  }
+
+  async close() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    await this.saving;
+    await this.save();
+  }
+}
+
+module.exports = { FilePeerStore };
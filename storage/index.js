@@ -0,0 +1,30 @@
+// Peer registry storage adapters. Every adapter exposes the same async
+// interface: init, get, set, touch, delete, values, nearby, findByIdentity,
+// size, incrementStat, getStats and close.
+
+const path = require('path');
+const { MemoryPeerStore } = require('./memory');
+const { FilePeerStore } = require('./file');
+const { RedisPeerStore } = require('./redis');
+
+function createPeerStore(options = {}) {
+  const type = (options.type || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryPeerStore();
+    case 'file':
+      return new FilePeerStore({
+        filePath: options.filePath || path.join(__dirname, '..', 'data', 'peers.json')
+      });
+    case 'redis':
+      return new RedisPeerStore({
+        url: options.redisUrl || 'redis://127.0.0.1:6379',
+        prefix: options.redisPrefix
+      });
+    default:
+      throw new Error(`Unknown peer store type: ${type}`);
+  }
+}
+
+module.exports = { createPeerStore, MemoryPeerStore, FilePeerStore, RedisPeerStore };
@@ -0,0 +1,88 @@
+// In-memory peer registry. Fast and dependency-free, but everything is lost
+// on restart and nothing is shared between server instances.
+
+const { SpatialIndex, calculateDistance } = require('./spatial-index');
+
+const DEFAULT_STATS = { totalConnections: 0, messagesExchanged: 0 };
+
+class MemoryPeerStore {
+  constructor() {
+    this.peers = new Map();
+    this.index = new SpatialIndex();
+    this.identities = new Map();
+    this.stats = { ...DEFAULT_STATS };
+  }
+
+  async init() {}
+
+  async get(peerId) {
+    return this.peers.get(peerId) || null;
+  }
+
+  async set(peerId, peerData) {
+    this.unlinkIdentity(this.peers.get(peerId));
+    this.peers.set(peerId, peerData);
+    this.index.update(peerId, peerData.location);
+    if (peerData.identityId) this.identities.set(peerData.identityId, peerId);
+  }
+
+  async delete(peerId) {
+    this.unlinkIdentity(this.peers.get(peerId));
+    this.index.remove(peerId);
+    return this.peers.delete(peerId);
+  }
+
+  // Marks a peer as seen without replacing its entry; null if it is gone
+  async touch(peerId, { lastSeen, status }) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return null;
+    peer.lastSeen = lastSeen;
+    peer.status = status;
+    return peer;
+  }
+
+  // Current peer registered under a stable identity, if any
+  async findByIdentity(identityId) {
+    const peerId = this.identities.get(identityId);
+    return peerId ? this.get(peerId) : null;
+  }
+
+  unlinkIdentity(peer) {
+    if (peer?.identityId && this.identities.get(peer.identityId) === peer.peerId) {
+      this.identities.delete(peer.identityId);
+    }
+  }
+
+  async values() {
+    return Array.from(this.peers.values());
+  }
+
+  async nearby(location, radius) {
+    const ids = this.index.query(location, radius);
+    const candidates = ids ? ids.map(id => this.peers.get(id)) : this.peers.values();
+    const results = [];
+    for (const peer of candidates) {
+      if (peer && calculateDistance(location, peer.location) <= radius) {
+        results.push(peer);
+      }
+    }
+    return results;
+  }
+
+  async size() {
+    return this.peers.size;
+  }
+
+  async incrementStat(name, amount = 1) {
+    this.stats[name] = (this.stats[name] || 0) + amount;
+    return this.stats[name];
+  }
+
+  async getStats() {
+    return { ...this.stats };
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryPeerStore, DEFAULT_STATS };
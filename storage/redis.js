@@ -0,0 +1,367 @@
+// Redis-backed peer registry. Speaks the Redis wire protocol (RESP) directly
+// over a TCP socket, so it works against Redis itself or any compatible
+// stand-in (KeyDB, Dragonfly, a local mock) without an extra dependency.
+// Several server instances pointed at the same Redis share one registry.
+//
+// The spatial index is one sorted set per grid row (0.01° of latitude),
+// scored by longitude. A radius query reads one longitude range from each
+// row its bounding box covers, so even the widest range the API allows is a
+// few hundred pipelined lookups rather than a scan of the registry.
+
+const net = require('net');
+const { DEFAULT_STATS } = require('./memory');
+const { SpatialIndex, calculateDistance } = require('./spatial-index');
+
+// Above this many row lookups, reading the whole registry is cheaper
+const MAX_QUERY_RANGES = 400;
+
+class RespClient {
+  constructor({ host = '127.0.0.1', port = 6379, password = null, db = 0 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.password = password;
+    this.db = db;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+    this.connecting = null;
+  }
+
+  static fromUrl(url) {
+    const parsed = new URL(url);
+    return new RespClient({
+      host: parsed.hostname || '127.0.0.1',
+      port: parseInt(parsed.port) || 6379,
+      password: parsed.password ? decodeURIComponent(parsed.password) : null,
+      db: parseInt(parsed.pathname.replace('/', '')) || 0
+    });
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      socket.once('connect', async () => {
+        this.socket = socket;
+        this.connecting = null;
+        try {
+          if (this.password) await this.command('AUTH', this.password);
+          if (this.db) await this.command('SELECT', this.db);
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      socket.on('data', (data) => this.handleData(data));
+
+      socket.on('error', (error) => {
+        if (!this.socket) {
+          this.connecting = null;
+          reject(error);
+        }
+        this.failPending(error);
+      });
+
+      socket.on('close', () => {
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.failPending(new Error('Redis connection closed'));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  async command(...args) {
+    if (!this.socket) await this.connect();
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(this.encode(args));
+    });
+  }
+
+  // Runs `commands` (each an array of arguments) as one MULTI/EXEC
+  // transaction and resolves to the EXEC reply. Everything is written in a
+  // single go, so no other command on this connection can end up inside it.
+  async transaction(commands) {
+    if (!this.socket) await this.connect();
+
+    const all = [['MULTI'], ...commands, ['EXEC']];
+    const replies = all.map(() => new Promise((resolve, reject) => this.pending.push({ resolve, reject })));
+    this.socket.write(all.map(args => this.encode(args)).join(''));
+
+    // A command rejected while queueing makes EXEC fail too, so only its reply matters
+    const settled = await Promise.allSettled(replies);
+    const exec = settled[settled.length - 1];
+    if (exec.status === 'rejected') throw exec.reason;
+    if (!exec.value) throw new Error('Redis transaction aborted');
+    const failed = exec.value.find(value => value instanceof Error);
+    if (failed) throw failed;
+    return exec.value;
+  }
+
+  encode(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+      const value = String(arg);
+      out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return out;
+  }
+
+  handleData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.pending.length > 0) {
+      const result = this.parse(this.buffer, 0);
+      if (!result) return;
+
+      this.buffer = this.buffer.subarray(result.offset);
+      const { resolve, reject } = this.pending.shift();
+      if (result.value instanceof Error) {
+        reject(result.value);
+      } else {
+        resolve(result.value);
+      }
+    }
+  }
+
+  // Returns { value, offset } or null when the buffer holds an incomplete reply
+  parse(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: parseInt(line), offset: next };
+      case '$': {
+        const length = parseInt(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(buffer, cursor);
+          if (!item) return null;
+          items.push(item.value);
+          cursor = item.offset;
+        }
+        return { value: items, offset: cursor };
+      }
+      default:
+        return { value: new Error(`Unexpected RESP type: ${type}`), offset: next };
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(error));
+  }
+
+  async quit() {
+    if (!this.socket) return;
+    try {
+      await this.command('QUIT');
+    } catch (error) {
+      // Connection is going away either way
+    }
+    if (this.socket) this.socket.destroy();
+  }
+}
+
+class RedisPeerStore {
+  constructor({ url, prefix = 'lettalky:' }) {
+    this.client = RespClient.fromUrl(url);
+    this.prefix = prefix;
+    this.idsKey = `${prefix}peers`;
+    this.statsKey = `${prefix}stats`;
+    this.grid = new SpatialIndex();
+  }
+
+  peerKey(peerId) {
+    return `${this.prefix}peer:${peerId}`;
+  }
+
+  rowKey(row) {
+    return `${this.prefix}row:${row}`;
+  }
+
+  // lastSeen and status, kept apart from the entry so that heartbeats from
+  // open presence streams never write over the rest of it
+  seenKey(peerId) {
+    return `${this.prefix}seen:${peerId}`;
+  }
+
+  identityKey(identityId) {
+    return `${this.prefix}identity:${identityId}`;
+  }
+
+  async init() {
+    await this.client.connect();
+    await this.client.command('PING');
+    console.log(`💾 Connected to Redis peer store at ${this.client.host}:${this.client.port}`);
+  }
+
+  async get(peerId) {
+    const [peer] = await this.load([peerId]);
+    return peer;
+  }
+
+  // Entries for `ids` in order, null where one is gone
+  async load(ids) {
+    const raws = await this.client.command('MGET',
+      ...ids.map(id => this.peerKey(id)), ...ids.map(id => this.seenKey(id)));
+    return ids.map((id, index) => {
+      const raw = raws[index];
+      const seen = raws[ids.length + index];
+      return raw ? { ...JSON.parse(raw), ...(seen ? JSON.parse(seen) : {}) } : null;
+    });
+  }
+
+  // The entry and its index memberships change in one transaction, so other
+  // instances never see a peer that is stored but missing from its row.
+  // Dropping an old identity mapping depends on what it points at, so that
+  // happens separately; findByIdentity double-checks a mapping anyway.
+  async set(peerId, peerData) {
+    const previous = await this.get(peerId);
+    const row = this.grid.row(peerData.location.latitude);
+    const previousRow = previous ? this.grid.row(previous.location.latitude) : null;
+
+    if (previous?.identityId && previous.identityId !== peerData.identityId) {
+      await this.unlinkIdentity(previous);
+    }
+
+    const { lastSeen, status } = peerData;
+    const commands = [
+      ['SET', this.peerKey(peerId), JSON.stringify(peerData)],
+      ['SET', this.seenKey(peerId), JSON.stringify({ lastSeen, status })],
+      ['SADD', this.idsKey, peerId]
+    ];
+    if (previousRow !== null && previousRow !== row) {
+      commands.push(['ZREM', this.rowKey(previousRow), peerId]);
+    }
+    commands.push(['ZADD', this.rowKey(row), peerData.location.longitude, peerId]);
+    if (peerData.identityId) {
+      commands.push(['SET', this.identityKey(peerData.identityId), peerId]);
+    }
+    await this.client.transaction(commands);
+  }
+
+  async delete(peerId) {
+    const previous = await this.get(peerId);
+    const commands = [
+      ['DEL', this.peerKey(peerId)],
+      ['DEL', this.seenKey(peerId)],
+      ['SREM', this.idsKey, peerId]
+    ];
+    if (previous) {
+      commands.push(['ZREM', this.rowKey(this.grid.row(previous.location.latitude)), peerId]);
+    }
+
+    const [removed] = await this.client.transaction(commands);
+    if (previous) await this.unlinkIdentity(previous);
+    return removed > 0;
+  }
+
+  // Every stored entry has a seen key, so XX leaves peers that are gone alone
+  async touch(peerId, { lastSeen, status }) {
+    const updated = await this.client.command('SET', this.seenKey(peerId), JSON.stringify({ lastSeen, status }), 'XX');
+    return updated ? this.get(peerId) : null;
+  }
+
+  async findByIdentity(identityId) {
+    const peerId = await this.client.command('GET', this.identityKey(identityId));
+    if (!peerId) return null;
+    const peer = await this.get(peerId);
+    return peer && peer.identityId === identityId ? peer : null;
+  }
+
+  // Only drop the mapping if it still points at this peer; the identity may
+  // already have moved on to a newer peer ID
+  async unlinkIdentity(peer) {
+    if (!peer.identityId) return;
+    const key = this.identityKey(peer.identityId);
+    if (await this.client.command('GET', key) === peer.peerId) {
+      await this.client.command('DEL', key);
+    }
+  }
+
+  async values() {
+    const ids = await this.client.command('SMEMBERS', this.idsKey);
+    if (!ids || ids.length === 0) return [];
+
+    const peers = [];
+    (await this.load(ids)).forEach((peer, index) => {
+      if (peer) {
+        peers.push(peer);
+      } else {
+        // Entry vanished underneath us (another instance cleaned it up)
+        this.client.command('SREM', this.idsKey, ids[index]).catch(() => {});
+      }
+    });
+    return peers;
+  }
+
+  async nearby(location, radius) {
+    const { minRow, maxRow, longitudes } = this.grid.bounds(location, radius);
+    let candidates;
+
+    if ((maxRow - minRow + 1) * longitudes.length > MAX_QUERY_RANGES) {
+      candidates = await this.values();
+    } else {
+      const lookups = [];
+      for (let row = minRow; row <= maxRow; row++) {
+        for (const [west, east] of longitudes) {
+          lookups.push(this.client.command('ZRANGEBYSCORE', this.rowKey(row), west, east));
+        }
+      }
+      const ids = [...new Set((await Promise.all(lookups)).flat())];
+      if (ids.length === 0) return [];
+      candidates = (await this.load(ids)).filter(Boolean);
+    }
+
+    return candidates.filter(peer => calculateDistance(location, peer.location) <= radius);
+  }
+
+  async size() {
+    return this.client.command('SCARD', this.idsKey);
+  }
+
+  async incrementStat(name, amount = 1) {
+    return this.client.command('HINCRBY', this.statsKey, name, amount);
+  }
+
+  async getStats() {
+    const flat = await this.client.command('HGETALL', this.statsKey) || [];
+    const stats = { ...DEFAULT_STATS };
+    for (let i = 0; i < flat.length; i += 2) {
+      stats[flat[i]] = parseInt(flat[i + 1]) || 0;
+    }
+    return stats;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = { RedisPeerStore, RespClient };
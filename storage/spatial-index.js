@@ -0,0 +1,150 @@
+// Grid-bucket spatial index for radius queries. The globe is cut into
+// fixed-size lat/long cells; a query only visits the cells overlapping the
+// search circle's bounding box instead of every registered peer.
+
+const EARTH_RADIUS = 6371000;
+const METERS_PER_DEGREE = 111320;
+const DEFAULT_CELL_SIZE = 0.01; // degrees, roughly 1.1 km of latitude
+
+function calculateDistance(loc1, loc2) {
+  try {
+    if (!loc1 || !loc2 ||
+        typeof loc1.latitude !== 'number' || typeof loc1.longitude !== 'number' ||
+        typeof loc2.latitude !== 'number' || typeof loc2.longitude !== 'number') {
+      return Infinity;
+    }
+    if (Math.abs(loc1.latitude) > 90 || Math.abs(loc2.latitude) > 90 ||
+        Math.abs(loc1.longitude) > 180 || Math.abs(loc2.longitude) > 180) {
+      return Infinity;
+    }
+    const phi1 = loc1.latitude * Math.PI / 180;
+    const phi2 = loc2.latitude * Math.PI / 180;
+    const deltaPhi = (loc2.latitude - loc1.latitude) * Math.PI / 180;
+    const deltaLambda = (loc2.longitude - loc1.longitude) * Math.PI / 180;
+    const a = Math.sin(deltaPhi / 2) * Math.sin(deltaPhi / 2) +
+              Math.cos(phi1) * Math.cos(phi2) *
+              Math.sin(deltaLambda / 2) * Math.sin(deltaLambda / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return Math.max(0, EARTH_RADIUS * c);
+  } catch (error) {
+    console.error('❌ Distance calculation error:', error);
+    return Infinity;
+  }
+}
+
+class SpatialIndex {
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.rows = Math.ceil(180 / cellSize);
+    this.columns = Math.ceil(360 / cellSize);
+    this.cells = new Map();
+    this.cellOf = new Map();
+  }
+
+  get size() {
+    return this.cellOf.size;
+  }
+
+  row(latitude) {
+    return Math.min(this.rows - 1, Math.max(0, Math.floor((latitude + 90) / this.cellSize)));
+  }
+
+  column(longitude) {
+    const column = Math.floor((longitude + 180) / this.cellSize);
+    return ((column % this.columns) + this.columns) % this.columns;
+  }
+
+  cellKey(location) {
+    return `${this.row(location.latitude)}:${this.column(location.longitude)}`;
+  }
+
+  // Half-height and half-width in degrees of the search circle's bounding
+  // box. Degrees of longitude shrink towards the poles, so the width is
+  // taken at the box's poleward edge, where the circle is widest in degrees.
+  spans(location, radius) {
+    const latSpan = radius / METERS_PER_DEGREE;
+    const edge = Math.min(90, Math.abs(location.latitude) + latSpan);
+    const cosLat = Math.max(0.01, Math.cos(edge * Math.PI / 180));
+    return { latSpan, lonSpan: Math.min(180, radius / (METERS_PER_DEGREE * cosLat)) };
+  }
+
+  // Rows of the bounding box and the longitude ranges it covers (two when it
+  // crosses the antimeridian)
+  bounds(location, radius) {
+    const { latSpan, lonSpan } = this.spans(location, radius);
+    const west = location.longitude - lonSpan;
+    const east = location.longitude + lonSpan;
+
+    let longitudes = [[west, east]];
+    if (lonSpan >= 180) longitudes = [[-180, 180]];
+    else if (west < -180) longitudes = [[west + 360, 180], [-180, east]];
+    else if (east > 180) longitudes = [[west, 180], [-180, east - 360]];
+
+    return {
+      minRow: this.row(location.latitude - latSpan),
+      maxRow: this.row(location.latitude + latSpan),
+      longitudes
+    };
+  }
+
+  // Keys of every cell overlapping the bounding box of the search circle
+  cellsInRange(location, radius) {
+    const { latSpan, lonSpan } = this.spans(location, radius);
+    const minRow = this.row(location.latitude - latSpan);
+    const maxRow = this.row(location.latitude + latSpan);
+    const firstColumn = Math.floor((location.longitude - lonSpan + 180) / this.cellSize);
+    const lastColumn = Math.floor((location.longitude + lonSpan + 180) / this.cellSize);
+    const columnCount = Math.min(this.columns, lastColumn - firstColumn + 1);
+
+    const keys = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let i = 0; i < columnCount; i++) {
+        const column = (((firstColumn + i) % this.columns) + this.columns) % this.columns;
+        keys.push(`${row}:${column}`);
+      }
+    }
+    return keys;
+  }
+
+  update(id, location) {
+    const key = this.cellKey(location);
+    const previous = this.cellOf.get(id);
+    if (previous === key) return;
+
+    if (previous) this.removeFromCell(previous, id);
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(id);
+    this.cellOf.set(id, key);
+  }
+
+  remove(id) {
+    const key = this.cellOf.get(id);
+    if (!key) return;
+    this.removeFromCell(key, id);
+    this.cellOf.delete(id);
+  }
+
+  removeFromCell(key, id) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  // Candidate ids near `location`, or null when walking the cells would cost
+  // more than scanning every entry (very large radius, sparse registry)
+  query(location, radius) {
+    const keys = this.cellsInRange(location, radius);
+    if (keys.length > this.size) return null;
+
+    const ids = [];
+    for (const key of keys) {
+      const cell = this.cells.get(key);
+      if (!cell) continue;
+      for (const id of cell) ids.push(id);
+    }
+    return ids;
+  }
+}
+
+module.exports = { SpatialIndex, calculateDistance, DEFAULT_CELL_SIZE };
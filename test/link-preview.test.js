@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { LinkPreviewer } = require('../lib/link-preview');
+
+// Pages on 127.0.0.1 are refused by parseLink, so these call fetch directly
+async function withServer(handler, run) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(new URL(`http://127.0.0.1:${server.address().port}/`));
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test('a page that trickles in is cut off at the overall deadline', async () => {
+  const previewer = new LinkPreviewer({ timeout: 300 });
+  let drip;
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    // Never idle for long enough to trip the socket timeout
+    drip = setInterval(() => res.write(' '), 50);
+  }, async url => {
+    const started = Date.now();
+    await assert.rejects(previewer.fetch(url, { maxBytes: 1024 * 1024 }), { status: 504 });
+    assert.ok(Date.now() - started < 1000);
+  });
+  clearInterval(drip);
+});
+
+test('the deadline covers every hop of a redirect chain', async () => {
+  const previewer = new LinkPreviewer({ timeout: 300 });
+  const deadlines = [];
+  let hops = 3;
+  previewer.request = async (url, options) => {
+    deadlines.push(options.deadline);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return hops-- > 0 ? { location: `https://example.com/${hops}` } : { url, type: 'text/html', body: Buffer.alloc(0) };
+  };
+
+  await previewer.fetch(new URL('https://example.com/'), { maxBytes: 1024 });
+  assert.strictEqual(deadlines.length, 4);
+  assert.ok(deadlines.every(deadline => deadline === deadlines[0]));
+});
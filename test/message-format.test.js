@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageFormat = require('../message-format');
+
+const format = text => MessageFormat.formatMessageContent(text);
+const hasTag = (html, tag) => new RegExp(`<${tag}[\\s>]`, 'i').test(html);
+
+test('plain text is escaped', () => {
+  assert.strictEqual(
+    format('<img src=x onerror="alert(1)"> & \'quotes\''),
+    '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;quotes&#39;'
+  );
+});
+
+test('only http(s) links become anchors', () => {
+  for (const link of ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']) {
+    assert.ok(!hasTag(format(link), 'a'), link);
+    assert.ok(!hasTag(format(link), 'script'), link);
+  }
+  assert.ok(!hasTag(format('[x](javascript:alert(1))'), 'a'));
+
+  assert.strictEqual(
+    format('see https://example.com/a?b=1&c=2.'),
+    'see <a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer nofollow">https://example.com/a?b=1&amp;c=2</a>.'
+  );
+});
+
+test('quotes cannot break out of the href', () => {
+  for (const text of ['https://example.com/"onmouseover="alert(1)', "https://example.com/'onmouseover='alert(1)", 'https://example.com/x`y']) {
+    const html = format(text);
+    assert.ok(!/onmouseover=["']/.test(html), html);
+    const href = /href="([^"]*)"/.exec(html)[1];
+    assert.ok(!/["'`<>]/.test(href), href);
+  }
+});
+
+test('code spans and fences are escaped verbatim', () => {
+  assert.strictEqual(
+    format('run `<script>alert(1)</script>` now'),
+    'run <code class="message-code">&lt;script&gt;alert(1)&lt;/script&gt;</code> now'
+  );
+  assert.strictEqual(
+    format('```html\n<script>alert("x")</script>\n```'),
+    '<pre class="message-code-block"><code>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</code></pre>'
+  );
+  // Nothing inside code is formatted
+  assert.strictEqual(format('`*a* https://example.com`'), '<code class="message-code">*a* https://example.com</code>');
+  // An unclosed fence stays text
+  assert.ok(!hasTag(format('```<b>x</b>'), 'b'));
+});
+
+test('emphasis', () => {
+  assert.strictEqual(format('*bold* and _italic_'), '<strong>bold</strong> and <em>italic</em>');
+  assert.strictEqual(format('*_both_*'), '<strong><em>both</em></strong>');
+  assert.strictEqual(format('_*both*_'), '<em><strong>both</strong></em>');
+  assert.strictEqual(format('snake_case_name'), 'snake_case_name');
+  assert.strictEqual(format('2 * 3 * 4'), '2 * 3 * 4');
+  assert.strictEqual(format('*<b>x</b>*'), '<strong>&lt;b&gt;x&lt;/b&gt;</strong>');
+});
+
+test('findFirstLink skips links that are not http(s)', () => {
+  assert.strictEqual(MessageFormat.findFirstLink('javascript:alert(1) then https://example.com/x).'), 'https://example.com/x');
+  assert.strictEqual(MessageFormat.findFirstLink('no links here'), null);
+  assert.strictEqual(MessageFormat.findFirstLink(undefined), null);
+});
+
+test('sanitizeLinkPreview rejects malformed previews', () => {
+  const content = 'look at https://example.com/page';
+  for (const preview of [null, undefined, 'https://example.com/page', 42, [], {},
+    { url: 'https://example.com/page' },
+    { url: 'https://example.com/page', title: 7 },
+    { url: 'https://example.com/page', title: '   ' },
+    { url: 'javascript:alert(1)', title: 'x' },
+    { url: 'https://example.com/other', title: 'Not the link in the message' },
+    { url: ['https://example.com/page'], title: 'x' }]) {
+    assert.strictEqual(MessageFormat.sanitizeLinkPreview(preview, content), null, JSON.stringify(preview));
+  }
+});
+
+test('sanitizeLinkPreview keeps only known fields', () => {
+  const card = MessageFormat.sanitizeLinkPreview({
+    url: 'https://example.com/page',
+    title: ` ${'t'.repeat(500)} `,
+    description: { toString: () => 'sneaky' },
+    siteName: 'Example',
+    image: 'javascript:alert(1)',
+    onclick: 'alert(1)'
+  }, 'look at https://example.com/page', image => image.startsWith('data:image/'));
+
+  assert.deepStrictEqual(card, {
+    url: 'https://example.com/page',
+    title: 't'.repeat(200),
+    description: '',
+    siteName: 'Example',
+    image: null
+  });
+
+  const withImage = MessageFormat.sanitizeLinkPreview(
+    { url: 'https://example.com/page', title: 'x', image: 'data:image/jpeg;base64,AAAA' },
+    'https://example.com/page',
+    image => image.startsWith('data:image/')
+  );
+  assert.strictEqual(withImage.image, 'data:image/jpeg;base64,AAAA');
+});
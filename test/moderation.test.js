@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModerationQueue } = require('../lib/moderation');
+
+async function withQueue(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lettalky-moderation-'));
+  const queue = new ModerationQueue({ filePath: path.join(dir, 'moderation.json') });
+  try {
+    await run(queue);
+  } finally {
+    await queue.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function report(queue, target = { peerId: 'bad', identityId: 'id-bad', username: 'bad', ip: '203.0.113.7' }) {
+  return queue.createReport({
+    reporter: { peerId: 'me', identityId: 'id-me', username: 'me' },
+    target,
+    reason: 'spam'
+  }).reportId;
+}
+
+test('bans cover what the scope asks for', async () => {
+  await withQueue(async queue => {
+    const identity = queue.review(report(queue), { action: 'perm_ban' }).ban;
+    assert.strictEqual(identity.identityId, 'id-bad');
+    assert.strictEqual(identity.ip, null);
+    // Someone else behind the same NAT can still register
+    assert.strictEqual(queue.findBan({ identityId: 'id-other', ip: '203.0.113.7' }), null);
+
+    queue.liftBan(identity.banId);
+    const ip = queue.review(report(queue, { peerId: 'bad2', username: 'bad2', ip: '203.0.113.7' }),
+      { action: 'temp_ban', scope: 'ip' }).ban;
+    assert.strictEqual(ip.identityId, null);
+    assert.strictEqual(ip.ip, '203.0.113.7');
+
+    queue.liftBan(ip.banId);
+    const both = queue.review(report(queue, { peerId: 'bad3', identityId: 'id-3', username: 'bad3', ip: '198.51.100.1' }),
+      { action: 'temp_ban', scope: 'both' }).ban;
+    assert.deepStrictEqual([both.identityId, both.ip], ['id-3', '198.51.100.1']);
+  });
+});
+
+test('refuses bans the report cannot support', async () => {
+  await withQueue(async queue => {
+    const anonymous = report(queue, { peerId: 'anon', username: 'anon', ip: '203.0.113.9' });
+    assert.throws(() => queue.review(anonymous, { action: 'perm_ban' }), { status: 409 });
+    assert.throws(() => queue.review(anonymous, { action: 'perm_ban', scope: 'everything' }), { status: 400 });
+    assert.strictEqual(queue.getReport(anonymous).status, 'open');
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { PresenceHub } = require('../lib/presence');
+const { MemoryPeerStore } = require('../storage/memory');
+
+// Enough of http.ServerResponse for an SSE stream
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.events = [];
+  res.ended = false;
+  res.writeHead = () => {};
+  res.write = chunk => {
+    const match = /^event: (\S+)/.exec(chunk);
+    if (match) res.events.push(match[1]);
+  };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+function makeHub(store) {
+  return new PresenceHub({
+    store,
+    summarize: (requester, peer) => ({ peerId: peer.peerId, distance: 0, status: peer.status }),
+    peerTimeout: 60 * 1000,
+    maxPeers: 10,
+    sweepInterval: 60 * 60 * 1000
+  });
+}
+
+const here = { latitude: 51.5, longitude: -0.12 };
+
+test('the sweep ends streams whose peer has left the registry', async () => {
+  const store = new MemoryPeerStore();
+  const hub = makeHub(store);
+  try {
+    const requester = { peerId: 'a', location: here, lastSeen: Date.now() };
+    await store.set('a', requester);
+    const res = fakeResponse();
+    await hub.subscribe({}, res, requester, 1000);
+
+    await store.delete('a');
+    await hub.sweep();
+    await hub.sweep();
+
+    assert.deepStrictEqual(res.events, ['snapshot', 'expired']);
+    assert.ok(res.ended);
+    assert.strictEqual(hub.size, 0);
+    assert.strictEqual(hub.index.size, 0);
+  } finally {
+    hub.close();
+  }
+});
+
+test('the sweep only marks subscribers as seen', async () => {
+  const store = new MemoryPeerStore();
+  const hub = makeHub(store);
+  try {
+    const requester = { peerId: 'a', location: here, lastSeen: 0, status: 'away', watchlist: [] };
+    await store.set('a', requester);
+    await hub.subscribe({}, fakeResponse(), requester, 1000);
+
+    // Written by another request while the stream is open
+    await store.set('a', { ...requester, watchlist: ['friend'] });
+    await hub.sweep();
+
+    const stored = await store.get('a');
+    assert.deepStrictEqual(stored.watchlist, ['friend']);
+    assert.strictEqual(stored.status, 'online');
+    assert.ok(stored.lastSeen > 0);
+  } finally {
+    hub.close();
+  }
+});
@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { RespClient, RedisPeerStore } = require('../storage/redis');
+const { LocationPrivacy } = require('../lib/location-privacy');
+
+// Just enough of Redis to exercise the client and the store: strings, sets,
+// sorted sets and MULTI/EXEC, answered in RESP. Every command received is
+// logged.
+function startFakeRedis({ chunkSize = Infinity } = {}) {
+  const strings = new Map();
+  const sets = new Map();
+  const sorted = new Map();
+  const log = [];
+  const parser = new RespClient();
+
+  const setOf = key => sets.get(key) || sets.set(key, new Set()).get(key);
+  const sortedOf = key => sorted.get(key) || sorted.set(key, new Map()).get(key);
+  const bulk = value => value === null || value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  const array = values => `*${values.length}\r\n${values.join('')}`;
+
+  const run = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'PING': return '+PONG\r\n';
+      case 'GET': return bulk(strings.get(args[0]) ?? null);
+      case 'SET':
+        if (args.includes('XX') && !strings.has(args[0])) return '$-1\r\n';
+        strings.set(args[0], args[1]);
+        return '+OK\r\n';
+      case 'DEL': return `:${args.filter(key => strings.delete(key) || sets.delete(key) || sorted.delete(key)).length}\r\n`;
+      case 'MGET': return array(args.map(key => bulk(strings.get(key) ?? null)));
+      case 'SADD': return `:${args.slice(1).filter(member => !setOf(args[0]).has(member) && setOf(args[0]).add(member)).length}\r\n`;
+      case 'SREM': return `:${args.slice(1).filter(member => setOf(args[0]).delete(member)).length}\r\n`;
+      case 'SMEMBERS': return array([...setOf(args[0])].map(bulk));
+      case 'SCARD': return `:${setOf(args[0]).size}\r\n`;
+      case 'ZADD': {
+        const added = !sortedOf(args[0]).has(args[2]);
+        sortedOf(args[0]).set(args[2], Number(args[1]));
+        return `:${added ? 1 : 0}\r\n`;
+      }
+      case 'ZREM': return `:${args.slice(1).filter(member => sortedOf(args[0]).delete(member)).length}\r\n`;
+      case 'ZRANGEBYSCORE': {
+        const [min, max] = [Number(args[1]), Number(args[2])];
+        return array([...sortedOf(args[0])].filter(([, score]) => score >= min && score <= max).map(([member]) => bulk(member)));
+      }
+      case 'QUIT': return '+OK\r\n';
+      default: return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    // Replies go out in small pieces when asked, to test reassembly
+    const reply = out => {
+      for (let i = 0; i < out.length; i += chunkSize) socket.write(out.slice(i, i + chunkSize));
+    };
+
+    socket.on('data', data => {
+      buffer = Buffer.concat([buffer, data]);
+      let parsed;
+      while ((parsed = parser.parse(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        const command = parsed.value;
+        log.push(command.join(' '));
+
+        const name = command[0].toUpperCase();
+        if (name === 'MULTI') {
+          queued = [];
+          reply('+OK\r\n');
+        } else if (name === 'EXEC') {
+          reply(array(queued.map(run)));
+          queued = null;
+        } else if (queued) {
+          queued.push(command);
+          reply('+QUEUED\r\n');
+        } else {
+          reply(run(command));
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, strings, sets, sorted, log, url: `redis://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+test('encodes commands as arrays of bulk strings', () => {
+  assert.strictEqual(new RespClient().encode(['SET', 'ключ', 42]), '*3\r\n$3\r\nSET\r\n$8\r\nключ\r\n$2\r\n42\r\n');
+});
+
+test('parses every reply type and waits for incomplete ones', () => {
+  const client = new RespClient();
+  const parse = text => client.parse(Buffer.from(text), 0);
+
+  assert.deepStrictEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+  assert.deepStrictEqual(parse(':-3\r\n').value, -3);
+  assert.strictEqual(parse('$-1\r\n').value, null);
+  assert.strictEqual(parse('$5\r\na\r\nbc\r\n').value, 'a\r\nbc');
+  assert.deepStrictEqual(parse('*3\r\n$1\r\na\r\n$-1\r\n*1\r\n:1\r\n').value, ['a', null, [1]]);
+  assert.ok(parse('-ERR wrong type\r\n').value instanceof Error);
+  assert.ok(parse('*2\r\n-ERR nope\r\n+OK\r\n').value[0] instanceof Error);
+
+  for (const partial of ['+OK', '$5\r\nab', '*2\r\n$1\r\na\r\n', '*1\r\n$3\r\nab\r']) {
+    assert.strictEqual(parse(partial), null, JSON.stringify(partial));
+  }
+});
+
+test('matches replies to commands when they arrive in pieces', async () => {
+  const redis = await startFakeRedis({ chunkSize: 3 });
+  const client = RespClient.fromUrl(redis.url);
+  try {
+    const value = 'x'.repeat(1000);
+    await client.command('SET', 'a', value);
+    const [first, second, missing] = await Promise.all([
+      client.command('GET', 'a'),
+      client.command('MGET', 'a', 'b'),
+      client.command('GET', 'b')
+    ]);
+    assert.strictEqual(first, value);
+    assert.deepStrictEqual(second, [value, null]);
+    assert.strictEqual(missing, null);
+    await assert.rejects(client.command('NOPE'), /unknown command/);
+    assert.strictEqual(await client.command('PING'), 'PONG');
+  } finally {
+    await client.quit();
+    redis.server.close();
+  }
+});
+
+test('transactions are written in one piece and return the EXEC reply', async () => {
+  const redis = await startFakeRedis();
+  const client = RespClient.fromUrl(redis.url);
+  try {
+    const [results] = await Promise.all([
+      client.transaction([['SET', 'a', '1'], ['SADD', 's', 'a', 'b']]),
+      client.command('GET', 'a')
+    ]);
+    assert.deepStrictEqual(results, ['OK', 2]);
+    assert.deepStrictEqual(redis.log, ['MULTI', 'SET a 1', 'SADD s a b', 'EXEC', 'GET a']);
+
+    await assert.rejects(client.transaction([['SET', 'b', '1'], ['NOPE']]), /unknown command/);
+  } finally {
+    await client.quit();
+    redis.server.close();
+  }
+});
+
+test('the peer store updates an entry and its indexes in one transaction', async t => {
+  // The connect message would end up in the test runner's output
+  t.mock.method(console, 'log', () => {});
+  const redis = await startFakeRedis();
+  const store = new RedisPeerStore({ url: redis.url, prefix: 't:' });
+  try {
+    await store.init();
+    const peer = {
+      peerId: 'p1', identityId: 'id1', status: 'away', lastSeen: 1000,
+      location: { latitude: 51.5, longitude: -0.12 }
+    };
+    await store.set('p1', peer);
+
+    const first = redis.log.indexOf('MULTI');
+    const exec = redis.log.indexOf('EXEC');
+    assert.ok(first !== -1 && exec > first);
+    assert.ok(redis.log.slice(first, exec).some(line => line.startsWith('SET t:peer:p1 ')));
+    assert.ok(redis.log.slice(first, exec).some(line => line.startsWith('ZADD t:row:')));
+    assert.ok(redis.log.slice(first, exec).includes('SET t:identity:id1 p1'));
+
+    assert.deepStrictEqual(await store.findByIdentity('id1'), peer);
+
+    // Touching only rewrites the seen key, never the entry itself
+    redis.log.length = 0;
+    const touched = await store.touch('p1', { lastSeen: 2000, status: 'online' });
+    assert.strictEqual(touched.lastSeen, 2000);
+    assert.ok(redis.log.every(line => !line.startsWith('SET t:peer:')));
+    assert.strictEqual((await store.get('p1')).status, 'online');
+    assert.strictEqual(await store.touch('nobody', { lastSeen: 2000, status: 'online' }), null);
+    assert.deepStrictEqual(await store.nearby({ latitude: 51.5, longitude: -0.12 }, 100), [{ ...peer, status: 'online', lastSeen: 2000 }]);
+
+    // Moving to another cell swaps the membership inside the transaction
+    redis.log.length = 0;
+    await store.set('p1', { ...peer, location: { latitude: 52.5, longitude: -0.12 } });
+    const moved = redis.log.slice(redis.log.indexOf('MULTI'), redis.log.indexOf('EXEC'));
+    assert.ok(moved.some(line => line.startsWith('ZREM t:row:')));
+    assert.deepStrictEqual(await store.nearby({ latitude: 51.5, longitude: -0.12 }, 1000), []);
+
+    assert.strictEqual(await store.delete('p1'), true);
+    assert.strictEqual(await store.delete('p1'), false);
+    assert.strictEqual(await store.size(), 0);
+    assert.strictEqual(await store.findByIdentity('id1'), null);
+    assert.ok([...redis.sets.values(), ...redis.sorted.values()].every(set => set.size === 0));
+    assert.deepStrictEqual([...redis.strings.keys()], []);
+  } finally {
+    await store.close();
+    redis.server.close();
+  }
+});
+
+test('nearby stays on the row index up to the widest range the API allows', async t => {
+  t.mock.method(console, 'log', () => {});
+  const redis = await startFakeRedis();
+  const store = new RedisPeerStore({ url: redis.url, prefix: 't:' });
+  // /peers and /presence cap the range at 50 km before widening it
+  const widest = new LocationPrivacy({ secret: 'test' }).searchRadius(50000);
+  const peer = (peerId, latitude, longitude) => ({ peerId, lastSeen: 1, status: 'online', location: { latitude, longitude } });
+
+  try {
+    await store.init();
+    await store.set('near', peer('near', 60.1, 24.9));
+    await store.set('edge', peer('edge', 60.5, 26.1));
+    await store.set('far', peer('far', 59.3, 18.1));
+    // Across the antimeridian from the second query
+    await store.set('east', peer('east', -16.5, 179.9));
+
+    redis.log.length = 0;
+    const found = await store.nearby({ latitude: 60.1, longitude: 24.9 }, widest);
+    assert.deepStrictEqual(found.map(entry => entry.peerId).sort(), ['edge', 'near']);
+    assert.ok(redis.log.every(line => !line.startsWith('SMEMBERS')));
+
+    redis.log.length = 0;
+    const wrapped = await store.nearby({ latitude: -16.5, longitude: -179.9 }, widest);
+    assert.deepStrictEqual(wrapped.map(entry => entry.peerId), ['east']);
+    assert.ok(redis.log.every(line => !line.startsWith('SMEMBERS')));
+
+    // Far beyond that, one read of the registry beats hundreds of lookups
+    redis.log.length = 0;
+    const wide = await store.nearby({ latitude: 60.1, longitude: 24.9 }, 1000 * 1000);
+    assert.deepStrictEqual(wide.map(entry => entry.peerId).sort(), ['edge', 'far', 'near']);
+    assert.ok(redis.log.some(line => line.startsWith('SMEMBERS')));
+    assert.ok(redis.log.every(line => !line.startsWith('ZRANGEBYSCORE')));
+  } finally {
+    await store.close();
+    redis.server.close();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { serveClientFiles } = require('../lib/static-files');
+
+function makeRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lettalky-static-'));
+  fs.mkdirSync(path.join(root, 'assets'));
+  fs.mkdirSync(path.join(root, 'data'));
+  fs.writeFileSync(path.join(root, 'index.html'), '<!doctype html>');
+  fs.writeFileSync(path.join(root, 'app.js'), '// client');
+  fs.writeFileSync(path.join(root, 'server.js'), '// server');
+  fs.writeFileSync(path.join(root, 'assets', 'smile.svg'), '<svg/>');
+  fs.writeFileSync(path.join(root, 'data', 'peers.json'), '{"peers":[]}');
+  fs.writeFileSync(path.join(root, 'data', 'moderation.json'), '{"reports":[],"bans":[]}');
+  return root;
+}
+
+async function withServer(root, run) {
+  const app = express();
+  app.use(serveClientFiles(root));
+  app.use((req, res) => res.status(404).end());
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // Raw request paths, so encoded ones reach the server as written
+  const get = pathname => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: pathname }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+
+  try {
+    await run(get);
+  } finally {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('serves the client files and assets', async () => {
+  await withServer(makeRoot(), async get => {
+    assert.strictEqual(await get('/app.js'), 200);
+    assert.strictEqual(await get('/index.html'), 200);
+    assert.strictEqual(await get('/assets/smile.svg'), 200);
+  });
+});
+
+test('never serves other files, however the path is encoded', async () => {
+  await withServer(makeRoot(), async get => {
+    for (const pathname of [
+      '/server.js',
+      '/data/peers.json',
+      '/%64ata/peers.json',
+      '/%64%61%74%61/%70eers.json',
+      '/DATA/peers.json',
+      '/assets/../data/peers.json',
+      '/assets/%2e%2e/data/peers.json',
+      '/assets/..%2fdata/peers.json',
+      '/./data/peers.json',
+      '/data/moderation.json',
+      '/%64ata/moderation.json',
+      '/data/%6Doderation.json',
+      '/assets/%2E%2E/data/moderation.json'
+    ]) {
+      assert.strictEqual(await get(pathname), 404, pathname);
+    }
+  });
+});